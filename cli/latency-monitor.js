@@ -0,0 +1,463 @@
+#!/usr/bin/env node
+/**
+ * Latency Monitor CLI - run the browser monitor's probes headless
+ *
+ *   node cli/latency-monitor.js [options]
+ *
+ * API keys are read from <PROVIDER_ID>_API_KEY environment variables,
+ * e.g. OPENAI_API_KEY or ANTHROPIC_API_KEY.
+ *
+ * Exit codes: 0 all thresholds passed, 1 a threshold failed, 2 bad usage.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const { API_PROVIDERS, PROVIDER_TEST_MODES, validateProviderList } = require('../js/providers.js');
+const { LatencyMonitor } = require('../js/monitor.js');
+const { BurstTest, BURST_DEFAULTS } = require('../js/burst.js');
+const { MonitorExporter } = require('../js/export.js');
+const { MetricsExporter, METRICS_CONTENT_TYPE } = require('../js/metrics.js');
+const { formatCost } = require('../js/pricing.js');
+
+const OUTPUT_FORMATS = ['table', 'json', 'csv', 'openmetrics', 'bundle'];
+const BURST_OUTPUT_FORMATS = ['table', 'json', 'csv'];
+
+const USAGE = `Usage: node cli/latency-monitor.js [options]
+
+Options:
+  --providers <list|file>   Comma-separated provider ids, or a JSON file of
+                            provider configs (default: all built-in providers)
+  --mode <mode>             ${PROVIDER_TEST_MODES.join(', ')} (default: ping)
+  --interval <ms>           Delay between rounds, or each provider's base
+                            probe interval with --serve (default: 5000)
+  --count <n>               Number of rounds (default: 1)
+  --concurrency <n>         Most requests in flight at once (default: no limit)
+  --budget <usd>            Stop probing once the estimated spend reaches this
+  --output <format>         ${OUTPUT_FORMATS.join(', ')} (default: table)
+  --location <label>        Probe location recorded in result bundles
+                            (default: the host name)
+  --max-avg <ms>            Fail if a provider's average latency is higher
+  --max-p95 <ms>            Fail if a provider's p95 latency is higher
+  --min-success-rate <pct>  Fail if a provider's success rate is lower
+  --serve <port>            Probe until stopped, serving OpenMetrics on
+                            http://localhost:<port>/metrics (ignores --count)
+  --burst <n>               Load test one provider instead, ramping from 1 to
+                            n concurrent requests (output: table, json, csv)
+  --duration <ms>           Length of the burst test (default: ${BURST_DEFAULTS.duration})
+  --max-requests <n>        Most requests a burst test sends (default: ${BURST_DEFAULTS.maxRequests})
+  --target <id>             Burst test this probe target of the provider
+  --quiet                   Do not log individual samples to stderr
+  --help                    Show this message`;
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+    const options = {
+        providers: null,
+        mode: 'ping',
+        interval: 5000,
+        count: 1,
+        concurrency: null,
+        budget: null,
+        output: 'table',
+        location: null,
+        maxAvg: null,
+        maxP95: null,
+        minSuccessRate: null,
+        serve: null,
+        burst: null,
+        duration: null,
+        maxRequests: null,
+        target: null,
+        quiet: false,
+        help: false
+    };
+
+    const number = (flag, value, min) => {
+        const parsed = Number(value);
+        if (value === undefined || isNaN(parsed) || parsed < min) {
+            throw new UsageError(`${flag} expects a number of at least ${min}`);
+        }
+        return parsed;
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const [flag, inline] = arg.split(/=(.*)/s);
+        const value = () => (inline !== undefined ? inline : argv[++i]);
+
+        switch (flag) {
+            case '--providers': options.providers = value(); break;
+            case '--mode': options.mode = value(); break;
+            case '--interval': options.interval = number(flag, value(), 0); break;
+            case '--count': options.count = Math.floor(number(flag, value(), 1)); break;
+            case '--concurrency': options.concurrency = Math.floor(number(flag, value(), 1)); break;
+            case '--budget': options.budget = number(flag, value(), 0.000001); break;
+            case '--output': options.output = value(); break;
+            case '--location': options.location = value(); break;
+            case '--max-avg': options.maxAvg = number(flag, value(), 0); break;
+            case '--max-p95': options.maxP95 = number(flag, value(), 0); break;
+            case '--min-success-rate': options.minSuccessRate = number(flag, value(), 0); break;
+            case '--serve': options.serve = Math.floor(number(flag, value(), 1)); break;
+            case '--burst': options.burst = Math.floor(number(flag, value(), 1)); break;
+            case '--duration': options.duration = Math.floor(number(flag, value(), 1)); break;
+            case '--max-requests': options.maxRequests = Math.floor(number(flag, value(), 1)); break;
+            case '--target': options.target = value(); break;
+            case '--quiet': options.quiet = true; break;
+            case '--help':
+            case '-h': options.help = true; break;
+            default: throw new UsageError(`Unknown option: ${arg}`);
+        }
+    }
+
+    if (!PROVIDER_TEST_MODES.includes(options.mode)) {
+        throw new UsageError(`Unknown mode: ${options.mode}`);
+    }
+    if (!OUTPUT_FORMATS.includes(options.output)) {
+        throw new UsageError(`Unknown output format: ${options.output}`);
+    }
+    if (options.serve !== null && options.interval < 1) {
+        throw new UsageError('--interval must be at least 1 with --serve');
+    }
+    if (options.burst === null) {
+        if (options.duration !== null || options.maxRequests !== null || options.target !== null) {
+            throw new UsageError('--duration, --max-requests and --target need --burst');
+        }
+    } else {
+        if (options.serve !== null) {
+            throw new UsageError('--burst cannot be combined with --serve');
+        }
+        if (!BURST_OUTPUT_FORMATS.includes(options.output)) {
+            throw new UsageError(`--burst supports the ${BURST_OUTPUT_FORMATS.join(', ')} output formats`);
+        }
+        if (options.maxAvg !== null || options.maxP95 !== null || options.minSuccessRate !== null) {
+            throw new UsageError('Threshold options do not apply to --burst');
+        }
+        const errors = BurstTest.validateOptions({
+            concurrency: options.burst,
+            duration: options.duration !== null ? options.duration : BURST_DEFAULTS.duration,
+            maxRequests: options.maxRequests !== null ? options.maxRequests : BURST_DEFAULTS.maxRequests
+        });
+        if (errors.length > 0) {
+            throw new UsageError(errors.join('\n'));
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Resolve --providers to provider configs: a JSON file or a list of ids
+ */
+function loadProviders(spec) {
+    if (!spec) return API_PROVIDERS;
+
+    if (spec.endsWith('.json')) {
+        let configs;
+        try {
+            configs = JSON.parse(fs.readFileSync(path.resolve(spec), 'utf8'));
+        } catch (error) {
+            throw new UsageError(`Could not read providers file ${spec}: ${error.message}`);
+        }
+        const { errors, warnings } = validateProviderList(configs);
+        warnings.forEach(message => console.warn(message));
+        if (errors.length > 0) {
+            throw new UsageError(`Invalid providers file ${spec}:\n  ${errors.join('\n  ')}`);
+        }
+        return configs;
+    }
+
+    const ids = spec.split(',').map(id => id.trim()).filter(Boolean);
+    const unknown = ids.filter(id => !API_PROVIDERS.some(provider => provider.id === id));
+    if (unknown.length > 0) {
+        throw new UsageError(`Unknown provider(s): ${unknown.join(', ')}`);
+    }
+    return API_PROVIDERS.filter(provider => ids.includes(provider.id));
+}
+
+function envKeyName(providerId) {
+    return `${providerId.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_API_KEY`;
+}
+
+function loadApiKeys(providers) {
+    const keys = {};
+    providers.forEach(provider => {
+        const value = process.env[envKeyName(provider.id)];
+        if (value) keys[provider.id] = value;
+    });
+    return keys;
+}
+
+/**
+ * Compare every provider against the threshold flags
+ */
+function checkThresholds(monitor, options) {
+    const failures = [];
+
+    monitor.getStats().forEach(provider => {
+        const stats = provider.stats;
+        const successRate = stats.count > 0 ? (stats.successes / stats.count) * 100 : 0;
+
+        if (options.minSuccessRate !== null && successRate < options.minSuccessRate) {
+            failures.push(`${provider.name}: success rate ${successRate.toFixed(1)}% below ${options.minSuccessRate}%`);
+        }
+        if (options.maxAvg !== null && stats.successes > 0 && stats.avg > options.maxAvg) {
+            failures.push(`${provider.name}: average latency ${stats.avg}ms above ${options.maxAvg}ms`);
+        }
+        if (options.maxP95 !== null && stats.p95 !== null && stats.p95 > options.maxP95) {
+            failures.push(`${provider.name}: p95 latency ${stats.p95}ms above ${options.maxP95}ms`);
+        }
+    });
+
+    return failures;
+}
+
+function formatTable(monitor) {
+    const columns = ['Provider', 'Status', 'Samples', 'Success', 'Avg', 'Min', 'Max', 'p50', 'p95', 'p99', 'Jitter', 'Cost'];
+    const ms = value => (value === null || value === undefined || value === Infinity || value === 0 ? '--' : `${value}ms`);
+
+    const toRow = (name, entry) => {
+        const stats = entry.stats;
+        return [
+            name,
+            entry.status,
+            String(stats.count),
+            stats.count > 0 ? `${((stats.successes / stats.count) * 100).toFixed(1)}%` : '--',
+            ms(stats.avg),
+            ms(stats.min),
+            ms(stats.max),
+            ms(stats.p50),
+            ms(stats.p95),
+            ms(stats.p99),
+            ms(stats.jitter),
+            stats.cost > 0 ? formatCost(stats.cost) : '--'
+        ];
+    };
+
+    // Probe targets are listed under their provider
+    const rows = [];
+    monitor.getStats().forEach(provider => {
+        rows.push(toRow(provider.name, provider));
+        provider.targets.forEach(target => rows.push(toRow(`  ${target.name}`, target)));
+    });
+
+    const widths = columns.map((column, index) => Math.max(column.length, ...rows.map(row => row[index].length)));
+    const line = row => row.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd();
+
+    return [line(columns), line(widths.map(width => '-'.repeat(width))), ...rows.map(line)].join('\n') + '\n';
+}
+
+function formatOutput(monitor, options, failures) {
+    if (options.output === 'json') {
+        const data = JSON.parse(MonitorExporter.toJSON(monitor));
+        data.thresholds = { passed: failures.length === 0, failures };
+        return JSON.stringify(data, null, 2) + '\n';
+    }
+    if (options.output === 'csv') {
+        return MonitorExporter.toSummaryCSV(monitor);
+    }
+    if (options.output === 'openmetrics') {
+        return MetricsExporter.toOpenMetrics(monitor);
+    }
+    if (options.output === 'bundle') {
+        return MonitorExporter.toBundle(monitor, options.location || os.hostname(), { hostname: os.hostname() }) + '\n';
+    }
+    return formatTable(monitor);
+}
+
+/**
+ * Serve the monitor's stats for Prometheus-compatible scrapers
+ */
+function serveMetrics(monitor, port) {
+    const server = http.createServer((req, res) => {
+        if (req.method === 'GET' && req.url.split('?')[0] === '/metrics') {
+            res.writeHead(200, { 'Content-Type': METRICS_CONTENT_TYPE });
+            res.end(MetricsExporter.toOpenMetrics(monitor));
+            return;
+        }
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Not found\n');
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, () => {
+            console.error(`Serving metrics on http://localhost:${port}/metrics`);
+            resolve(server);
+        });
+    });
+}
+
+function formatBurstTable(result) {
+    const columns = ['Concurrency', 'Requests', 'Errors', 'Rate limited', 'Error rate', 'Avg', 'p50', 'p95', 'p99'];
+    const ms = value => (value === null || value === undefined ? '--' : `${value}ms`);
+
+    const rows = result.levels.map(level => [
+        String(level.concurrency),
+        String(level.requests),
+        String(level.failures),
+        String(level.rateLimited),
+        `${level.errorRate}%`,
+        ms(level.avg),
+        ms(level.p50),
+        ms(level.p95),
+        ms(level.p99)
+    ]);
+
+    const widths = columns.map((column, index) => Math.max(column.length, ...rows.map(row => row[index].length)));
+    const line = row => row.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd();
+    const cost = result.cost > 0 ? `, ~${formatCost(result.cost)}` : '';
+    const summary = `${result.name} (${result.mode}): ${BurstTest.describeStopReason(result.stopReason)} after ${result.requests} requests in ${((result.finishedAt - result.startedAt) / 1000).toFixed(1)}s${cost}`;
+
+    return [summary, '', line(columns), line(widths.map(width => '-'.repeat(width))), ...rows.map(line)].join('\n') + '\n';
+}
+
+/**
+ * Ramp concurrent requests against the one selected provider
+ */
+async function runBurst(monitor, options) {
+    if (monitor.providers.length !== 1) {
+        throw new UsageError('--burst tests one provider; select it with --providers');
+    }
+
+    const burst = new BurstTest(monitor, {
+        providerId: monitor.providers[0].id,
+        targetId: options.target,
+        mode: options.mode,
+        concurrency: options.burst,
+        duration: options.duration !== null ? options.duration : BURST_DEFAULTS.duration,
+        maxRequests: options.maxRequests !== null ? options.maxRequests : BURST_DEFAULTS.maxRequests
+    }, (event, level) => {
+        if (event !== 'level' || !level || options.quiet) return;
+        const p95 = level.p95 !== null ? `, p95 ${level.p95}ms` : '';
+        console.error(`[concurrency ${level.concurrency}] ${level.requests} requests, ${level.failures} errors${p95}`);
+    });
+
+    const stop = () => burst.stop();
+    process.once('SIGINT', stop);
+    let result;
+    try {
+        result = await burst.run();
+    } catch (error) {
+        throw new UsageError(error.message);
+    } finally {
+        process.removeListener('SIGINT', stop);
+    }
+
+    if (options.output === 'json') {
+        return monitor.redact(JSON.stringify(result, null, 2)) + '\n';
+    }
+    if (options.output === 'csv') {
+        return MonitorExporter.toBurstCSV(monitor, result);
+    }
+    return formatBurstTable(result);
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function main(argv) {
+    const options = parseArgs(argv);
+    if (options.help) {
+        process.stdout.write(USAGE + '\n');
+        return 0;
+    }
+
+    const providers = loadProviders(options.providers);
+    if (providers.length === 0) {
+        throw new UsageError('No providers selected');
+    }
+
+    const monitor = new LatencyMonitor(providers);
+    monitor.testMode = options.mode;
+    monitor.setApiKeys(loadApiKeys(providers));
+    if (options.concurrency !== null) {
+        monitor.setMaxConcurrency(options.concurrency);
+    }
+    if (options.budget !== null) {
+        monitor.setBudget(options.budget);
+    }
+    // A fixed run summarizes every sample; --serve keeps the browser's rolling defaults.
+    // A provider's history gets one sample per probe target each round.
+    if (options.serve === null) {
+        const targets = Math.max(...monitor.providers.map(provider => LatencyMonitor.getTargets(provider).length));
+        monitor.setHistoryLimit(options.count * targets);
+        monitor.setStatsWindow('all');
+    }
+
+    monitor.setUpdateCallback((event, provider, data) => {
+        if (event === 'budget') {
+            console.error(`Budget reached: estimated spend ${formatCost(data.spend.cost)} of ${formatCost(data.budget)}, probing stopped`);
+            return;
+        }
+        if (event !== 'sample' || options.quiet) return;
+        const latency = data.success ? `${data.latency}ms` : 'failed';
+        const detail = data.assertion ? `assertion failed: ${data.assertion}` : data.outcome || data.error || '';
+        const retried = data.attempts > 1 ? ` after ${data.attempts} attempts` : '';
+        const label = data.targetId ? `${provider.id}/${data.targetId}` : provider.id;
+        console.error(`[${label}] ${latency}${detail ? ` (${detail})` : ''}${retried}`);
+    });
+
+    if (options.burst !== null) {
+        process.stdout.write(await runBurst(monitor, options));
+        return 0;
+    }
+
+    if (options.budget !== null) {
+        const unpriced = monitor.getUnpricedTargets(options.mode);
+        if (unpriced.length > 0) {
+            console.warn(`No model price for ${unpriced.join(', ')}: their spend does not count towards --budget`);
+        }
+    }
+
+    if (options.serve !== null) {
+        const server = await serveMetrics(monitor, options.serve);
+        // Each provider is probed on its own jittered, backed-off schedule
+        monitor.start(options.interval, options.mode);
+
+        await new Promise(resolve => {
+            const shutdown = () => {
+                monitor.stop();
+                server.close(resolve);
+            };
+            process.once('SIGINT', shutdown);
+            process.once('SIGTERM', shutdown);
+        });
+        return 0;
+    }
+
+    for (let round = 1; round <= options.count; round++) {
+        if (!options.quiet && options.count > 1) {
+            console.error(`Round ${round}/${options.count}`);
+        }
+        await monitor.runTests();
+        if (monitor.budgetReached) break;
+        if (round < options.count) {
+            await sleep(options.interval);
+        }
+    }
+
+    const failures = checkThresholds(monitor, options);
+    process.stdout.write(formatOutput(monitor, options, failures));
+    failures.forEach(message => console.error(`Threshold failed - ${message}`));
+
+    return failures.length > 0 ? 1 : 0;
+}
+
+main(process.argv.slice(2))
+    .then(code => {
+        process.exitCode = code;
+    })
+    .catch(error => {
+        if (error instanceof UsageError) {
+            console.error(`${error.message}\n\n${USAGE}`);
+            process.exitCode = 2;
+        } else {
+            console.error('Latency monitor failed:', error);
+            process.exitCode = 1;
+        }
+    });
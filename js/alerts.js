@@ -0,0 +1,202 @@
+/**
+ * Alerts.js - Threshold Alert Rules
+ */
+
+const ALERT_RULE_TYPES = ['latency', 'success-rate', 'offline'];
+
+// Success-rate rules wait for this many samples before judging
+const MIN_SUCCESS_RATE_SAMPLES = 5;
+
+class AlertManager {
+    constructor(rules = []) {
+        this.rules = [];
+        this.state = new Map();
+        this.setRules(rules);
+    }
+
+    /**
+     * Check a rule definition, returning a list of error messages
+     */
+    static validateRule(rule) {
+        const errors = [];
+        if (!rule || typeof rule !== 'object') {
+            return ['Rule must be an object'];
+        }
+
+        if (!rule.id) errors.push('Rule is missing an id');
+        if (!rule.providerId) errors.push('Rule is missing a provider (use "*" for all)');
+        if (!ALERT_RULE_TYPES.includes(rule.type)) {
+            errors.push(`Unknown rule type: ${rule.type}`);
+        }
+
+        if (rule.type === 'latency' && !(rule.threshold > 0)) {
+            errors.push('Latency rules need a threshold above 0ms');
+        }
+        if (rule.type === 'success-rate' && !(rule.threshold > 0 && rule.threshold <= 100)) {
+            errors.push('Success rate rules need a threshold between 0 and 100%');
+        }
+        if (rule.consecutive !== undefined && !(Number.isInteger(rule.consecutive) && rule.consecutive > 0)) {
+            errors.push('Consecutive samples must be a positive whole number');
+        }
+        if (rule.window !== undefined && !(Number.isInteger(rule.window) && rule.window >= MIN_SUCCESS_RATE_SAMPLES)) {
+            errors.push(`Success rate window must be at least ${MIN_SUCCESS_RATE_SAMPLES} samples`);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Replace the rule set; state is kept for rules that still exist
+     */
+    setRules(rules) {
+        if (!Array.isArray(rules)) {
+            console.error('setRules expects an array');
+            return;
+        }
+
+        this.rules = rules.filter(rule => {
+            const errors = AlertManager.validateRule(rule);
+            if (errors.length > 0) {
+                console.warn(`Skipping invalid alert rule ${rule && rule.id}:`, errors);
+                return false;
+            }
+            return true;
+        });
+
+        const ruleIds = new Set(this.rules.map(rule => rule.id));
+        Array.from(this.state.keys()).forEach(key => {
+            if (!ruleIds.has(key.split('::')[0])) {
+                this.state.delete(key);
+            }
+        });
+    }
+
+    /**
+     * Evaluate every matching rule against a new sample. Returns alert
+     * events: "triggered" when a rule starts failing, "resolved" when it clears.
+     */
+    evaluate(provider, sample) {
+        if (!provider || !sample) return [];
+
+        const events = [];
+        this.rules.forEach(rule => {
+            if (rule.enabled === false) return;
+            if (rule.providerId !== '*' && rule.providerId !== provider.id) return;
+
+            // Each probe target of a provider is tracked on its own
+            const key = sample.targetId ? `${rule.id}::${provider.id}::${sample.targetId}` : `${rule.id}::${provider.id}`;
+            const state = this.state.get(key) || { active: false, streak: 0, outcomes: [] };
+            const check = this.checkRule(rule, state, sample);
+            this.state.set(key, state);
+
+            if (check.breached === null) return;
+
+            if (check.breached && !state.active) {
+                state.active = true;
+                events.push(this.createEvent('triggered', rule, provider, check.value, sample.timestamp, sample.targetId));
+            } else if (!check.breached && state.active) {
+                state.active = false;
+                events.push(this.createEvent('resolved', rule, provider, check.value, sample.timestamp, sample.targetId));
+            }
+        });
+
+        return events;
+    }
+
+    /**
+     * Update rule state with a sample. `breached` is null when the sample
+     * says nothing about the rule (e.g. a failure for a latency rule).
+     */
+    checkRule(rule, state, sample) {
+        const consecutive = rule.consecutive || 1;
+
+        // A rate-limited probe shows the provider is up but throttling us
+        if (sample.outcome === 'rate-limited' && rule.type !== 'latency') {
+            return { breached: null };
+        }
+
+        if (rule.type === 'latency') {
+            if (!sample.success || typeof sample.latency !== 'number') {
+                return { breached: null };
+            }
+            state.streak = sample.latency > rule.threshold ? state.streak + 1 : 0;
+            if (state.streak === 0) {
+                return { breached: false, value: sample.latency };
+            }
+            // Between the first breach and the Nth, keep the current state
+            return { breached: state.streak >= consecutive ? true : (state.active ? true : null), value: sample.latency };
+        }
+
+        if (rule.type === 'success-rate') {
+            const window = rule.window || 20;
+            state.outcomes.push(Boolean(sample.success));
+            if (state.outcomes.length > window) {
+                state.outcomes.shift();
+            }
+            if (state.outcomes.length < MIN_SUCCESS_RATE_SAMPLES) {
+                return { breached: null };
+            }
+            const successes = state.outcomes.filter(Boolean).length;
+            const rate = Math.round((successes / state.outcomes.length) * 1000) / 10;
+            return { breached: rate < rule.threshold, value: rate };
+        }
+
+        // offline; a degraded probe (a wrong answer) still shows the provider is up
+        state.streak = sample.success || sample.outcome === 'assertion-failed' ? 0 : state.streak + 1;
+        if (state.streak === 0) {
+            return { breached: false, value: 'online' };
+        }
+        return { breached: state.streak >= consecutive ? true : (state.active ? true : null), value: 'offline' };
+    }
+
+    createEvent(type, rule, provider, value, timestamp, targetId = null) {
+        const target = targetId && Array.isArray(provider.targets)
+            ? provider.targets.find(candidate => candidate && candidate.id === targetId)
+            : null;
+        const name = provider.name || provider.id;
+        const fullName = targetId ? `${name} · ${(target && target.name) || targetId}` : name;
+
+        return {
+            type,
+            ruleId: rule.id,
+            ruleType: rule.type,
+            providerId: provider.id,
+            providerName: name,
+            targetId: targetId || null,
+            value,
+            threshold: rule.threshold ?? null,
+            message: AlertManager.describe(type, rule, fullName, value),
+            timestamp: timestamp || Date.now()
+        };
+    }
+
+    static describe(type, rule, name, value) {
+        const consecutive = rule.consecutive || 1;
+
+        if (rule.type === 'latency') {
+            return type === 'triggered'
+                ? `${name} latency ${value}ms above ${rule.threshold}ms for ${consecutive} sample(s)`
+                : `${name} latency recovered to ${value}ms`;
+        }
+        if (rule.type === 'success-rate') {
+            return type === 'triggered'
+                ? `${name} success rate ${value}% below ${rule.threshold}%`
+                : `${name} success rate recovered to ${value}%`;
+        }
+        return type === 'triggered' ? `${name} is offline` : `${name} is back online`;
+    }
+
+    /**
+     * Forget all rule state, e.g. after statistics are cleared
+     */
+    reset() {
+        this.state.clear();
+    }
+}
+
+// Export for use in app.js, or as a Node module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AlertManager };
+} else {
+    window.AlertManager = AlertManager;
+}
@@ -2,6 +2,49 @@
  * App.js - Main Application Logic
  */
 
+// Plain-text keys saved by older versions; moved into the key vault when it is created
+const API_KEYS_STORAGE_KEY = 'apiLatencyMonitor.apiKeys';
+const VAULT_SETTINGS_STORAGE_KEY = 'apiLatencyMonitor.vaultSettings';
+const RETENTION_STORAGE_KEY = 'apiLatencyMonitor.retention';
+const PROVIDERS_STORAGE_KEY = 'apiLatencyMonitor.providers';
+const ALERT_RULES_STORAGE_KEY = 'apiLatencyMonitor.alertRules';
+const ALERT_SETTINGS_STORAGE_KEY = 'apiLatencyMonitor.alertSettings';
+const ALERT_LOG_LIMIT = 100;
+const WEBHOOKS_STORAGE_KEY = 'apiLatencyMonitor.webhooks';
+const LOCATION_STORAGE_KEY = 'apiLatencyMonitor.location';
+const REPORT_STORAGE_KEY = 'apiLatencyMonitor.report';
+const BUDGET_STORAGE_KEY = 'apiLatencyMonitor.budget';
+
+const DEFAULT_ALERT_RULES = [
+    { id: 'default-offline', providerId: '*', type: 'offline', consecutive: 2, enabled: true }
+];
+
+const DEFAULT_RETENTION = {
+    maxAgeMs: 7 * 24 * 60 * 60 * 1000,
+    maxSamples: 50000,
+    historyLimit: 100
+};
+
+// Columns shown per compared location in the statistics table
+const LOCATION_COLUMNS = [
+    { label: 'Avg', format: stats => (stats.avg > 0 ? stats.avg + 'ms' : '--') },
+    { label: 'p95', format: stats => (typeof stats.p95 === 'number' ? stats.p95 + 'ms' : '--') },
+    { label: 'Success', format: stats => (stats.count > 0 ? ((stats.successes / stats.count) * 100).toFixed(1) + '%' : '--') }
+];
+
+// Chart line styles for the probe targets of one provider; the first is solid
+const TARGET_LINE_DASHES = [null, [6, 3], [2, 3], [10, 3, 2, 3]];
+
+const OUTCOME_LABELS = {
+    'reachable': 'Reachable',
+    'auth-required': 'Auth required',
+    'rate-limited': 'Rate limited',
+    'server-error': 'Server error',
+    'network-error': 'Network error',
+    'timeout': 'Timed out',
+    'assertion-failed': 'Assertion failed'
+};
+
 class App {
     constructor() {
         try {
@@ -9,176 +52,2278 @@ class App {
             this.chart = new LatencyChart('latencyChart');
             this.lastUpdateTime = null;
             this.eventListeners = [];
+            this.store = HistoryStore.isSupported() ? new HistoryStore() : null;
+            this.sessionPromise = null;
+            this.alerts = new AlertManager(this.loadAlertRules());
+            this.alertSettings = this.loadAlertSettings();
+            this.alertLog = [];
+            this.audioContext = null;
+            this.monitor.setAlertManager(this.alerts);
+            this.webhooks = new WebhookNotifier(this.loadWebhookTargets());
+            this.webhookStatus = {};
+            this.monitor.setWebhookNotifier(this.webhooks);
+            this.comparison = new LocationComparison();
+            this.statusPages = new StatusPageMonitor();
+            this.expandedProviders = new Set(); // cards showing their per-target breakdown
+            this.vault = KeyVault.isSupported()
+                ? new KeyVault({ onLock: reason => this.handleVaultLock(reason) })
+                : null;
+            this.locationSettings = this.loadLocationSettings();
 
             this.initializeElements();
+            this.reportSettings = this.loadReportSettings();
+            this.report = null;
+            this.burst = null; // the running burst test
+            this.burstResult = null;
+            this.restoreProviderConfigs();
+            this.renderProviderManager();
+            // Keys are only available once the vault is unlocked
+            this.monitor.setApiKeys(this.vault && this.vault.exists() ? {} : this.loadLegacyApiKeys());
+            this.loadVaultSettings();
+            this.loadBudget();
+            this.renderVaultStatus();
+            this.renderApiKeyInputs();
+            this.renderAlertRules();
+            this.renderBurstProviders();
+            this.renderWebhookTargets();
+            this.renderBundleList();
             this.attachEventListeners();
-            this.monitor.setUpdateCallback((event, provider) => this.handleMonitorUpdate(event, provider));
+            this.monitor.setUpdateCallback((event, provider, data) => this.handleMonitorUpdate(event, provider, data));
             this.updateDisplay();
+            this.initializeHistory().catch(error => {
+                console.error('Failed to restore history:', error);
+                this.setHistoryStatus('Could not restore saved history.');
+            });
         } catch (error) {
             console.error('Failed to initialize app:', error);
             this.showError('Failed to initialize application. Please refresh the page.');
         }
-    }
+    }
+
+    destroy() {
+        // Clean up event listeners to prevent memory leaks
+        this.eventListeners.forEach(({ element, event, handler }) => {
+            if (element && handler) {
+                element.removeEventListener(event, handler);
+            }
+        });
+        this.eventListeners = [];
+
+        // Clean up chart
+        if (this.chart && this.chart.destroy) {
+            this.chart.destroy();
+        }
+
+        // Stop monitoring
+        if (this.monitor && this.monitor.stop) {
+            this.monitor.stop();
+        }
+        if (this.burst) {
+            this.burst.stop();
+        }
+        if (this.statusPages) {
+            this.statusPages.stop();
+        }
+        if (this.vault) {
+            this.vault.lock();
+        }
+
+        if (this.store) {
+            this.store.close();
+        }
+    }
+
+    showError(message) {
+        const errorDiv = document.createElement('div');
+        errorDiv.style.cssText = 'position: fixed; top: 20px; left: 50%; transform: translateX(-50%); background: #ef4444; color: white; padding: 16px 24px; border-radius: 8px; z-index: 1000; font-family: sans-serif;';
+        errorDiv.textContent = message;
+        document.body.appendChild(errorDiv);
+        setTimeout(() => errorDiv.remove(), 5000);
+    }
+
+    initializeElements() {
+        // Control elements
+        this.startBtn = document.getElementById('startBtn');
+        this.stopBtn = document.getElementById('stopBtn');
+        this.clearBtn = document.getElementById('clearBtn');
+        this.testMode = document.getElementById('testMode');
+        this.testInterval = document.getElementById('testInterval');
+        this.statusText = document.getElementById('statusText');
+        this.lastUpdate = document.getElementById('lastUpdate');
+
+        // Stats elements
+        this.totalTests = document.getElementById('totalTests');
+        this.totalSpend = document.getElementById('totalSpend');
+        this.budgetCap = document.getElementById('budgetCap');
+        this.avgLatency = document.getElementById('avgLatency');
+        this.fastestProvider = document.getElementById('fastestProvider');
+
+        // Container elements
+        this.providersGrid = document.getElementById('providersGrid');
+        this.statsTableBody = document.getElementById('statsTableBody');
+        this.statsWindow = document.getElementById('statsWindow');
+        this.maxConcurrency = document.getElementById('maxConcurrency');
+        this.showPercentiles = document.getElementById('showPercentiles');
+        this.apiKeysGrid = document.getElementById('apiKeysGrid');
+        this.saveKeysBtn = document.getElementById('saveKeysBtn');
+        this.vaultStatus = document.getElementById('vaultStatus');
+        this.vaultPassphrase = document.getElementById('vaultPassphrase');
+        this.vaultUnlockBtn = document.getElementById('vaultUnlockBtn');
+        this.vaultLockBtn = document.getElementById('vaultLockBtn');
+        this.vaultIdle = document.getElementById('vaultIdle');
+        this.vaultForgetBtn = document.getElementById('vaultForgetBtn');
+
+        // History elements
+        this.sessionSelect = document.getElementById('sessionSelect');
+        this.retentionAge = document.getElementById('retentionAge');
+        this.retentionCount = document.getElementById('retentionCount');
+        this.historyLimit = document.getElementById('historyLimit');
+        this.loadSessionBtn = document.getElementById('loadSessionBtn');
+        this.deleteSessionBtn = document.getElementById('deleteSessionBtn');
+        this.historyStatus = document.getElementById('historyStatus');
+
+        // Provider manager elements
+        this.providerListBody = document.getElementById('providerListBody');
+        this.providerForm = document.getElementById('providerForm');
+        this.providerFormTitle = document.getElementById('providerFormTitle');
+        this.providerFormErrors = document.getElementById('providerFormErrors');
+        this.providerFormCancel = document.getElementById('providerFormCancel');
+        this.resetProvidersBtn = document.getElementById('resetProvidersBtn');
+        this.providerFields = {
+            id: document.getElementById('providerId'),
+            name: document.getElementById('providerName'),
+            endpoint: document.getElementById('providerEndpoint'),
+            pingPath: document.getElementById('providerPingPath'),
+            color: document.getElementById('providerColor'),
+            method: document.getElementById('providerMethod'),
+            testMode: document.getElementById('providerTestMode'),
+            interval: document.getElementById('providerInterval'),
+            timeout: document.getElementById('providerTimeout'),
+            retries: document.getElementById('providerRetries'),
+            retryDelay: document.getElementById('providerRetryDelay'),
+            statusPage: document.getElementById('providerStatusPage'),
+            format: document.getElementById('providerFormat'),
+            model: document.getElementById('providerModel'),
+            headers: document.getElementById('providerHeaders'),
+            targets: document.getElementById('providerTargets'),
+            assertions: document.getElementById('providerAssertions')
+        };
+
+        // Alert elements
+        this.alertRuleForm = document.getElementById('alertRuleForm');
+        this.alertProvider = document.getElementById('alertProvider');
+        this.alertType = document.getElementById('alertType');
+        this.alertThreshold = document.getElementById('alertThreshold');
+        this.alertConsecutive = document.getElementById('alertConsecutive');
+        this.alertRulesBody = document.getElementById('alertRulesBody');
+        this.alertRuleErrors = document.getElementById('alertRuleErrors');
+        this.alertNotify = document.getElementById('alertNotify');
+        this.alertSound = document.getElementById('alertSound');
+        this.alertLogList = document.getElementById('alertLog');
+        this.clearAlertLogBtn = document.getElementById('clearAlertLogBtn');
+
+        // Webhook elements
+        this.webhookForm = document.getElementById('webhookForm');
+        this.webhookName = document.getElementById('webhookName');
+        this.webhookUrl = document.getElementById('webhookUrl');
+        this.webhookFormat = document.getElementById('webhookFormat');
+        this.webhookTemplate = document.getElementById('webhookTemplate');
+        this.webhookErrors = document.getElementById('webhookErrors');
+        this.webhookTargetsBody = document.getElementById('webhookTargetsBody');
+
+        // Export / import elements
+        this.exportButtons = document.querySelectorAll('[data-export]');
+        this.importFile = document.getElementById('importFile');
+
+        // Location comparison elements
+        this.locationLabel = document.getElementById('locationLabel');
+        this.exportBundleBtn = document.getElementById('exportBundleBtn');
+        this.bundleFile = document.getElementById('bundleFile');
+        this.clearBundlesBtn = document.getElementById('clearBundlesBtn');
+        this.bundleListBody = document.getElementById('bundleListBody');
+        this.statsHeaderRow = document.getElementById('statsHeaderRow');
+
+        // Availability report elements
+        this.reportPeriod = document.getElementById('reportPeriod');
+        this.slaTarget = document.getElementById('slaTarget');
+        this.reportMinFailures = document.getElementById('reportMinFailures');
+        this.generateReportBtn = document.getElementById('generateReportBtn');
+        this.reportExportButtons = document.querySelectorAll('[data-report-export]');
+        this.reportStatus = document.getElementById('reportStatus');
+        this.reportSummaryBody = document.getElementById('reportSummaryBody');
+        this.reportTimeline = document.getElementById('reportTimeline');
+        this.reportIncidentsBody = document.getElementById('reportIncidentsBody');
+
+        // Burst test elements
+        this.burstProvider = document.getElementById('burstProvider');
+        this.burstMode = document.getElementById('burstMode');
+        this.burstConcurrency = document.getElementById('burstConcurrency');
+        this.burstDuration = document.getElementById('burstDuration');
+        this.burstMaxRequests = document.getElementById('burstMaxRequests');
+        this.burstStartBtn = document.getElementById('burstStartBtn');
+        this.burstStopBtn = document.getElementById('burstStopBtn');
+        this.burstExportButtons = document.querySelectorAll('[data-burst-export]');
+        this.burstStatus = document.getElementById('burstStatus');
+        this.burstTableBody = document.getElementById('burstTableBody');
+
+        // Validate critical elements
+        const requiredElements = {
+            startBtn: this.startBtn,
+            stopBtn: this.stopBtn,
+            clearBtn: this.clearBtn,
+            testMode: this.testMode,
+            testInterval: this.testInterval,
+            statusText: this.statusText,
+            providersGrid: this.providersGrid,
+            statsTableBody: this.statsTableBody
+        };
+
+        const missing = Object.entries(requiredElements)
+            .filter(([name, element]) => !element)
+            .map(([name]) => name);
+
+        if (missing.length > 0) {
+            throw new Error(`Missing required DOM elements: ${missing.join(', ')}`);
+        }
+    }
+
+    attachEventListeners() {
+        const startHandler = () => this.startMonitoring();
+        const stopHandler = () => this.stopMonitoring();
+        const clearHandler = () => this.clearData();
+
+        this.startBtn.addEventListener('click', startHandler);
+        this.stopBtn.addEventListener('click', stopHandler);
+        this.clearBtn.addEventListener('click', clearHandler);
+
+        // Track event listeners for cleanup
+        this.eventListeners.push(
+            { element: this.startBtn, event: 'click', handler: startHandler },
+            { element: this.stopBtn, event: 'click', handler: stopHandler },
+            { element: this.clearBtn, event: 'click', handler: clearHandler }
+        );
+
+        if (this.saveKeysBtn) {
+            const saveKeysHandler = () => this.saveApiKeys();
+            this.saveKeysBtn.addEventListener('click', saveKeysHandler);
+            this.eventListeners.push({ element: this.saveKeysBtn, event: 'click', handler: saveKeysHandler });
+        }
+
+        // Key vault controls; any user activity postpones the idle lock
+        this.listen(this.vaultUnlockBtn, 'click', () => this.unlockVault());
+        this.listen(this.vaultPassphrase, 'keydown', event => {
+            if (event.key === 'Enter') this.unlockVault();
+        });
+        this.listen(this.vaultLockBtn, 'click', () => this.vault && this.vault.lock());
+        this.listen(this.vaultForgetBtn, 'click', () => this.forgetVault());
+        this.listen(this.vaultIdle, 'change', () => this.saveVaultSettings());
+        ['pointerdown', 'keydown'].forEach(event => {
+            this.listen(document, event, () => this.vault && this.vault.touch());
+        });
+
+        // Saved history controls
+        this.listen(this.loadSessionBtn, 'click', () => this.loadSelectedSession());
+        this.listen(this.deleteSessionBtn, 'click', () => this.deleteSelectedSession());
+        [this.retentionAge, this.retentionCount, this.historyLimit].forEach(select => {
+            this.listen(select, 'change', () => this.applyRetentionSettings());
+        });
+
+        // Provider manager
+        this.listen(this.providerForm, 'submit', (e) => {
+            e.preventDefault();
+            this.saveProviderForm();
+        });
+        this.listen(this.providerFormCancel, 'click', () => this.fillProviderForm(null));
+        this.listen(this.resetProvidersBtn, 'click', () => this.resetProviders());
+
+        // Alerts
+        this.listen(this.alertRuleForm, 'submit', (e) => {
+            e.preventDefault();
+            this.addAlertRule();
+        });
+        this.listen(this.alertType, 'change', () => this.updateAlertFormFields());
+        this.listen(this.alertNotify, 'change', () => this.setNotificationsEnabled(this.alertNotify.checked));
+        this.listen(this.alertSound, 'change', () => {
+            this.alertSettings.sound = this.alertSound.checked;
+            this.saveAlertSettings();
+        });
+        this.listen(this.clearAlertLogBtn, 'click', () => {
+            this.alertLog = [];
+            this.renderAlertLog();
+        });
+
+        // Webhooks
+        this.listen(this.webhookForm, 'submit', (e) => {
+            e.preventDefault();
+            this.addWebhookTarget();
+        });
+        this.listen(this.webhookFormat, 'change', () => {
+            this.webhookTemplate.placeholder = WEBHOOK_TEMPLATES[this.webhookFormat.value] || '';
+        });
+
+        // Global cap on simultaneous requests; applies immediately
+        this.listen(this.maxConcurrency, 'change', () => {
+            this.monitor.setMaxConcurrency(this.maxConcurrency.value);
+        });
+        this.listen(this.budgetCap, 'change', () => this.saveBudget());
+
+        // Statistics window and percentile bands
+        this.listen(this.statsWindow, 'change', () => {
+            this.monitor.setStatsWindow(this.statsWindow.value);
+            this.updateDisplay();
+        });
+        this.listen(this.showPercentiles, 'change', () => {
+            this.chart.setShowPercentiles(this.showPercentiles.checked);
+            this.updateChart();
+        });
+
+        // Export and import
+        this.exportButtons.forEach(btn => {
+            this.listen(btn, 'click', () => this.exportData(btn.getAttribute('data-export')));
+        });
+        this.listen(this.importFile, 'change', () => this.importData());
+
+        // Location comparison
+        this.listen(this.locationLabel, 'change', () => {
+            this.locationSettings.label = this.locationLabel.value.trim();
+            this.saveLocationSettings();
+            this.refreshComparison();
+        });
+        this.listen(this.exportBundleBtn, 'click', () => this.exportBundle());
+        this.listen(this.bundleFile, 'change', () => this.importBundles());
+        this.listen(this.clearBundlesBtn, 'click', () => {
+            this.comparison.clear();
+            this.refreshComparison();
+        });
+
+        // Availability report
+        [this.reportPeriod, this.slaTarget, this.reportMinFailures].forEach(input => {
+            this.listen(input, 'change', () => this.saveReportSettings());
+        });
+        this.listen(this.generateReportBtn, 'click', () => this.generateReport());
+        this.reportExportButtons.forEach(btn => {
+            this.listen(btn, 'click', () => this.exportReport(btn.getAttribute('data-report-export')));
+        });
+
+        // Burst test
+        this.listen(this.burstStartBtn, 'click', () => this.runBurstTest());
+        this.listen(this.burstStopBtn, 'click', () => this.burst && this.burst.stop());
+        this.burstExportButtons.forEach(btn => {
+            this.listen(btn, 'click', () => this.exportBurst(btn.getAttribute('data-burst-export')));
+        });
+
+        // Chart range buttons
+        document.querySelectorAll('.chart-btn[data-range]').forEach(btn => {
+            const handler = (e) => {
+                if (!e.target) return;
+                document.querySelectorAll('.chart-btn[data-range]').forEach(b => b.classList.remove('active'));
+                e.target.classList.add('active');
+                const range = e.target.getAttribute('data-range');
+                if (range && this.chart) {
+                    this.chart.setDataRange(range);
+                    this.updateChart();
+                }
+            };
+            btn.addEventListener('click', handler);
+            this.eventListeners.push({ element: btn, event: 'click', handler });
+        });
+
+        // Chart view buttons
+        document.querySelectorAll('.chart-btn[data-view]').forEach(btn => {
+            const handler = (e) => {
+                if (!e.target) return;
+                document.querySelectorAll('.chart-btn[data-view]').forEach(b => b.classList.remove('active'));
+                e.target.classList.add('active');
+                const view = e.target.getAttribute('data-view');
+                if (view && this.chart) {
+                    this.chart.setView(view);
+                    this.updateChart();
+                }
+            };
+            btn.addEventListener('click', handler);
+            this.eventListeners.push({ element: btn, event: 'click', handler });
+        });
+    }
+
+    listen(element, event, handler) {
+        if (!element) return;
+        element.addEventListener(event, handler);
+        this.eventListeners.push({ element, event, handler });
+    }
+
+    /**
+     * Plain-text keys left in localStorage by older versions
+     */
+    loadLegacyApiKeys() {
+        try {
+            const stored = localStorage.getItem(API_KEYS_STORAGE_KEY);
+            const keys = stored ? JSON.parse(stored) : {};
+            return keys && typeof keys === 'object' ? keys : {};
+        } catch (error) {
+            console.error('Failed to load API keys:', error);
+            return {};
+        }
+    }
+
+    readApiKeyInputs() {
+        const keys = {};
+        if (!this.apiKeysGrid) return keys;
+
+        this.apiKeysGrid.querySelectorAll('input[data-provider]').forEach(input => {
+            const value = input.value.trim();
+            if (value) {
+                keys[input.getAttribute('data-provider')] = value;
+            }
+        });
+        return keys;
+    }
+
+    async saveApiKeys() {
+        if (!this.apiKeysGrid) return;
+
+        const keys = this.readApiKeyInputs();
+
+        // Without WebCrypto, keys are used for this page only and never saved
+        if (!this.vault) {
+            this.monitor.setApiKeys(keys);
+            this.statusText.textContent = `Using API keys for ${Object.keys(keys).length} provider(s) until this page is closed`;
+            return;
+        }
+        if (!this.vault.isUnlocked()) {
+            this.showError(this.vault.exists()
+                ? 'Unlock the key vault before saving keys.'
+                : 'Choose a passphrase and create the key vault before saving keys.');
+            return;
+        }
+
+        try {
+            await this.vault.setKeys(keys);
+        } catch (error) {
+            console.error('Failed to save API keys:', this.monitor.redactError(error));
+            this.showError('Could not save API keys to the key vault.');
+            return;
+        }
+
+        this.monitor.setApiKeys(this.vault.getKeys());
+        this.statusText.textContent = `Saved encrypted API keys for ${Object.keys(keys).length} provider(s)`;
+    }
+
+    /**
+     * Unlock the vault, or create it on first use. Creating the vault moves
+     * plain-text keys from older versions into it.
+     */
+    async unlockVault() {
+        if (!this.vault || !this.vaultPassphrase) return;
+
+        const passphrase = this.vaultPassphrase.value;
+        this.vaultPassphrase.value = '';
+        const creating = !this.vault.exists();
+
+        try {
+            if (creating) {
+                await this.vault.create(passphrase, { ...this.loadLegacyApiKeys(), ...this.readApiKeyInputs() });
+                localStorage.removeItem(API_KEYS_STORAGE_KEY);
+            } else {
+                await this.vault.unlock(passphrase);
+            }
+        } catch (error) {
+            this.showError(error.message);
+            return;
+        }
+
+        this.vault.setIdleTimeout(parseInt(this.vaultIdle ? this.vaultIdle.value : '', 10) || KEY_VAULT_IDLE_MS);
+        this.monitor.setApiKeys(this.vault.getKeys());
+        this.renderVaultStatus();
+        this.renderApiKeyInputs();
+        this.statusText.textContent = creating ? 'Created the key vault' : 'Key vault unlocked';
+    }
+
+    handleVaultLock(reason) {
+        this.monitor.setApiKeys({});
+        this.renderVaultStatus();
+        this.renderApiKeyInputs();
+
+        if (this.statusText) {
+            this.statusText.textContent = reason === 'idle'
+                ? 'Key vault locked after inactivity - unlock it to resume authenticated probes'
+                : 'Key vault locked';
+        }
+    }
+
+    forgetVault() {
+        if (!this.vault || !this.vault.exists()) return;
+        if (!confirm('Delete the encrypted API keys? This cannot be undone.')) return;
+
+        this.vault.destroy();
+        this.monitor.setApiKeys({});
+        this.renderVaultStatus();
+        this.renderApiKeyInputs();
+        this.statusText.textContent = 'Deleted the key vault';
+    }
+
+    loadVaultSettings() {
+        let settings = {};
+        try {
+            settings = JSON.parse(localStorage.getItem(VAULT_SETTINGS_STORAGE_KEY)) || {};
+        } catch (error) {
+            console.error('Failed to load key vault settings:', error);
+        }
+
+        if (this.vaultIdle && settings.idleTimeout) {
+            this.vaultIdle.value = String(settings.idleTimeout);
+        }
+        if (this.vault && this.vaultIdle) {
+            this.vault.setIdleTimeout(parseInt(this.vaultIdle.value, 10) || KEY_VAULT_IDLE_MS);
+        }
+    }
+
+    saveVaultSettings() {
+        const idleTimeout = parseInt(this.vaultIdle.value, 10) || KEY_VAULT_IDLE_MS;
+        if (this.vault) {
+            this.vault.setIdleTimeout(idleTimeout);
+        }
+        try {
+            localStorage.setItem(VAULT_SETTINGS_STORAGE_KEY, JSON.stringify({ idleTimeout }));
+        } catch (error) {
+            console.error('Failed to save key vault settings:', error);
+        }
+        this.renderVaultStatus();
+    }
+
+    renderVaultStatus() {
+        if (!this.vaultStatus) return;
+
+        const show = (element, visible) => {
+            if (element) element.style.display = visible ? '' : 'none';
+        };
+
+        if (!this.vault) {
+            this.vaultStatus.className = 'vault-status unavailable';
+            this.vaultStatus.textContent = '⚠️ Encryption needs HTTPS or localhost - keys are kept for this page only';
+            [this.vaultPassphrase, this.vaultUnlockBtn, this.vaultLockBtn, this.vaultIdle, this.vaultForgetBtn]
+                .forEach(element => show(element, false));
+            return;
+        }
+
+        const exists = this.vault.exists();
+        const unlocked = this.vault.isUnlocked();
+        const minutes = Math.round(this.vault.idleTimeout / 60000);
+
+        if (unlocked) {
+            this.vaultStatus.className = 'vault-status unlocked';
+            this.vaultStatus.textContent = `🔓 Unlocked - locks after ${minutes} min without activity`;
+        } else if (exists) {
+            this.vaultStatus.className = 'vault-status locked';
+            this.vaultStatus.textContent = '🔒 Locked';
+        } else {
+            const legacy = Object.keys(this.loadLegacyApiKeys()).length;
+            this.vaultStatus.className = 'vault-status locked';
+            this.vaultStatus.textContent = legacy > 0
+                ? `⚠️ ${legacy} key(s) saved unencrypted - choose a passphrase to encrypt them`
+                : 'No key vault yet - choose a passphrase to create one';
+        }
+
+        show(this.vaultPassphrase, !unlocked);
+        show(this.vaultUnlockBtn, !unlocked);
+        show(this.vaultLockBtn, unlocked);
+        show(this.vaultForgetBtn, exists);
+        if (this.vaultUnlockBtn) {
+            this.vaultUnlockBtn.textContent = exists ? '🔓 Unlock' : '🔐 Create Vault';
+        }
+        if (this.vaultPassphrase) {
+            this.vaultPassphrase.autocomplete = exists ? 'current-password' : 'new-password';
+        }
+    }
+
+    renderApiKeyInputs() {
+        if (!this.apiKeysGrid) return;
+
+        const keys = this.monitor.apiKeys;
+        // A locked vault's keys cannot be shown or edited
+        const locked = Boolean(this.vault && this.vault.exists() && !this.vault.isUnlocked());
+        this.apiKeysGrid.innerHTML = '';
+        if (this.saveKeysBtn) {
+            this.saveKeysBtn.disabled = locked;
+        }
+
+        this.monitor.providers.forEach(provider => {
+            if (!provider || !provider.request) return;
+
+            const group = document.createElement('div');
+            group.className = 'control-group';
+
+            const label = document.createElement('label');
+            label.htmlFor = `apiKey-${provider.id}`;
+            label.textContent = provider.name || 'Unknown';
+
+            const input = document.createElement('input');
+            input.type = 'password';
+            input.id = `apiKey-${provider.id}`;
+            input.autocomplete = 'off';
+            input.placeholder = locked ? 'Locked' : 'API key';
+            input.disabled = locked;
+            input.setAttribute('data-provider', provider.id);
+            input.value = keys[provider.id] || '';
+
+            group.appendChild(label);
+            group.appendChild(input);
+            this.apiKeysGrid.appendChild(group);
+        });
+    }
+
+    restoreProviderConfigs() {
+        let saved = null;
+        try {
+            const stored = localStorage.getItem(PROVIDERS_STORAGE_KEY);
+            saved = stored ? JSON.parse(stored) : null;
+        } catch (error) {
+            console.error('Failed to load saved providers:', error);
+            return;
+        }
+        if (!saved) return;
+
+        const { errors } = validateProviderList(saved);
+        if (errors.length > 0) {
+            console.error('Ignoring saved providers:', errors);
+            this.showError('Saved providers are invalid - using the defaults.');
+            return;
+        }
+        this.monitor.setProviders(saved);
+    }
+
+    /**
+     * Use configs as the provider list; save: false leaves nothing in
+     * storage, so the built-in defaults keep tracking API_PROVIDERS
+     */
+    applyProviderConfigs(configs, { save = true } = {}) {
+        this.monitor.setProviders(configs);
+        this.statusPages.setProviders(this.monitor.providers);
+
+        if (save) {
+            try {
+                localStorage.setItem(PROVIDERS_STORAGE_KEY, JSON.stringify(this.monitor.getProviderConfigs()));
+            } catch (error) {
+                console.error('Failed to save providers:', error);
+                this.showError('Could not save providers to local storage.');
+            }
+        }
+
+        this.renderProviderManager();
+        this.renderApiKeyInputs();
+        this.renderAlertRules();
+        this.renderBurstProviders();
+        this.updateDisplay();
+        this.updateChart();
+    }
+
+    renderProviderManager() {
+        if (!this.providerListBody) return;
+
+        // Format choices come from the request builders in providers.js
+        const formatSelect = this.providerFields.format;
+        if (formatSelect && formatSelect.options.length <= 1) {
+            Object.keys(REQUEST_FORMATS).forEach(format => {
+                const option = document.createElement('option');
+                option.value = format;
+                option.textContent = format;
+                formatSelect.appendChild(option);
+            });
+        }
+
+        this.providerListBody.innerHTML = '';
+        this.monitor.getProviderConfigs().forEach(provider => {
+            const row = document.createElement('tr');
+
+            const nameCell = document.createElement('td');
+            nameCell.textContent = provider.name;
+            nameCell.style.color = provider.color;
+            nameCell.style.fontWeight = '600';
+
+            const endpointCell = document.createElement('td');
+            endpointCell.className = 'endpoint-cell';
+            endpointCell.textContent = provider.endpoint + provider.pingPath;
+
+            const modeCell = document.createElement('td');
+            modeCell.textContent = provider.testMode || 'global';
+            if (provider.interval) {
+                modeCell.textContent += ` · ${provider.interval / 1000}s`;
+            }
+            if (Array.isArray(provider.targets) && provider.targets.length > 0) {
+                modeCell.textContent += ` · ${provider.targets.length} targets`;
+            }
+            if (Array.isArray(provider.assertions) && provider.assertions.length > 0) {
+                modeCell.textContent += ` · ${provider.assertions.length} assertions`;
+            }
+
+            const enabledCell = document.createElement('td');
+            const toggle = document.createElement('input');
+            toggle.type = 'checkbox';
+            toggle.checked = provider.enabled !== false;
+            toggle.setAttribute('aria-label', `Enable ${provider.name}`);
+            toggle.addEventListener('change', () => this.setProviderEnabled(provider.id, toggle.checked));
+            enabledCell.appendChild(toggle);
+
+            const actionsCell = document.createElement('td');
+            const editBtn = document.createElement('button');
+            editBtn.type = 'button';
+            editBtn.className = 'chart-btn';
+            editBtn.textContent = 'Edit';
+            editBtn.addEventListener('click', () => this.fillProviderForm(provider));
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'chart-btn';
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.addEventListener('click', () => this.deleteProvider(provider.id));
+            actionsCell.appendChild(editBtn);
+            actionsCell.appendChild(deleteBtn);
+
+            row.appendChild(nameCell);
+            row.appendChild(endpointCell);
+            row.appendChild(modeCell);
+            row.appendChild(enabledCell);
+            row.appendChild(actionsCell);
+            this.providerListBody.appendChild(row);
+        });
+    }
+
+    fillProviderForm(provider) {
+        const fields = this.providerFields;
+        if (!fields.name) return;
+
+        fields.id.value = provider ? provider.id : '';
+        fields.name.value = provider ? provider.name : '';
+        fields.endpoint.value = provider ? provider.endpoint : '';
+        fields.pingPath.value = provider ? provider.pingPath : '/';
+        fields.color.value = provider ? provider.color : '#6366f1';
+        fields.method.value = provider && provider.method ? provider.method : 'GET';
+        fields.testMode.value = provider && provider.testMode ? provider.testMode : '';
+        const interval = provider && provider.interval ? String(provider.interval) : '';
+        // Intervals imported from a providers file may not be one of the presets
+        if (interval && !Array.from(fields.interval.options).some(option => option.value === interval)) {
+            const option = document.createElement('option');
+            option.value = interval;
+            option.textContent = `${provider.interval / 1000} seconds`;
+            fields.interval.appendChild(option);
+        }
+        fields.interval.value = interval;
+        fields.format.value = provider && provider.request ? provider.request.format : '';
+        fields.model.value = provider && provider.request ? provider.request.model || '' : '';
+        fields.headers.value = provider && provider.headers ? JSON.stringify(provider.headers, null, 2) : '';
+        fields.targets.value = provider && Array.isArray(provider.targets) ? JSON.stringify(provider.targets, null, 2) : '';
+        fields.assertions.value = provider && Array.isArray(provider.assertions) ? JSON.stringify(provider.assertions, null, 2) : '';
+        fields.statusPage.value = provider && provider.statusPage ? provider.statusPage : '';
+        fields.timeout.value = provider && provider.timeout ? String(provider.timeout) : '';
+        fields.retries.value = provider && typeof provider.retries === 'number' ? String(provider.retries) : '';
+        fields.retryDelay.value = provider && typeof provider.retryDelay === 'number' ? String(provider.retryDelay) : '';
+
+        if (this.providerFormTitle) {
+            this.providerFormTitle.textContent = provider ? `Edit ${provider.name}` : 'Add Provider';
+        }
+        if (this.providerFormErrors) {
+            this.providerFormErrors.textContent = '';
+        }
+        if (provider) {
+            fields.name.focus();
+        }
+    }
+
+    saveProviderForm() {
+        const fields = this.providerFields;
+        const configs = this.monitor.getProviderConfigs();
+        const editingId = fields.id.value;
+        const existing = configs.find(provider => provider.id === editingId) || null;
+        const errors = [];
+
+        let headers;
+        const headersText = fields.headers.value.trim();
+        if (headersText) {
+            try {
+                headers = JSON.parse(headersText);
+            } catch (error) {
+                errors.push(`Headers must be valid JSON: ${error.message}`);
+            }
+        }
+
+        let targets;
+        const targetsText = fields.targets.value.trim();
+        if (targetsText) {
+            try {
+                targets = JSON.parse(targetsText);
+            } catch (error) {
+                errors.push(`Targets must be valid JSON: ${error.message}`);
+            }
+        }
+
+        let assertions;
+        const assertionsText = fields.assertions.value.trim();
+        if (assertionsText) {
+            try {
+                assertions = JSON.parse(assertionsText);
+            } catch (error) {
+                errors.push(`Assertions must be valid JSON: ${error.message}`);
+            }
+        }
+
+        // Blank numeric fields fall back to the monitor's defaults
+        const optionalNumber = input => (input.value.trim() === '' ? undefined : Number(input.value));
+
+        const name = fields.name.value.trim();
+        const config = {
+            ...(existing || {}),
+            id: existing ? existing.id : this.createProviderId(name, configs),
+            name,
+            endpoint: fields.endpoint.value.trim().replace(/\/+$/, ''),
+            pingPath: fields.pingPath.value.trim() || '/',
+            color: fields.color.value,
+            method: fields.method.value || 'GET',
+            testMode: fields.testMode.value || undefined,
+            interval: fields.interval.value ? parseInt(fields.interval.value, 10) : undefined,
+            statusPage: fields.statusPage.value.trim() || undefined,
+            timeout: optionalNumber(fields.timeout),
+            retries: optionalNumber(fields.retries),
+            retryDelay: optionalNumber(fields.retryDelay),
+            headers,
+            targets,
+            assertions,
+            enabled: existing ? existing.enabled !== false : true
+        };
+
+        // Keep path/auth overrides only while the request format is unchanged
+        const format = fields.format.value;
+        if (format) {
+            const keepOverrides = existing && existing.request && existing.request.format === format;
+            config.request = {
+                ...(keepOverrides ? existing.request : {}),
+                format,
+                model: fields.model.value.trim()
+            };
+        } else {
+            delete config.request;
+        }
+
+        const updated = existing
+            ? configs.map(provider => (provider.id === existing.id ? config : provider))
+            : [...configs, config];
+
+        errors.push(...validateProviderList(updated).errors);
+        if (errors.length > 0) {
+            if (this.providerFormErrors) {
+                this.providerFormErrors.textContent = errors.join('\n');
+            }
+            return;
+        }
+
+        this.applyProviderConfigs(updated);
+        this.fillProviderForm(null);
+        this.statusText.textContent = `Saved provider ${config.name}`;
+    }
+
+    createProviderId(name, configs) {
+        const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'provider';
+        const taken = new Set(configs.map(provider => provider.id));
+        let id = base;
+        for (let suffix = 2; taken.has(id); suffix++) {
+            id = `${base}-${suffix}`;
+        }
+        return id;
+    }
+
+    setProviderEnabled(id, enabled) {
+        const configs = this.monitor.getProviderConfigs().map(provider =>
+            provider.id === id ? { ...provider, enabled } : provider
+        );
+        this.applyProviderConfigs(configs);
+    }
+
+    deleteProvider(id) {
+        const provider = this.monitor.providers.find(p => p.id === id);
+        if (!provider || !confirm(`Delete provider "${provider.name}"?`)) return;
+
+        this.applyProviderConfigs(this.monitor.getProviderConfigs().filter(p => p.id !== id));
+        if (this.providerFields.id && this.providerFields.id.value === id) {
+            this.fillProviderForm(null);
+        }
+    }
+
+    resetProviders() {
+        if (!confirm('Replace all providers with the built-in defaults?')) return;
+
+        try {
+            localStorage.removeItem(PROVIDERS_STORAGE_KEY);
+        } catch (error) {
+            console.error('Failed to clear saved providers:', error);
+        }
+        this.applyProviderConfigs(API_PROVIDERS, { save: false });
+        this.fillProviderForm(null);
+    }
+
+    loadAlertRules() {
+        try {
+            const stored = localStorage.getItem(ALERT_RULES_STORAGE_KEY);
+            const rules = stored ? JSON.parse(stored) : DEFAULT_ALERT_RULES;
+            return Array.isArray(rules) ? rules : DEFAULT_ALERT_RULES;
+        } catch (error) {
+            console.error('Failed to load alert rules:', error);
+            return DEFAULT_ALERT_RULES;
+        }
+    }
+
+    saveAlertRules() {
+        try {
+            localStorage.setItem(ALERT_RULES_STORAGE_KEY, JSON.stringify(this.alerts.rules));
+        } catch (error) {
+            console.error('Failed to save alert rules:', error);
+        }
+    }
+
+    loadAlertSettings() {
+        try {
+            const stored = localStorage.getItem(ALERT_SETTINGS_STORAGE_KEY);
+            return { notify: false, sound: false, ...(stored ? JSON.parse(stored) : {}) };
+        } catch (error) {
+            console.error('Failed to load alert settings:', error);
+            return { notify: false, sound: false };
+        }
+    }
+
+    saveAlertSettings() {
+        try {
+            localStorage.setItem(ALERT_SETTINGS_STORAGE_KEY, JSON.stringify(this.alertSettings));
+        } catch (error) {
+            console.error('Failed to save alert settings:', error);
+        }
+    }
+
+    async setNotificationsEnabled(enabled) {
+        if (enabled) {
+            if (typeof Notification === 'undefined') {
+                this.showError('This browser does not support notifications.');
+                enabled = false;
+            } else if (Notification.permission !== 'granted') {
+                const permission = await Notification.requestPermission();
+                enabled = permission === 'granted';
+                if (!enabled) {
+                    this.showError('Notification permission was not granted.');
+                }
+            }
+        }
+
+        this.alertSettings.notify = enabled;
+        if (this.alertNotify) this.alertNotify.checked = enabled;
+        this.saveAlertSettings();
+    }
+
+    updateAlertFormFields() {
+        if (!this.alertType || !this.alertThreshold) return;
+
+        const type = this.alertType.value;
+        this.alertThreshold.disabled = type === 'offline';
+        this.alertThreshold.placeholder = type === 'success-rate' ? '% (e.g. 95)' : 'ms (e.g. 1000)';
+        if (this.alertConsecutive) {
+            this.alertConsecutive.disabled = type === 'success-rate';
+        }
+    }
+
+    renderAlertRules() {
+        if (this.alertNotify) this.alertNotify.checked = Boolean(this.alertSettings.notify);
+        if (this.alertSound) this.alertSound.checked = Boolean(this.alertSettings.sound);
+        this.updateAlertFormFields();
+
+        if (this.alertProvider) {
+            const selected = this.alertProvider.value || '*';
+            this.alertProvider.innerHTML = '';
+            const all = document.createElement('option');
+            all.value = '*';
+            all.textContent = 'All providers';
+            this.alertProvider.appendChild(all);
+            this.monitor.providers.forEach(provider => {
+                const option = document.createElement('option');
+                option.value = provider.id;
+                option.textContent = provider.name;
+                this.alertProvider.appendChild(option);
+            });
+            this.alertProvider.value = selected;
+        }
+
+        if (!this.alertRulesBody) return;
+        this.alertRulesBody.innerHTML = '';
+
+        const names = {};
+        this.monitor.providers.forEach(provider => {
+            names[provider.id] = provider.name;
+        });
+
+        this.alerts.rules.forEach(rule => {
+            const row = document.createElement('tr');
+
+            const providerCell = document.createElement('td');
+            providerCell.textContent = rule.providerId === '*' ? 'All providers' : names[rule.providerId] || rule.providerId;
+
+            const conditionCell = document.createElement('td');
+            const consecutive = rule.consecutive || 1;
+            if (rule.type === 'latency') {
+                conditionCell.textContent = `Latency > ${rule.threshold}ms for ${consecutive} sample(s)`;
+            } else if (rule.type === 'success-rate') {
+                conditionCell.textContent = `Success rate < ${rule.threshold}% over ${rule.window || 20} samples`;
+            } else {
+                conditionCell.textContent = `Offline for ${consecutive} sample(s)`;
+            }
+
+            const enabledCell = document.createElement('td');
+            const toggle = document.createElement('input');
+            toggle.type = 'checkbox';
+            toggle.checked = rule.enabled !== false;
+            toggle.addEventListener('change', () => {
+                this.updateAlertRules(this.alerts.rules.map(r => (r.id === rule.id ? { ...r, enabled: toggle.checked } : r)));
+            });
+            enabledCell.appendChild(toggle);
+
+            const actionsCell = document.createElement('td');
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'chart-btn';
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.addEventListener('click', () => {
+                this.updateAlertRules(this.alerts.rules.filter(r => r.id !== rule.id));
+            });
+            actionsCell.appendChild(deleteBtn);
+
+            row.appendChild(providerCell);
+            row.appendChild(conditionCell);
+            row.appendChild(enabledCell);
+            row.appendChild(actionsCell);
+            this.alertRulesBody.appendChild(row);
+        });
+    }
+
+    updateAlertRules(rules) {
+        this.alerts.setRules(rules);
+        this.saveAlertRules();
+        this.renderAlertRules();
+    }
+
+    addAlertRule() {
+        const type = this.alertType.value;
+        const rule = {
+            id: `rule-${Date.now().toString(36)}`,
+            providerId: this.alertProvider.value || '*',
+            type,
+            enabled: true
+        };
+        if (type !== 'offline') {
+            rule.threshold = parseFloat(this.alertThreshold.value);
+        }
+        if (type !== 'success-rate') {
+            rule.consecutive = parseInt(this.alertConsecutive.value, 10) || 1;
+        }
+
+        const errors = AlertManager.validateRule(rule);
+        if (this.alertRuleErrors) {
+            this.alertRuleErrors.textContent = errors.join('\n');
+        }
+        if (errors.length > 0) return;
+
+        this.updateAlertRules([...this.alerts.rules, rule]);
+        this.alertRuleForm.reset();
+        this.updateAlertFormFields();
+    }
+
+    handleAlert(event) {
+        if (!event) return;
+
+        this.alertLog.unshift(event);
+        if (this.alertLog.length > ALERT_LOG_LIMIT) {
+            this.alertLog.length = ALERT_LOG_LIMIT;
+        }
+        this.renderAlertLog();
+
+        if (this.alertSettings.notify && typeof Notification !== 'undefined' && Notification.permission === 'granted') {
+            try {
+                new Notification(event.type === 'triggered' ? '🚨 API latency alert' : '✅ API recovered', {
+                    body: event.message,
+                    tag: `${event.ruleId}::${event.providerId}`
+                });
+            } catch (error) {
+                console.error('Failed to show notification:', error);
+            }
+        }
+
+        if (this.alertSettings.sound) {
+            this.playAlertSound(event.type === 'triggered');
+        }
+    }
+
+    playAlertSound(triggered) {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return;
+
+        try {
+            this.audioContext = this.audioContext || new AudioContextClass();
+            const oscillator = this.audioContext.createOscillator();
+            const gain = this.audioContext.createGain();
+            const now = this.audioContext.currentTime;
+
+            // Falling tone for an alert, rising tone for a recovery
+            oscillator.frequency.setValueAtTime(triggered ? 880 : 523, now);
+            oscillator.frequency.linearRampToValueAtTime(triggered ? 523 : 880, now + 0.3);
+            gain.gain.setValueAtTime(0.2, now);
+            gain.gain.exponentialRampToValueAtTime(0.001, now + 0.4);
+
+            oscillator.connect(gain);
+            gain.connect(this.audioContext.destination);
+            oscillator.start(now);
+            oscillator.stop(now + 0.4);
+        } catch (error) {
+            console.error('Failed to play alert sound:', error);
+        }
+    }
+
+    renderAlertLog() {
+        if (!this.alertLogList) return;
+
+        this.alertLogList.innerHTML = '';
+        if (this.alertLog.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'alert-empty';
+            empty.textContent = 'No alerts yet';
+            this.alertLogList.appendChild(empty);
+            return;
+        }
+
+        this.alertLog.forEach(event => {
+            const item = document.createElement('li');
+            item.className = `alert-item ${event.type}`;
+
+            const time = document.createElement('span');
+            time.className = 'alert-time';
+            time.textContent = new Date(event.timestamp).toLocaleTimeString();
+
+            const message = document.createElement('span');
+            message.textContent = `${event.type === 'triggered' ? '🚨' : '✅'} ${event.message}`;
+
+            item.appendChild(time);
+            item.appendChild(message);
+            this.alertLogList.appendChild(item);
+        });
+    }
+
+    loadWebhookTargets() {
+        try {
+            const stored = localStorage.getItem(WEBHOOKS_STORAGE_KEY);
+            const targets = stored ? JSON.parse(stored) : [];
+            return Array.isArray(targets) ? targets : [];
+        } catch (error) {
+            console.error('Failed to load webhook targets:', error);
+            return [];
+        }
+    }
+
+    updateWebhookTargets(targets) {
+        this.webhooks.setTargets(targets);
+        try {
+            localStorage.setItem(WEBHOOKS_STORAGE_KEY, JSON.stringify(this.webhooks.targets));
+        } catch (error) {
+            console.error('Failed to save webhook targets:', error);
+        }
+        this.renderWebhookTargets();
+    }
+
+    addWebhookTarget() {
+        const target = {
+            id: `webhook-${Date.now().toString(36)}`,
+            name: this.webhookName.value.trim() || this.webhookFormat.value,
+            url: this.webhookUrl.value.trim(),
+            format: this.webhookFormat.value,
+            template: this.webhookTemplate.value.trim() || undefined,
+            enabled: true
+        };
+
+        const errors = WebhookNotifier.validateTarget(target);
+        if (this.webhookErrors) {
+            this.webhookErrors.textContent = errors.join('\n');
+        }
+        if (errors.length > 0) return;
+
+        this.updateWebhookTargets([...this.webhooks.targets, target]);
+        this.webhookForm.reset();
+    }
+
+    async testWebhookTarget(target) {
+        this.webhookStatus[target.id] = { pending: true };
+        this.renderWebhookTargets();
+
+        const result = await this.webhooks.send(target, WebhookNotifier.sampleEvent());
+        this.handleWebhookResult(result);
+    }
+
+    handleWebhookResult(result) {
+        if (!result || !result.target || result.skipped) return;
+
+        this.webhookStatus[result.target.id] = {
+            ok: result.ok,
+            status: result.status,
+            error: result.error,
+            attempts: result.attempts,
+            timestamp: Date.now()
+        };
+        this.renderWebhookTargets();
+    }
+
+    renderWebhookTargets() {
+        if (this.webhookTemplate && this.webhookFormat) {
+            this.webhookTemplate.placeholder = WEBHOOK_TEMPLATES[this.webhookFormat.value] || '';
+        }
+        if (!this.webhookTargetsBody) return;
+
+        this.webhookTargetsBody.innerHTML = '';
+        this.webhooks.targets.forEach(target => {
+            const row = document.createElement('tr');
+
+            const nameCell = document.createElement('td');
+            nameCell.textContent = `${target.name} (${target.format})`;
+
+            const urlCell = document.createElement('td');
+            urlCell.className = 'endpoint-cell';
+            urlCell.textContent = target.url;
+
+            const statusCell = document.createElement('td');
+            const status = this.webhookStatus[target.id];
+            if (!status) {
+                statusCell.textContent = '--';
+            } else if (status.pending) {
+                statusCell.textContent = 'Sending...';
+            } else if (status.ok) {
+                statusCell.textContent = `✅ ${new Date(status.timestamp).toLocaleTimeString()}`
+                    + (status.attempts > 1 ? ` after ${status.attempts} attempts` : '');
+            } else {
+                statusCell.textContent = `❌ ${status.error} (${status.attempts} attempts)`;
+            }
+
+            const enabledCell = document.createElement('td');
+            const toggle = document.createElement('input');
+            toggle.type = 'checkbox';
+            toggle.checked = target.enabled !== false;
+            toggle.addEventListener('change', () => {
+                this.updateWebhookTargets(this.webhooks.targets.map(t => (t.id === target.id ? { ...t, enabled: toggle.checked } : t)));
+            });
+            enabledCell.appendChild(toggle);
+
+            const actionsCell = document.createElement('td');
+            const testBtn = document.createElement('button');
+            testBtn.type = 'button';
+            testBtn.className = 'chart-btn';
+            testBtn.textContent = 'Test';
+            testBtn.addEventListener('click', () => this.testWebhookTarget(target));
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'chart-btn';
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.addEventListener('click', () => {
+                this.updateWebhookTargets(this.webhooks.targets.filter(t => t.id !== target.id));
+            });
+            actionsCell.appendChild(testBtn);
+            actionsCell.appendChild(deleteBtn);
+
+            row.appendChild(nameCell);
+            row.appendChild(urlCell);
+            row.appendChild(statusCell);
+            row.appendChild(enabledCell);
+            row.appendChild(actionsCell);
+            this.webhookTargetsBody.appendChild(row);
+        });
+    }
+
+    startMonitoring() {
+        if (!this.testInterval || !this.testMode || !this.monitor) {
+            console.error('Cannot start monitoring: missing required elements');
+            return;
+        }
+
+        const interval = this.testInterval.value;
+        const mode = this.testMode.value;
+
+        if (!interval || !mode) {
+            console.error('Invalid interval or mode');
+            return;
+        }
+        if (this.monitor.budgetReached) {
+            this.showError('The budget has been reached. Raise it or clear the data to resume monitoring.');
+            return;
+        }
+        if (this.burst) {
+            this.showError('Wait for the burst test to finish, or stop it, before monitoring.');
+            return;
+        }
+
+        this.monitor.start(interval, mode);
+        this.warnUnpricedTargets(mode);
+        // Vendor status pages are only polled while monitoring
+        this.statusPages.start(this.monitor.providers, () => this.updateDisplay());
+        this.ensureSession(mode)
+            .then(() => this.refreshSessionList())
+            .catch(error => console.error('Failed to start history session:', error));
+
+        this.startBtn.disabled = true;
+        this.stopBtn.disabled = false;
+        this.testMode.disabled = true;
+        this.testInterval.disabled = true;
+        if (this.burstStartBtn) this.burstStartBtn.disabled = true;
+
+        const intervalText = interval === 'manual' ? 'manual' : `${parseInt(interval, 10) / 1000}s interval`;
+        this.statusText.textContent = `Monitoring (${mode} mode, ${intervalText})`;
+        this.statusText.classList.add('monitoring');
+    }
+
+    stopMonitoring() {
+        if (!this.monitor) {
+            console.error('Monitor not initialized');
+            return;
+        }
+
+        this.monitor.stop();
+        this.statusPages.stop();
+        this.updateDisplay();
+
+        this.startBtn.disabled = false;
+        this.stopBtn.disabled = true;
+        this.testMode.disabled = false;
+        this.testInterval.disabled = false;
+        if (this.burstStartBtn) this.burstStartBtn.disabled = Boolean(this.burst);
+
+        this.statusText.textContent = 'Monitoring stopped';
+        this.statusText.classList.remove('monitoring');
+    }
+
+    clearData() {
+        if (confirm('Clear all statistics? This cannot be undone.')) {
+            this.monitor.clearStats();
+            // Saved sessions are kept; the next run starts a new one
+            this.sessionPromise = null;
+            this.updateDisplay();
+            this.updateChart();
+            this.statusText.textContent = 'Data cleared - ready to start monitoring';
+        }
+    }
+
+    handleMonitorUpdate(event, provider, data) {
+        if (event === 'sample') {
+            this.persistSample(data);
+        } else if (event === 'alert') {
+            this.handleAlert(data);
+        } else if (event === 'webhook') {
+            this.handleWebhookResult(data);
+        } else if (event === 'complete') {
+            this.lastUpdateTime = new Date();
+            this.updateDisplay();
+            this.updateChart();
+        } else if (event === 'scheduled') {
+            this.updateDisplay();
+        } else if (event === 'budget') {
+            this.handleBudgetReached(data);
+        }
+    }
+
+    loadBudget() {
+        let budget = null;
+        try {
+            budget = JSON.parse(localStorage.getItem(BUDGET_STORAGE_KEY));
+        } catch (error) {
+            console.error('Failed to load budget:', error);
+        }
+
+        if (typeof budget === 'number' && budget > 0) {
+            this.monitor.setBudget(budget);
+            if (this.budgetCap) this.budgetCap.value = String(budget);
+        }
+    }
+
+    saveBudget() {
+        const value = this.budgetCap.value.trim();
+        const budget = value === '' ? null : Number(value);
+        if (budget !== null && (isNaN(budget) || budget <= 0)) {
+            this.showError('Budget must be a positive amount in USD, or empty for no limit.');
+            return;
+        }
+
+        this.monitor.setBudget(budget);
+        try {
+            localStorage.setItem(BUDGET_STORAGE_KEY, JSON.stringify(budget));
+        } catch (error) {
+            console.error('Failed to save budget:', error);
+        }
+        this.updateDisplay();
+        this.warnUnpricedTargets(this.testMode.value);
+    }
+
+    /**
+     * The budget only counts priced models; name the enabled providers and
+     * targets whose billed probes in mode it leaves out
+     */
+    warnUnpricedTargets(mode) {
+        if (this.monitor.budget === null) return;
+        const unpriced = this.monitor.getUnpricedTargets(mode);
+        if (unpriced.length > 0) {
+            this.showError(`No model price for ${unpriced.join(', ')}: their spend does not count towards the budget. Give them a price or disable them.`);
+        }
+    }
+
+    /**
+     * The monitor paused itself; bring the controls in line and say why
+     */
+    handleBudgetReached(data) {
+        this.stopMonitoring();
+        const message = `Paused: estimated spend ${formatCost(data.spend.cost)} reached the ${formatCost(data.budget)} budget`;
+        this.statusText.textContent = message;
+        this.showError(`${message}. Raise the budget or clear the data to resume.`);
+    }
+
+    loadRetentionSettings() {
+        try {
+            const stored = localStorage.getItem(RETENTION_STORAGE_KEY);
+            return { ...DEFAULT_RETENTION, ...(stored ? JSON.parse(stored) : {}) };
+        } catch (error) {
+            console.error('Failed to load retention settings:', error);
+            return { ...DEFAULT_RETENTION };
+        }
+    }
+
+    async initializeHistory() {
+        const settings = this.loadRetentionSettings();
+        if (this.retentionAge) this.retentionAge.value = settings.maxAgeMs ? String(settings.maxAgeMs) : '';
+        if (this.retentionCount) this.retentionCount.value = settings.maxSamples ? String(settings.maxSamples) : '';
+        if (this.historyLimit) this.historyLimit.value = String(settings.historyLimit);
+        this.monitor.setHistoryLimit(settings.historyLimit);
+
+        if (!this.store) {
+            this.setHistoryStatus('IndexedDB is not available - history will not be saved.');
+            [this.sessionSelect, this.loadSessionBtn, this.deleteSessionBtn].forEach(element => {
+                if (element) element.disabled = true;
+            });
+            return;
+        }
+
+        await this.store.prune(settings);
+
+        // Restore the most recent session and keep recording into it
+        const latest = await this.store.getLatestSession();
+        if (latest) {
+            const samples = await this.store.getSamples(latest.id);
+            this.monitor.loadSamples(samples, latest.burstSpend);
+            this.sessionPromise = Promise.resolve(latest.id);
+            this.updateDisplay();
+            this.updateChart();
+            this.setHistoryStatus(`Restored ${samples.length} samples from ${new Date(latest.startedAt).toLocaleString()}`);
+        }
+
+        await this.refreshSessionList(latest ? latest.id : null);
+    }
+
+    async applyRetentionSettings() {
+        const settings = {
+            maxAgeMs: parseInt(this.retentionAge && this.retentionAge.value, 10) || null,
+            maxSamples: parseInt(this.retentionCount && this.retentionCount.value, 10) || null,
+            historyLimit: parseInt(this.historyLimit && this.historyLimit.value, 10) || DEFAULT_RETENTION.historyLimit
+        };
+
+        try {
+            localStorage.setItem(RETENTION_STORAGE_KEY, JSON.stringify(settings));
+        } catch (error) {
+            console.error('Failed to save retention settings:', error);
+        }
+
+        this.monitor.setHistoryLimit(settings.historyLimit);
+        this.updateChart();
+
+        if (!this.store) return;
+        try {
+            const keepSessionId = this.sessionPromise ? await this.sessionPromise : null;
+            await this.store.prune({ ...settings, keepSessionId });
+            await this.refreshSessionList();
+        } catch (error) {
+            console.error('Failed to apply retention settings:', error);
+        }
+    }
+
+    ensureSession(mode) {
+        if (!this.store) return Promise.resolve(null);
+        if (!this.sessionPromise) {
+            this.sessionPromise = this.store.createSession({ testMode: mode }).catch(error => {
+                this.sessionPromise = null;
+                throw error;
+            });
+        }
+        return this.sessionPromise;
+    }
+
+    async persistSample(sample) {
+        if (!this.store || !sample) return;
+
+        try {
+            const sessionId = await this.ensureSession(this.monitor.testMode);
+            await this.store.addSample(sessionId, sample);
+        } catch (error) {
+            console.error('Failed to save sample:', error);
+        }
+    }
+
+    async refreshSessionList(selectedId) {
+        if (!this.store || !this.sessionSelect) return;
+
+        const current = selectedId ?? (this.sessionSelect.value ? parseInt(this.sessionSelect.value, 10) : null);
+        const sessions = await this.store.getSessions();
+        this.sessionSelect.innerHTML = '';
+
+        if (sessions.length === 0) {
+            const option = document.createElement('option');
+            option.value = '';
+            option.textContent = 'No saved sessions';
+            this.sessionSelect.appendChild(option);
+            return;
+        }
+
+        sessions.forEach(session => {
+            const option = document.createElement('option');
+            option.value = String(session.id);
+            const mode = session.testMode ? ` · ${session.testMode}` : '';
+            option.textContent = `${new Date(session.startedAt).toLocaleString()} · ${session.sampleCount || 0} samples${mode}`;
+            if (session.id === current) option.selected = true;
+            this.sessionSelect.appendChild(option);
+        });
+    }
+
+    async loadSelectedSession() {
+        if (!this.store || !this.sessionSelect || !this.sessionSelect.value) return;
+
+        if (this.monitor.isMonitoring) {
+            this.showError('Stop monitoring before loading a saved session.');
+            return;
+        }
+
+        const sessionId = parseInt(this.sessionSelect.value, 10);
+        try {
+            const samples = await this.store.getSamples(sessionId);
+            const session = (await this.store.getSessions()).find(candidate => candidate.id === sessionId);
+            this.monitor.loadSamples(samples, session ? session.burstSpend : null);
+            this.sessionPromise = Promise.resolve(sessionId);
+            this.updateDisplay();
+            this.updateChart();
+            this.setHistoryStatus(`Loaded ${samples.length} samples`);
+        } catch (error) {
+            console.error('Failed to load session:', error);
+            this.showError('Could not load the saved session.');
+        }
+    }
+
+    async deleteSelectedSession() {
+        if (!this.store || !this.sessionSelect || !this.sessionSelect.value) return;
+        if (!confirm('Delete this saved session? This cannot be undone.')) return;
+
+        const sessionId = parseInt(this.sessionSelect.value, 10);
+        try {
+            if (this.sessionPromise && await this.sessionPromise === sessionId) {
+                this.sessionPromise = null;
+            }
+            await this.store.deleteSession(sessionId);
+            await this.refreshSessionList();
+            this.setHistoryStatus('Session deleted');
+        } catch (error) {
+            console.error('Failed to delete session:', error);
+            this.showError('Could not delete the saved session.');
+        }
+    }
+
+    async exportData(kind) {
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const exports = {
+            'json': stored => ['json', 'application/json', MonitorExporter.toJSON(this.monitor, stored)],
+            'summary-csv': () => ['summary.csv', 'text/csv', MonitorExporter.toSummaryCSV(this.monitor)],
+            'samples-csv': stored => ['samples.csv', 'text/csv', MonitorExporter.toSamplesCSV(this.monitor, stored)],
+            'har': stored => ['har', 'application/json', MonitorExporter.toHAR(this.monitor, stored)],
+            'openmetrics': () => ['prom', 'text/plain', MetricsExporter.toOpenMetrics(this.monitor)]
+        };
+
+        if (!exports[kind]) {
+            console.error('Unknown export format:', kind);
+            return;
+        }
+
+        try {
+            const stored = kind === 'summary-csv' || kind === 'openmetrics' ? null : await this.collectSessionSamples();
+            const [extension, mimeType, content] = exports[kind](stored);
+            this.downloadFile(`latency-${stamp}.${extension}`, content, mimeType);
+        } catch (error) {
+            console.error('Export failed:', error);
+            this.showError('Export failed. See the console for details.');
+        }
+    }
+
+    /**
+     * Every saved sample of the current session, or null to export the
+     * in-memory history (no IndexedDB, imported data, or a read error)
+     */
+    async collectSessionSamples() {
+        if (!this.store || !this.sessionPromise) return null;
+
+        try {
+            return await this.store.getSamples(await this.sessionPromise);
+        } catch (error) {
+            console.error('Failed to read saved samples for export:', error);
+            return null;
+        }
+    }
+
+    downloadFile(filename, content, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    async importData() {
+        const file = this.importFile && this.importFile.files ? this.importFile.files[0] : null;
+        if (!file) return;
+
+        if (this.monitor.isMonitoring) {
+            this.showError('Stop monitoring before importing data.');
+            this.importFile.value = '';
+            return;
+        }
+
+        try {
+            const { kind, samples, bundle } = MonitorExporter.parse(await file.text(), file.name);
+            if (kind === 'bundle') {
+                // Bundles are compared side by side rather than replacing local data
+                this.addBundle(bundle, samples);
+                this.statusText.textContent = `Added ${bundle.location} (${samples.length} samples) to the location comparison`;
+                return;
+            }
+
+            const known = new Set(this.monitor.providers.map(provider => provider.id));
+            const usable = samples.filter(sample => known.has(sample.providerId));
+            if (usable.length === 0) {
+                throw new Error('No samples for known providers found in file');
+            }
+
+            this.monitor.loadSamples(usable);
+            // Imported runs are review-only; the next run starts a new session
+            this.sessionPromise = null;
+            this.updateDisplay();
+            this.updateChart();
+
+            const skipped = samples.length - usable.length;
+            this.statusText.textContent = `Imported ${usable.length} samples from ${file.name} (${kind.toUpperCase()})`
+                + (skipped > 0 ? `, skipped ${skipped} for unknown providers` : '');
+        } catch (error) {
+            console.error('Import failed:', error);
+            this.showError(`Import failed: ${error.message}`);
+        } finally {
+            this.importFile.value = '';
+        }
+    }
+
+    loadLocationSettings() {
+        let settings = {};
+        try {
+            settings = JSON.parse(localStorage.getItem(LOCATION_STORAGE_KEY)) || {};
+        } catch (error) {
+            console.error('Failed to load location settings:', error);
+        }
+
+        // A random client id tells apart bundles from machines sharing a location label
+        if (!settings.clientId) {
+            settings.clientId = Math.random().toString(36).slice(2, 10);
+        }
+
+        if (this.locationLabel) {
+            this.locationLabel.value = settings.label || '';
+        }
+        return { label: settings.label || '', clientId: settings.clientId };
+    }
+
+    saveLocationSettings() {
+        try {
+            localStorage.setItem(LOCATION_STORAGE_KEY, JSON.stringify(this.locationSettings));
+        } catch (error) {
+            console.error('Failed to save location settings:', error);
+        }
+    }
+
+    async exportBundle() {
+        if (!this.locationSettings.label) {
+            this.showError('Enter a probe location label (e.g. "EU office") before exporting a bundle.');
+            return;
+        }
+
+        try {
+            const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+            const slug = this.locationSettings.label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+            const stored = await this.collectSessionSamples();
+            const content = MonitorExporter.toBundle(this.monitor, this.locationSettings.label, { id: this.locationSettings.clientId }, stored);
+            this.downloadFile(`latency-bundle-${slug || 'location'}-${stamp}.json`, content, 'application/json');
+        } catch (error) {
+            console.error('Bundle export failed:', error);
+            this.showError(`Bundle export failed: ${error.message}`);
+        }
+    }
+
+    async importBundles() {
+        const files = this.bundleFile && this.bundleFile.files ? Array.from(this.bundleFile.files) : [];
+        const added = [];
+
+        for (const file of files) {
+            try {
+                const { kind, samples, bundle } = MonitorExporter.parse(await file.text(), file.name);
+                if (kind !== 'bundle') {
+                    throw new Error('not a result bundle - use Import File for other exports');
+                }
+                this.addBundle(bundle, samples);
+                added.push(bundle.location);
+            } catch (error) {
+                console.error('Bundle import failed:', error);
+                this.showError(`Could not add ${file.name}: ${error.message}`);
+            }
+        }
+
+        this.bundleFile.value = '';
+        if (added.length > 0) {
+            this.statusText.textContent = `Added ${added.join(', ')} to the location comparison`;
+        }
+    }
+
+    addBundle(bundle, samples) {
+        if (samples.length === 0) {
+            throw new Error('Bundle contains no samples');
+        }
+        this.comparison.addBundle(bundle, samples);
+        this.refreshComparison();
+    }
+
+    refreshComparison() {
+        this.renderBundleList();
+        this.updateDisplay();
+        this.updateChart();
+    }
+
+    renderBundleList() {
+        if (!this.bundleListBody) return;
+
+        this.bundleListBody.innerHTML = '';
+        const bundles = this.comparison.getBundles();
+        if (bundles.length === 0) {
+            const row = document.createElement('tr');
+            const cell = document.createElement('td');
+            cell.colSpan = 5;
+            cell.className = 'empty-cell';
+            cell.textContent = 'No bundles added yet.';
+            row.appendChild(cell);
+            this.bundleListBody.appendChild(row);
+            return;
+        }
 
-    destroy() {
-        // Clean up event listeners to prevent memory leaks
-        this.eventListeners.forEach(({ element, event, handler }) => {
-            if (element && handler) {
-                element.removeEventListener(event, handler);
-            }
+        bundles.forEach(entry => {
+            const row = document.createElement('tr');
+
+            const locationCell = document.createElement('td');
+            locationCell.textContent = entry.location;
+
+            const clientCell = document.createElement('td');
+            const client = entry.client || {};
+            clientCell.textContent = [client.hostname, client.userAgent, client.platform, client.timezone]
+                .filter(Boolean).join(' · ') || '--';
+            clientCell.className = 'endpoint-cell';
+
+            const samplesCell = document.createElement('td');
+            samplesCell.textContent = entry.sampleCount;
+
+            const rangeCell = document.createElement('td');
+            rangeCell.textContent = entry.from !== null
+                ? `${new Date(entry.from).toLocaleString()} - ${new Date(entry.to).toLocaleTimeString()}`
+                : '--';
+
+            const actionsCell = document.createElement('td');
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'chart-btn';
+            removeBtn.textContent = 'Remove';
+            removeBtn.addEventListener('click', () => {
+                this.comparison.removeBundle(entry.key);
+                this.refreshComparison();
+            });
+            actionsCell.appendChild(removeBtn);
+
+            row.appendChild(locationCell);
+            row.appendChild(clientCell);
+            row.appendChild(samplesCell);
+            row.appendChild(rangeCell);
+            row.appendChild(actionsCell);
+            this.bundleListBody.appendChild(row);
         });
-        this.eventListeners = [];
+    }
 
-        // Clean up chart
-        if (this.chart && this.chart.destroy) {
-            this.chart.destroy();
+    loadReportSettings() {
+        let settings = {};
+        try {
+            settings = JSON.parse(localStorage.getItem(REPORT_STORAGE_KEY)) || {};
+        } catch (error) {
+            console.error('Failed to load report settings:', error);
         }
 
-        // Stop monitoring
-        if (this.monitor && this.monitor.stop) {
-            this.monitor.stop();
-        }
+        if (this.reportPeriod && settings.period !== undefined) this.reportPeriod.value = settings.period;
+        if (this.slaTarget && settings.target !== undefined) this.slaTarget.value = String(settings.target);
+        if (this.reportMinFailures && settings.minFailures) this.reportMinFailures.value = String(settings.minFailures);
+        return this.readReportSettings();
     }
 
-    showError(message) {
-        const errorDiv = document.createElement('div');
-        errorDiv.style.cssText = 'position: fixed; top: 20px; left: 50%; transform: translateX(-50%); background: #ef4444; color: white; padding: 16px 24px; border-radius: 8px; z-index: 1000; font-family: sans-serif;';
-        errorDiv.textContent = message;
-        document.body.appendChild(errorDiv);
-        setTimeout(() => errorDiv.remove(), 5000);
+    readReportSettings() {
+        const target = parseFloat(this.slaTarget && this.slaTarget.value);
+        return {
+            period: this.reportPeriod ? this.reportPeriod.value : '604800000',
+            target: isNaN(target) ? DEFAULT_SLA_TARGET : Math.min(Math.max(target, 0), 100),
+            minFailures: parseInt(this.reportMinFailures && this.reportMinFailures.value, 10) || 1
+        };
     }
 
-    initializeElements() {
-        // Control elements
-        this.startBtn = document.getElementById('startBtn');
-        this.stopBtn = document.getElementById('stopBtn');
-        this.clearBtn = document.getElementById('clearBtn');
-        this.testMode = document.getElementById('testMode');
-        this.testInterval = document.getElementById('testInterval');
-        this.statusText = document.getElementById('statusText');
-        this.lastUpdate = document.getElementById('lastUpdate');
+    saveReportSettings() {
+        this.reportSettings = this.readReportSettings();
+        try {
+            localStorage.setItem(REPORT_STORAGE_KEY, JSON.stringify(this.reportSettings));
+        } catch (error) {
+            console.error('Failed to save report settings:', error);
+        }
+    }
 
-        // Stats elements
-        this.totalTests = document.getElementById('totalTests');
-        this.avgLatency = document.getElementById('avgLatency');
-        this.fastestProvider = document.getElementById('fastestProvider');
+    /**
+     * Per-provider sample lists for the report: every saved session that
+     * overlaps the period, or the in-memory history without IndexedDB
+     */
+    async collectReportSources(from) {
+        const providers = this.monitor.providers.filter(provider => provider.enabled !== false);
+        const history = new Map(providers.map(provider => [provider.id, []]));
+
+        if (this.store) {
+            const sessions = (await this.store.getSessions())
+                .filter(session => from === null || (session.endedAt || session.startedAt) >= from);
+            for (const session of sessions) {
+                (await this.store.getSamples(session.id)).forEach(sample => {
+                    if (history.has(sample.providerId)) history.get(sample.providerId).push(sample);
+                });
+            }
+        } else {
+            providers.forEach(provider => history.set(provider.id, provider.stats.history.slice()));
+        }
 
-        // Container elements
-        this.providersGrid = document.getElementById('providersGrid');
-        this.statsTableBody = document.getElementById('statsTableBody');
+        return providers.map(provider => ({
+            id: provider.id,
+            name: provider.name,
+            color: provider.color,
+            history: history.get(provider.id)
+        }));
+    }
 
-        // Validate critical elements
-        const requiredElements = {
-            startBtn: this.startBtn,
-            stopBtn: this.stopBtn,
-            clearBtn: this.clearBtn,
-            testMode: this.testMode,
-            testInterval: this.testInterval,
-            statusText: this.statusText,
-            providersGrid: this.providersGrid,
-            statsTableBody: this.statsTableBody
-        };
+    async generateReport() {
+        this.saveReportSettings();
+        const { period, target, minFailures } = this.reportSettings;
+        const to = Date.now();
+        const from = period ? to - parseInt(period, 10) : null;
 
-        const missing = Object.entries(requiredElements)
-            .filter(([name, element]) => !element)
-            .map(([name]) => name);
+        if (this.reportStatus) this.reportStatus.textContent = 'Generating...';
+        try {
+            const sources = await this.collectReportSources(from);
+            this.report = SlaReport.build(sources, { from, to, target, minFailures });
+            this.renderReport(this.report);
 
-        if (missing.length > 0) {
-            throw new Error(`Missing required DOM elements: ${missing.join(', ')}`);
+            const samples = this.report.providers.reduce((sum, provider) => sum + provider.samples, 0);
+            if (this.reportStatus) {
+                this.reportStatus.textContent = `${samples} samples · ${SlaReport.timeline(this.report).length} incidents`;
+            }
+        } catch (error) {
+            console.error('Report generation failed:', error);
+            if (this.reportStatus) this.reportStatus.textContent = '';
+            this.showError(`Report generation failed: ${error.message}`);
         }
     }
 
-    attachEventListeners() {
-        const startHandler = () => this.startMonitoring();
-        const stopHandler = () => this.stopMonitoring();
-        const clearHandler = () => this.clearData();
+    renderReport(report) {
+        if (!this.reportSummaryBody) return;
 
-        this.startBtn.addEventListener('click', startHandler);
-        this.stopBtn.addEventListener('click', stopHandler);
-        this.clearBtn.addEventListener('click', clearHandler);
+        this.reportExportButtons.forEach(btn => {
+            btn.disabled = !report;
+        });
 
-        // Track event listeners for cleanup
-        this.eventListeners.push(
-            { element: this.startBtn, event: 'click', handler: startHandler },
-            { element: this.stopBtn, event: 'click', handler: stopHandler },
-            { element: this.clearBtn, event: 'click', handler: clearHandler }
-        );
+        this.reportSummaryBody.innerHTML = '';
+        report.providers.forEach(provider => {
+            const row = document.createElement('tr');
 
-        // Chart range buttons
-        document.querySelectorAll('.chart-btn').forEach(btn => {
-            const handler = (e) => {
-                if (!e.target) return;
-                document.querySelectorAll('.chart-btn').forEach(b => b.classList.remove('active'));
-                e.target.classList.add('active');
-                const range = e.target.getAttribute('data-range');
-                if (range && this.chart) {
-                    this.chart.setDataRange(range);
-                    this.updateChart();
+            const nameCell = document.createElement('td');
+            nameCell.textContent = provider.name;
+            nameCell.style.color = provider.color;
+            nameCell.style.fontWeight = '600';
+            row.appendChild(nameCell);
+
+            const complianceCell = document.createElement('td');
+            complianceCell.textContent = SlaReport.formatCompliance(provider.compliant);
+            if (provider.compliant !== null) {
+                complianceCell.className = provider.compliant ? 'sla-met' : 'sla-missed';
+            }
+
+            const cells = [
+                SlaReport.formatUptime(provider.uptime),
+                complianceCell,
+                provider.samples,
+                provider.incidents.length,
+                SlaReport.formatDuration(provider.downtime),
+                provider.mttr === null ? '--' : SlaReport.formatDuration(provider.mttr),
+                provider.longest === null ? '--' : SlaReport.formatDuration(provider.longest)
+            ];
+            cells.forEach(value => {
+                if (value instanceof HTMLElement) {
+                    row.appendChild(value);
+                    return;
                 }
-            };
-            btn.addEventListener('click', handler);
-            this.eventListeners.push({ element: btn, event: 'click', handler });
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            this.reportSummaryBody.appendChild(row);
+        });
+
+        this.renderReportTimeline(report);
+        this.renderReportIncidents(report);
+    }
+
+    /**
+     * One track per provider across the period, incidents drawn in red
+     */
+    renderReportTimeline(report) {
+        if (!this.reportTimeline) return;
+
+        this.reportTimeline.innerHTML = '';
+        const span = Math.max(report.to - report.from, 1);
+        const percent = time => Math.min(Math.max(((time - report.from) / span) * 100, 0), 100);
+
+        report.providers.forEach(provider => {
+            const row = document.createElement('div');
+            row.className = 'report-track-row';
+
+            const label = document.createElement('div');
+            label.className = 'report-track-label';
+            label.textContent = provider.name;
+            label.style.color = provider.color;
+
+            const track = document.createElement('div');
+            track.className = 'report-track';
+            provider.incidents.forEach(incident => {
+                const left = percent(incident.start);
+                const right = percent(incident.end !== null ? incident.end : incident.start + incident.duration);
+                const segment = document.createElement('span');
+                segment.className = 'report-incident';
+                segment.style.left = `${left}%`;
+                // Keep short incidents visible
+                segment.style.width = `${Math.max(right - left, 0.3)}%`;
+                segment.title = `${SlaReport.formatTime(incident.start)} · ${SlaReport.formatDuration(incident.duration)}`;
+                track.appendChild(segment);
+            });
+
+            row.appendChild(label);
+            row.appendChild(track);
+            this.reportTimeline.appendChild(row);
+        });
+
+        const axis = document.createElement('div');
+        axis.className = 'report-axis';
+        [report.from, report.to].forEach(time => {
+            const tick = document.createElement('span');
+            tick.textContent = SlaReport.formatTime(time);
+            axis.appendChild(tick);
         });
+        this.reportTimeline.appendChild(axis);
     }
 
-    startMonitoring() {
-        if (!this.testInterval || !this.testMode || !this.monitor) {
-            console.error('Cannot start monitoring: missing required elements');
+    renderReportIncidents(report) {
+        if (!this.reportIncidentsBody) return;
+
+        this.reportIncidentsBody.innerHTML = '';
+        const timeline = SlaReport.timeline(report);
+        if (timeline.length === 0) {
+            const row = document.createElement('tr');
+            const cell = document.createElement('td');
+            cell.colSpan = 6;
+            cell.className = 'empty-cell';
+            cell.textContent = 'No incidents in this period.';
+            row.appendChild(cell);
+            this.reportIncidentsBody.appendChild(row);
             return;
         }
 
-        const interval = this.testInterval.value;
-        const mode = this.testMode.value;
+        timeline.forEach(incident => {
+            const row = document.createElement('tr');
+            [
+                incident.providerName,
+                SlaReport.formatTime(incident.start),
+                incident.ongoing ? 'ongoing' : SlaReport.formatTime(incident.end),
+                SlaReport.formatDuration(incident.duration),
+                incident.failures,
+                SlaReport.formatOutcomes(incident.outcomes)
+            ].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            row.firstChild.style.color = incident.color;
+            this.reportIncidentsBody.appendChild(row);
+        });
+    }
 
-        if (!interval || !mode) {
-            console.error('Invalid interval or mode');
+    exportReport(format) {
+        if (!this.report) {
+            this.showError('Generate a report before exporting it.');
             return;
         }
 
-        this.monitor.start(interval, mode);
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        if (format === 'html') {
+            this.downloadFile(`availability-report-${stamp}.html`, SlaReport.toHTML(this.report), 'text/html');
+        } else {
+            this.downloadFile(`availability-report-${stamp}.md`, SlaReport.toMarkdown(this.report), 'text/markdown');
+        }
+    }
 
-        this.startBtn.disabled = true;
-        this.stopBtn.disabled = false;
-        this.testMode.disabled = true;
-        this.testInterval.disabled = true;
+    /**
+     * Providers and their probe targets to choose from for a burst test
+     */
+    renderBurstProviders() {
+        if (!this.burstProvider) return;
+
+        const selected = this.burstProvider.selectedOptions[0];
+        const previous = selected ? `${selected.value}::${selected.dataset.targetId || ''}` : null;
+        this.burstProvider.innerHTML = '';
+        this.monitor.providers.forEach(provider => {
+            const option = document.createElement('option');
+            option.value = provider.id;
+            option.textContent = provider.name;
+            this.burstProvider.appendChild(option);
+
+            LatencyMonitor.getTargets(provider).forEach(target => {
+                if (!target || !target.id) return;
+                const targetOption = document.createElement('option');
+                targetOption.value = provider.id;
+                targetOption.dataset.targetId = target.id;
+                targetOption.textContent = `${provider.name} · ${target.name || target.id}`;
+                this.burstProvider.appendChild(targetOption);
+            });
+        });
 
-        const intervalText = interval === 'manual' ? 'manual' : `${parseInt(interval, 10) / 1000}s interval`;
-        this.statusText.textContent = `Monitoring (${mode} mode, ${intervalText})`;
-        this.statusText.classList.add('monitoring');
+        Array.from(this.burstProvider.options).forEach(option => {
+            if (`${option.value}::${option.dataset.targetId || ''}` === previous) option.selected = true;
+        });
     }
 
-    stopMonitoring() {
-        if (!this.monitor) {
-            console.error('Monitor not initialized');
+    readBurstOptions() {
+        const option = this.burstProvider ? this.burstProvider.selectedOptions[0] : null;
+        const seconds = Number(this.burstDuration.value);
+        return {
+            providerId: option ? option.value : null,
+            targetId: option ? option.dataset.targetId || null : null,
+            mode: this.burstMode.value,
+            concurrency: Number(this.burstConcurrency.value),
+            duration: Math.round(seconds * 1000),
+            maxRequests: Number(this.burstMaxRequests.value)
+        };
+    }
+
+    async runBurstTest() {
+        if (this.burst) return;
+        if (this.monitor.isMonitoring) {
+            this.showError('Stop monitoring before running a burst test.');
             return;
         }
 
-        this.monitor.stop();
+        const options = this.readBurstOptions();
+        if (!options.providerId) {
+            this.showError('Add a provider before running a burst test.');
+            return;
+        }
+        const errors = BurstTest.validateOptions(options);
+        if (errors.length > 0) {
+            this.showError(errors.join('. '));
+            return;
+        }
 
-        this.startBtn.disabled = false;
-        this.stopBtn.disabled = true;
-        this.testMode.disabled = false;
-        this.testInterval.disabled = false;
+        const provider = this.monitor.providers.find(candidate => candidate.id === options.providerId);
+        let lastProgress = 0;
+        this.burst = new BurstTest(this.monitor, options, (event, data) => {
+            if (event === 'sample') {
+                // Samples can arrive many times a second; refresh the text at most 4 times
+                if (Date.now() - lastProgress < 250) return;
+                lastProgress = Date.now();
+                this.setBurstStatus(`Concurrency ${this.burst.level}/${options.concurrency} · ${this.burst.requests} requests`);
+            } else if (event === 'level') {
+                this.updateDisplay(); // the header spend includes the burst
+                this.showBurstLevels({
+                    name: provider.name,
+                    color: provider.color,
+                    levels: BurstTest.summarizeLevels(this.burst.samples)
+                });
+            }
+        });
 
-        this.statusText.textContent = 'Monitoring stopped';
-        this.statusText.classList.remove('monitoring');
+        this.burstResult = null;
+        this.setBurstRunning(true);
+        this.setBurstStatus('Starting...');
+        this.showBurstChart();
+        try {
+            this.burstResult = await this.burst.run();
+            this.persistBurstSpend(this.burstResult);
+            this.updateDisplay();
+            this.showBurstLevels(this.burstResult);
+            const cost = this.burstResult.cost > 0 ? ` · ~${formatCost(this.burstResult.cost)}` : '';
+            this.setBurstStatus(`${BurstTest.describeStopReason(this.burstResult.stopReason)} · ${this.burstResult.requests} requests${cost}`);
+        } catch (error) {
+            console.error('Burst test failed:', error);
+            this.setBurstStatus('');
+            this.showError(`Burst test failed: ${error.message}`);
+        } finally {
+            this.burst = null;
+            this.setBurstRunning(false);
+        }
     }
 
-    clearData() {
-        if (confirm('Clear all statistics? This cannot be undone.')) {
-            this.monitor.clearStats();
-            this.updateDisplay();
-            this.updateChart();
-            this.statusText.textContent = 'Data cleared - ready to start monitoring';
+    /**
+     * Keep the burst's spend with the session, so it still counts after a reload
+     */
+    async persistBurstSpend(result) {
+        if (!this.store || (!result.inputTokens && !result.outputTokens)) return;
+
+        try {
+            const sessionId = await this.ensureSession(result.mode);
+            await this.store.addBurstSpend(sessionId, {
+                inputTokens: result.inputTokens,
+                outputTokens: result.outputTokens,
+                cost: result.cost
+            });
+        } catch (error) {
+            console.error('Failed to save burst spend:', error);
         }
     }
 
-    handleMonitorUpdate(event, provider) {
-        if (event === 'complete') {
-            this.lastUpdateTime = new Date();
-            this.updateDisplay();
+    setBurstRunning(running) {
+        if (this.burstStartBtn) this.burstStartBtn.disabled = running;
+        if (this.burstStopBtn) this.burstStopBtn.disabled = !running;
+        if (this.startBtn) this.startBtn.disabled = running;
+        [this.burstProvider, this.burstMode, this.burstConcurrency, this.burstDuration, this.burstMaxRequests].forEach(input => {
+            if (input) input.disabled = running;
+        });
+        this.burstExportButtons.forEach(btn => {
+            btn.disabled = running || !this.burstResult;
+        });
+    }
+
+    setBurstStatus(message) {
+        if (this.burstStatus) this.burstStatus.textContent = message;
+    }
+
+    /**
+     * Switch the chart to the burst view
+     */
+    showBurstChart() {
+        if (!this.chart) return;
+        document.querySelectorAll('.chart-btn[data-view]').forEach(btn => {
+            btn.classList.toggle('active', btn.getAttribute('data-view') === 'burst');
+        });
+        this.chart.setBurstResult(null);
+        this.chart.setView('burst');
+        this.updateChart();
+    }
+
+    showBurstLevels(result) {
+        if (this.chart) {
+            this.chart.setBurstResult(result);
             this.updateChart();
         }
+        if (!this.burstTableBody) return;
+
+        this.burstTableBody.innerHTML = '';
+        const format = value => (value === null || value === undefined ? '--' : `${value}ms`);
+        result.levels.forEach(level => {
+            const row = document.createElement('tr');
+            [
+                level.concurrency,
+                level.requests,
+                level.rateLimited > 0 ? `${level.failures} (${level.rateLimited} rate limited)` : level.failures,
+                `${level.errorRate}%`,
+                format(level.avg),
+                format(level.p50),
+                format(level.p95),
+                format(level.p99)
+            ].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            this.burstTableBody.appendChild(row);
+        });
+    }
+
+    exportBurst(format) {
+        if (!this.burstResult) {
+            this.showError('Run a burst test before exporting it.');
+            return;
+        }
+
+        const stamp = new Date(this.burstResult.startedAt).toISOString().replace(/[:.]/g, '-');
+        if (format === 'csv') {
+            this.downloadFile(`burst-${stamp}.csv`, MonitorExporter.toBurstCSV(this.monitor, this.burstResult), 'text/csv');
+        } else {
+            const content = this.monitor.redact(JSON.stringify(this.burstResult, null, 2));
+            this.downloadFile(`burst-${stamp}.json`, content, 'application/json');
+        }
+    }
+
+    /**
+     * Add a column group per compared location to the statistics table header
+     */
+    updateStatsTableHeader(bundles) {
+        if (!this.statsHeaderRow) return;
+
+        const thead = this.statsHeaderRow.parentElement;
+        thead.querySelectorAll('.location-group-row').forEach(row => row.remove());
+        this.statsHeaderRow.querySelectorAll('.location-col').forEach(cell => cell.remove());
+        if (bundles.length === 0) return;
+
+        const groupRow = document.createElement('tr');
+        groupRow.className = 'location-group-row';
+        const localGroup = document.createElement('th');
+        localGroup.colSpan = this.statsHeaderRow.children.length;
+        localGroup.textContent = this.locationSettings.label || 'This browser';
+        groupRow.appendChild(localGroup);
+
+        bundles.forEach(entry => {
+            const group = document.createElement('th');
+            group.colSpan = LOCATION_COLUMNS.length;
+            group.className = 'location-col';
+            group.textContent = entry.location;
+            groupRow.appendChild(group);
+
+            LOCATION_COLUMNS.forEach(column => {
+                const cell = document.createElement('th');
+                cell.className = 'location-col';
+                cell.textContent = column.label;
+                this.statsHeaderRow.appendChild(cell);
+            });
+        });
+
+        thead.insertBefore(groupRow, this.statsHeaderRow);
+    }
+
+    setHistoryStatus(message) {
+        if (this.historyStatus) {
+            this.historyStatus.textContent = message;
+        }
     }
 
     updateDisplay() {
@@ -208,6 +2353,13 @@ class App {
             this.fastestProvider.textContent = fastest && fastest.name ? fastest.name : '--';
         }
 
+        if (this.totalSpend) {
+            const spend = this.monitor.getSpend();
+            this.totalSpend.textContent = formatCost(spend.cost);
+            this.totalSpend.title = `${spend.inputTokens} input / ${spend.outputTokens} output tokens`
+                + (this.monitor.budget !== null ? ` · budget ${formatCost(this.monitor.budget)}` : '');
+        }
+
         // Update last update time
         if (this.lastUpdate && this.lastUpdateTime) {
             this.lastUpdate.textContent = `Last update: ${this.lastUpdateTime.toLocaleTimeString()}`;
@@ -225,10 +2377,41 @@ class App {
 
         // Update chart with provider data
         if (this.chart && this.monitor.providers) {
-            this.chart.setProviders(this.monitor.providers);
+            const providers = this.monitor.providers.filter(provider => provider.enabled !== false);
+            const colors = {};
+            providers.forEach(provider => {
+                colors[provider.id] = provider.color;
+            });
+            this.chart.setProviders(this.getChartSeries(providers));
+            this.chart.setComparison(this.comparison.getSeries(colors), this.locationSettings.label || 'This browser');
         }
     }
 
+    /**
+     * One chart series per provider, or per probe target for providers
+     * with several targets, drawn in the provider's color
+     */
+    getChartSeries(providers) {
+        const series = [];
+        providers.forEach(provider => {
+            const targets = Object.values(provider.targetStates || {});
+            if (targets.length < 2) {
+                series.push(provider);
+                return;
+            }
+            targets.forEach((target, index) => {
+                series.push({
+                    ...target,
+                    id: `${provider.id}::${target.id}`,
+                    name: `${provider.name} · ${target.name}`,
+                    color: provider.color,
+                    lineDash: TARGET_LINE_DASHES[index % TARGET_LINE_DASHES.length]
+                });
+            });
+        });
+        return series;
+    }
+
     updateProvidersGrid(stats) {
         if (!this.providersGrid) return;
 
@@ -240,7 +2423,7 @@ class App {
         }
 
         stats.forEach(provider => {
-            if (provider) {
+            if (provider && provider.enabled !== false) {
                 const card = this.createProviderCard(provider);
                 if (card) {
                     this.providersGrid.appendChild(card);
@@ -263,6 +2446,10 @@ class App {
             card.classList.add('success');
         } else if (status === 'offline') {
             card.classList.add('error');
+        } else if (status === 'degraded') {
+            card.classList.add('degraded');
+        } else if (status === 'throttled') {
+            card.classList.add('throttled');
         }
 
         // Header
@@ -296,6 +2483,82 @@ class App {
         latencyDisplay.appendChild(latencyValue);
         latencyDisplay.appendChild(latencyLabel);
 
+        // Result of the last request (outcome, status code or error)
+        const lastResult = provider.lastResult;
+        if (lastResult && (lastResult.outcome || lastResult.statusCode || lastResult.error)) {
+            const resultLine = document.createElement('div');
+            resultLine.className = 'provider-result';
+            const parts = [];
+            if (lastResult.outcome) parts.push(OUTCOME_LABELS[lastResult.outcome] || lastResult.outcome);
+            if (lastResult.statusCode) parts.push(`HTTP ${lastResult.statusCode}`);
+            if (typeof lastResult.bodySize === 'number') parts.push(`${lastResult.bodySize} B`);
+            // A failed assertion gets its own line below
+            if (lastResult.error && !lastResult.assertion) parts.push(lastResult.error);
+            resultLine.textContent = parts.join(' · ');
+            latencyDisplay.appendChild(resultLine);
+        }
+
+        // The response assertion that failed
+        if (lastResult && lastResult.assertion) {
+            const assertionLine = document.createElement('div');
+            assertionLine.className = 'provider-assertion';
+            assertionLine.textContent = `✗ ${lastResult.assertion}`;
+            latencyDisplay.appendChild(assertionLine);
+        }
+
+        // Remaining quota from the provider's rate-limit headers
+        const rateLimitText = this.formatRateLimit(provider.rateLimit);
+        if (rateLimitText) {
+            const rateLimitLine = document.createElement('div');
+            rateLimitLine.className = 'provider-ratelimit';
+            rateLimitLine.textContent = rateLimitText;
+            latencyDisplay.appendChild(rateLimitLine);
+        }
+
+        // Billed tokens and estimated spend of authenticated probes
+        const usage = provider.stats || {};
+        if (usage.inputTokens || usage.outputTokens || usage.cost) {
+            const spendLine = document.createElement('div');
+            spendLine.className = 'provider-spend';
+            spendLine.textContent = `Tokens ${usage.inputTokens || 0} in / ${usage.outputTokens || 0} out · ~${formatCost(usage.cost || 0)}`;
+            latencyDisplay.appendChild(spendLine);
+        }
+
+        // When the scheduler will probe next, and why it may be waiting longer
+        if (provider.nextProbeAt) {
+            const scheduleLine = document.createElement('div');
+            scheduleLine.className = 'provider-schedule';
+            let reason = '';
+            if (provider.throttled) {
+                reason = ' (waiting for rate limit)';
+            } else if (provider.backoff) {
+                reason = ' (backing off)';
+            }
+            if (reason) {
+                scheduleLine.classList.add('backoff');
+            }
+            const time = new Date(provider.nextProbeAt).toLocaleTimeString();
+            scheduleLine.textContent = `Next probe at ${time}${reason}`;
+            latencyDisplay.appendChild(scheduleLine);
+        }
+
+        // Vendor-reported status, flagged when it disagrees with our probes
+        const vendorStatus = this.statusPages ? this.statusPages.getStatus(provider.id) : null;
+        if (vendorStatus) {
+            latencyDisplay.appendChild(this.createVendorStatus(vendorStatus));
+
+            const mismatch = StatusPageMonitor.compare(status, vendorStatus);
+            if (mismatch) {
+                card.classList.add('status-mismatch');
+                const warning = document.createElement('div');
+                warning.className = 'vendor-mismatch';
+                warning.textContent = mismatch === 'vendor-incident'
+                    ? '⚠️ Vendor reports an issue our probes do not see'
+                    : '⚠️ Our probes fail but the vendor reports no incident';
+                latencyDisplay.appendChild(warning);
+            }
+        }
+
         // Stats grid
         const statsGrid = document.createElement('div');
         statsGrid.className = 'provider-stats';
@@ -305,6 +2568,8 @@ class App {
             { label: 'Average', value: stats.avg ? stats.avg + 'ms' : '--' },
             { label: 'Min', value: stats.min !== Infinity && stats.min !== undefined ? stats.min + 'ms' : '--' },
             { label: 'Max', value: stats.max > 0 ? stats.max + 'ms' : '--' },
+            { label: 'TTFT', value: typeof stats.ttft === 'number' ? stats.ttft + 'ms' : '--' },
+            { label: 'Tokens/s', value: typeof stats.throughput === 'number' ? stats.throughput : '--' },
             { label: 'Success', value: stats.successes || 0 },
             { label: 'Failed', value: stats.failures || 0 },
             { label: 'Total', value: stats.count || 0 }
@@ -331,9 +2596,156 @@ class App {
         card.appendChild(latencyDisplay);
         card.appendChild(statsGrid);
 
+        if (Array.isArray(provider.targets) && provider.targets.length > 0) {
+            card.appendChild(this.createTargetBreakdown(provider));
+        }
+
         return card;
     }
 
+    /**
+     * Expandable per-target table for a provider card. Cards are rebuilt on
+     * every update, so the expanded state is kept in expandedProviders.
+     */
+    createTargetBreakdown(provider) {
+        const container = document.createElement('div');
+        container.className = 'provider-targets';
+
+        const failing = provider.targets.filter(target => ['offline', 'degraded', 'throttled'].includes(target.status));
+        const expanded = this.expandedProviders.has(provider.id);
+
+        const toggle = document.createElement('button');
+        toggle.type = 'button';
+        toggle.className = 'targets-toggle';
+        toggle.setAttribute('aria-expanded', String(expanded));
+        toggle.textContent = `${expanded ? '▾' : '▸'} ${provider.targets.length} targets`
+            + (failing.length > 0 ? ` · ${failing.length} failing` : '');
+        if (failing.length > 0) {
+            toggle.classList.add('has-failures');
+        }
+        toggle.addEventListener('click', () => {
+            if (this.expandedProviders.has(provider.id)) {
+                this.expandedProviders.delete(provider.id);
+            } else {
+                this.expandedProviders.add(provider.id);
+            }
+            this.updateDisplay();
+        });
+        container.appendChild(toggle);
+
+        if (!expanded) return container;
+
+        const table = document.createElement('table');
+        table.className = 'targets-table';
+        const headRow = document.createElement('tr');
+        ['Target', 'Current', 'Avg', 'p95', 'Success'].forEach(label => {
+            const th = document.createElement('th');
+            th.textContent = label;
+            headRow.appendChild(th);
+        });
+        const thead = document.createElement('thead');
+        thead.appendChild(headRow);
+        table.appendChild(thead);
+
+        const tbody = document.createElement('tbody');
+        provider.targets.forEach(target => {
+            const stats = target.stats || {};
+            const row = document.createElement('tr');
+            row.className = `target-${target.status || 'idle'}`;
+
+            const nameCell = document.createElement('td');
+            const dot = document.createElement('span');
+            dot.className = `provider-status ${target.status || 'idle'}`;
+            nameCell.appendChild(dot);
+            nameCell.appendChild(document.createTextNode(target.name));
+            if (target.model) {
+                const model = document.createElement('div');
+                model.className = 'target-model';
+                model.textContent = target.model;
+                nameCell.appendChild(model);
+            }
+            // Why the target's last probe failed
+            const error = target.lastResult && target.status !== 'online'
+                ? target.lastResult.error || OUTCOME_LABELS[target.lastResult.outcome]
+                : null;
+            if (error) {
+                nameCell.title = error;
+            }
+            row.appendChild(nameCell);
+
+            [
+                typeof stats.current === 'number' ? stats.current + 'ms' : '--',
+                stats.avg ? stats.avg + 'ms' : '--',
+                typeof stats.p95 === 'number' ? stats.p95 + 'ms' : '--',
+                stats.count > 0 ? ((stats.successes / stats.count) * 100).toFixed(1) + '%' : '--'
+            ].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            tbody.appendChild(row);
+        });
+        table.appendChild(tbody);
+        container.appendChild(table);
+
+        return container;
+    }
+
+    /**
+     * Vendor status line plus a link per active incident
+     */
+    createVendorStatus(vendorStatus) {
+        const container = document.createElement('div');
+        container.className = `provider-vendor indicator-${vendorStatus.indicator}`;
+
+        const summary = document.createElement('div');
+        summary.textContent = vendorStatus.error
+            ? `Vendor status unavailable (${vendorStatus.error})`
+            : `Vendor: ${StatusPageMonitor.describe(vendorStatus)}`;
+        container.appendChild(summary);
+
+        vendorStatus.incidents.forEach(incident => {
+            const item = incident.url ? document.createElement('a') : document.createElement('div');
+            item.className = 'vendor-incident';
+            item.textContent = `${incident.name}${incident.status ? ` (${incident.status})` : ''}`;
+            if (incident.url) {
+                item.href = incident.url;
+                item.target = '_blank';
+                item.rel = 'noopener';
+            }
+            container.appendChild(item);
+        });
+
+        return container;
+    }
+
+    /**
+     * Summarize parsed rate-limit headers, e.g.
+     * "Requests 45/50 · Tokens 9.8k/10k · resets 12:01:30"
+     */
+    formatRateLimit(rateLimit) {
+        if (!rateLimit) return '';
+
+        const count = value => (value >= 10000 ? `${Math.round(value / 100) / 10}k` : String(value));
+        const parts = [];
+        const resets = [];
+        [['Requests', rateLimit.requests], ['Tokens', rateLimit.tokens]].forEach(([label, quota]) => {
+            if (!quota || typeof quota.remaining !== 'number') return;
+            parts.push(`${label} ${count(quota.remaining)}${typeof quota.limit === 'number' ? `/${count(quota.limit)}` : ''}`);
+            if (quota.resetAt) resets.push(quota.resetAt);
+        });
+        if (rateLimit.retryAt) {
+            resets.push(rateLimit.retryAt);
+        }
+
+        const now = Date.now();
+        const upcoming = resets.filter(time => time > now);
+        if (upcoming.length > 0) {
+            parts.push(`resets ${new Date(Math.min(...upcoming)).toLocaleTimeString()}`);
+        }
+        return parts.join(' · ');
+    }
+
     updateStatsTable(stats) {
         if (!this.statsTableBody) return;
 
@@ -344,8 +2756,11 @@ class App {
             return;
         }
 
+        const bundles = this.comparison ? this.comparison.getBundles() : [];
+        this.updateStatsTableHeader(bundles);
+
         stats.forEach(provider => {
-            if (!provider) return;
+            if (!provider || provider.enabled === false) return;
             const row = document.createElement('tr');
 
             // Provider name
@@ -369,6 +2784,14 @@ class App {
             const avgCell = document.createElement('td');
             avgCell.textContent = stats.avg > 0 ? stats.avg + 'ms' : '--';
 
+            // Percentiles, spread and jitter over the stats window
+            const formatMs = value => (typeof value === 'number' ? value + 'ms' : '--');
+            const distributionCells = ['p50', 'p90', 'p95', 'p99', 'stdDev', 'jitter'].map(key => {
+                const cell = document.createElement('td');
+                cell.textContent = formatMs(stats[key]);
+                return cell;
+            });
+
             // Min latency
             const minCell = document.createElement('td');
             minCell.textContent = stats.min !== Infinity && stats.min !== undefined ? stats.min + 'ms' : '--';
@@ -377,6 +2800,14 @@ class App {
             const maxCell = document.createElement('td');
             maxCell.textContent = stats.max > 0 ? stats.max + 'ms' : '--';
 
+            // Time to first token (streaming mode)
+            const ttftCell = document.createElement('td');
+            ttftCell.textContent = typeof stats.avgTtft === 'number' ? stats.avgTtft + 'ms' : '--';
+
+            // Throughput (streaming mode)
+            const throughputCell = document.createElement('td');
+            throughputCell.textContent = typeof stats.avgThroughput === 'number' ? stats.avgThroughput + ' tok/s' : '--';
+
             // Success rate
             const successRateCell = document.createElement('td');
             if (stats.count > 0) {
@@ -388,6 +2819,17 @@ class App {
                 successRateCell.textContent = '--';
             }
 
+            // Outcome breakdown
+            const outcomeCell = document.createElement('td');
+            const outcomeParts = Object.entries(stats.outcomes || {})
+                .filter(([, count]) => count > 0)
+                .map(([outcome, count]) => `${OUTCOME_LABELS[outcome] || outcome}: ${count}`);
+            if (stats.retries > 0) {
+                outcomeParts.push(`Retries: ${stats.retries}`);
+            }
+            outcomeCell.textContent = outcomeParts.length > 0 ? outcomeParts.join(', ') : '--';
+            outcomeCell.className = 'outcome-cell';
+
             // Total tests
             const testsCell = document.createElement('td');
             testsCell.textContent = stats.count || 0;
@@ -395,11 +2837,27 @@ class App {
             row.appendChild(nameCell);
             row.appendChild(currentCell);
             row.appendChild(avgCell);
+            distributionCells.forEach(cell => row.appendChild(cell));
             row.appendChild(minCell);
             row.appendChild(maxCell);
+            row.appendChild(ttftCell);
+            row.appendChild(throughputCell);
             row.appendChild(successRateCell);
+            row.appendChild(outcomeCell);
             row.appendChild(testsCell);
 
+            // The same provider at each compared location
+            if (bundles.length > 0) {
+                this.comparison.getProviderStats(provider.id).forEach(({ stats: remote }) => {
+                    LOCATION_COLUMNS.forEach(column => {
+                        const cell = document.createElement('td');
+                        cell.className = 'location-col';
+                        cell.textContent = remote ? column.format(remote) : '--';
+                        row.appendChild(cell);
+                    });
+                });
+            }
+
             this.statsTableBody.appendChild(row);
         });
     }
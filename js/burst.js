@@ -0,0 +1,294 @@
+/**
+ * Burst.js - Load Test Ramping Concurrent Requests Against One Provider
+ */
+
+// LatencyMonitor, LatencyStats and the price helpers: browser globals, or
+// module-local requires under Node
+const BurstDeps = typeof module !== 'undefined' && module.exports
+    ? { ...require('./monitor.js'), ...require('./stats.js'), ...require('./pricing.js') }
+    : { LatencyMonitor, LatencyStats, estimateCost, getModelPrice };
+
+const BURST_DEFAULTS = {
+    concurrency: 10,
+    duration: 60000,
+    maxRequests: 500
+};
+
+// Hard safety caps: no settings can go beyond these
+const BURST_LIMITS = {
+    concurrency: 50,
+    duration: 10 * 60 * 1000,
+    maxRequests: 2000,
+    // Shortest time spent at each concurrency level, in ms
+    stepDuration: 1000
+};
+
+const BURST_STOP_REASONS = {
+    complete: 'Ramp complete',
+    stopped: 'Stopped',
+    budget: 'Budget reached'
+};
+
+class BurstTest {
+    /**
+     * Load test one provider, or one of its probe targets, through the
+     * monitor's test modes. options: {providerId, targetId, mode,
+     * concurrency, duration, maxRequests}. onUpdate(event, data) receives
+     * 'sample', 'level' and 'complete' events.
+     */
+    constructor(monitor, options = {}, onUpdate = null) {
+        this.monitor = monitor;
+        this.options = { ...BURST_DEFAULTS, ...options };
+        this.onUpdate = typeof onUpdate === 'function' ? onUpdate : null;
+        this.running = false;
+        this.stopReason = null;
+        this.level = 0;
+        this.requests = 0;
+        this.spend = BurstDeps.LatencyMonitor.createEmptySpend();
+        this.samples = [];
+    }
+
+    /**
+     * Check burst settings against the safety caps. Returns error messages.
+     */
+    static validateOptions(options) {
+        const errors = [];
+        const { concurrency, duration, maxRequests } = options || {};
+
+        const validConcurrency = Number.isInteger(concurrency) && concurrency >= 1 && concurrency <= BURST_LIMITS.concurrency;
+        if (!validConcurrency) {
+            errors.push(`Concurrency must be a whole number from 1 to ${BURST_LIMITS.concurrency}`);
+        }
+        if (!(Number.isInteger(maxRequests) && maxRequests >= 1 && maxRequests <= BURST_LIMITS.maxRequests)) {
+            errors.push(`Request cap must be a whole number from 1 to ${BURST_LIMITS.maxRequests}`);
+        } else if (validConcurrency && maxRequests < BurstTest.rampRequests(concurrency)) {
+            errors.push(`Request cap must allow one request per worker at every level (${BurstTest.rampRequests(concurrency)} for ${concurrency})`);
+        }
+        if (!(Number.isInteger(duration) && duration > 0 && duration <= BURST_LIMITS.duration)) {
+            errors.push(`Duration must be at most ${BURST_LIMITS.duration / 60000} minutes`);
+        } else if (validConcurrency && duration < concurrency * BURST_LIMITS.stepDuration) {
+            errors.push(`Duration must allow ${BURST_LIMITS.stepDuration / 1000}s per concurrency level (${concurrency * BURST_LIMITS.stepDuration / 1000}s for ${concurrency})`);
+        }
+        return errors;
+    }
+
+    /**
+     * Requests needed for one request per worker at each level from 1 to
+     * concurrency
+     */
+    static rampRequests(concurrency) {
+        return (concurrency * (concurrency + 1)) / 2;
+    }
+
+    /**
+     * Requests levels 1 to level may send together: each level's share of
+     * the cap is proportional to its concurrency, and what a level leaves
+     * unused carries over to the next
+     */
+    static levelAllowance(level, concurrency, maxRequests) {
+        return Math.floor(maxRequests * BurstTest.rampRequests(level) / BurstTest.rampRequests(concurrency));
+    }
+
+    /**
+     * Ramp from 1 to options.concurrency requests in flight, spending an
+     * equal share of the duration at each level. Every worker sends its next
+     * request as soon as the last one returns. A level that uses up its
+     * share of the request cap moves on to the next one early. No new
+     * request starts once the monitor's budget is reached, or after stop().
+     * Resolves with the result once the requests in flight have finished.
+     */
+    async run() {
+        if (this.running) {
+            throw new Error('A burst test is already running');
+        }
+        const errors = BurstTest.validateOptions(this.options);
+        if (errors.length > 0) {
+            throw new Error(errors.join('; '));
+        }
+        if (this.monitor.isMonitoring) {
+            throw new Error('Stop monitoring before running a burst test');
+        }
+        if (this.monitor.budgetReached) {
+            throw new Error('The budget has been reached');
+        }
+
+        const provider = this.monitor.providers.find(candidate => candidate.id === this.options.providerId);
+        if (!provider) {
+            throw new Error(`Unknown provider: ${this.options.providerId}`);
+        }
+        const target = this.options.targetId
+            ? BurstDeps.LatencyMonitor.getTargets(provider).find(candidate => candidate && candidate.id === this.options.targetId)
+            : null;
+        if (this.options.targetId && !target) {
+            throw new Error(`Unknown target ${this.options.targetId} of ${provider.name}`);
+        }
+
+        const name = target ? `${provider.name} · ${target.name || target.id}` : provider.name;
+        const config = BurstDeps.LatencyMonitor.targetConfig(provider, target);
+        const mode = this.options.mode || config.testMode || this.monitor.testMode;
+        // Without a price the burst's spend could not count towards the budget
+        if (this.monitor.budget !== null && this.monitor.apiKeys[provider.id]
+            && BurstDeps.LatencyMonitor.isUnpriced(config, mode)) {
+            throw new Error(`No model price for ${name}, so the budget cannot cap this burst`);
+        }
+        const { timeout } = this.monitor.getRequestOptions(config, mode);
+
+        this.running = true;
+        this.stopReason = null;
+        this.level = 0;
+        this.requests = 0;
+        this.spend = BurstDeps.LatencyMonitor.createEmptySpend();
+        this.samples = [];
+        this.startedAt = Date.now();
+
+        const stepDuration = this.options.duration / this.options.concurrency;
+        try {
+            for (let level = 1; level <= this.options.concurrency && !this.stopReason; level++) {
+                this.level = level;
+                // Steps end on a fixed grid, so slow requests do not stretch the run
+                const stepEnd = this.startedAt + level * stepDuration;
+                const allowance = BurstTest.levelAllowance(level, this.options.concurrency, this.options.maxRequests);
+                await Promise.all(Array.from({ length: level }, () => this.runWorker(config, mode, timeout, stepEnd, allowance)));
+                this.notify('level', BurstTest.summarizeLevels(this.samples.filter(sample => sample.concurrency === level))[0] || null);
+            }
+        } finally {
+            this.running = false;
+        }
+
+        this.stopReason = this.stopReason || 'complete';
+        const result = {
+            providerId: provider.id,
+            name,
+            color: provider.color,
+            targetId: target ? target.id : null,
+            mode,
+            concurrency: this.options.concurrency,
+            duration: this.options.duration,
+            maxRequests: this.options.maxRequests,
+            startedAt: this.startedAt,
+            finishedAt: Date.now(),
+            requests: this.requests,
+            inputTokens: this.spend.inputTokens,
+            outputTokens: this.spend.outputTokens,
+            cost: this.spend.cost,
+            stopReason: this.stopReason,
+            levels: BurstTest.summarizeLevels(this.samples),
+            samples: this.samples
+        };
+        this.notify('complete', result);
+        return result;
+    }
+
+    /**
+     * Stop starting new requests; run() resolves once those in flight return
+     */
+    stop() {
+        if (this.running && !this.stopReason) {
+            this.stopReason = 'stopped';
+        }
+    }
+
+    async runWorker(config, mode, timeout, stepEnd, allowance) {
+        while (!this.stopReason && Date.now() < stepEnd && this.requests < allowance) {
+            this.requests++;
+
+            const sample = await this.sendRequest(config, mode, timeout);
+            this.samples.push(sample);
+            if (sample.inputTokens !== null || sample.outputTokens !== null) {
+                const spend = { inputTokens: sample.inputTokens || 0, outputTokens: sample.outputTokens || 0, cost: sample.cost || 0 };
+                Object.keys(spend).forEach(key => {
+                    this.spend[key] += spend[key];
+                });
+                // Burst spend is part of the monitor's spend and budget
+                this.monitor.addBurstSpend(spend);
+            }
+            this.notify('sample', sample);
+
+            if (this.monitor.budgetReached) {
+                this.stopReason = this.stopReason || 'budget';
+            }
+        }
+    }
+
+    /**
+     * One request, without retries; failures are part of the measurement
+     */
+    async sendRequest(config, mode, timeout) {
+        const concurrency = this.level;
+        const startTime = performance.now();
+        let outcome;
+        try {
+            const result = await this.monitor.runTestMode(config, mode, timeout);
+            outcome = result && typeof result === 'object' ? result : { success: Boolean(result) };
+        } catch (error) {
+            outcome = { success: false, outcome: 'network-error', error: error.message };
+        }
+        const latency = Math.round(performance.now() - startTime);
+
+        outcome = BurstDeps.LatencyMonitor.applyAssertions(config, outcome).outcome;
+        const usage = outcome.usage || null;
+        return {
+            timestamp: Date.now(),
+            concurrency,
+            latency,
+            success: Boolean(outcome.success),
+            statusCode: outcome.statusCode ?? null,
+            outcome: outcome.outcome || null,
+            inputTokens: usage && typeof usage.input === 'number' ? usage.input : null,
+            outputTokens: usage && typeof usage.output === 'number' ? usage.output : null,
+            cost: usage ? BurstDeps.estimateCost(usage, BurstDeps.getModelPrice(config.request)) : null,
+            error: this.monitor.redact(outcome.error) || null
+        };
+    }
+
+    notify(event, data) {
+        if (!this.onUpdate) return;
+        try {
+            this.onUpdate(event, data);
+        } catch (error) {
+            console.error('Error in burst test callback:', error);
+        }
+    }
+
+    /**
+     * Per-concurrency summary of burst samples: request and error counts,
+     * error rate (%) and percentiles of the successful latencies
+     */
+    static summarizeLevels(samples) {
+        const byLevel = new Map();
+        (samples || []).forEach(sample => {
+            if (!byLevel.has(sample.concurrency)) byLevel.set(sample.concurrency, []);
+            byLevel.get(sample.concurrency).push(sample);
+        });
+
+        return Array.from(byLevel.entries())
+            .sort((a, b) => a[0] - b[0])
+            .map(([concurrency, levelSamples]) => {
+                const succeeded = levelSamples.filter(sample => sample.success);
+                const summary = BurstDeps.LatencyStats.summarize(succeeded.map(sample => sample.latency));
+                const failures = levelSamples.length - succeeded.length;
+                return {
+                    concurrency,
+                    requests: levelSamples.length,
+                    failures,
+                    rateLimited: levelSamples.filter(sample => sample.outcome === 'rate-limited').length,
+                    errorRate: Math.round((failures / levelSamples.length) * 1000) / 10,
+                    avg: summary.samples > 0 ? summary.avg : null,
+                    p50: summary.p50,
+                    p95: summary.p95,
+                    p99: summary.p99
+                };
+            });
+    }
+
+    static describeStopReason(reason) {
+        return BURST_STOP_REASONS[reason] || reason || '';
+    }
+}
+
+// Export for use in app.js, or as a Node module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BurstTest, BURST_DEFAULTS, BURST_LIMITS };
+} else {
+    window.BurstTest = BurstTest;
+}
@@ -2,6 +2,37 @@
  * Chart.js - Latency Visualization
  */
 
+// Narrowest time span shown, and how far one wheel step zooms
+const CHART_MIN_SPAN_MS = 5000;
+const CHART_ZOOM_STEP = 1.25;
+
+// Candidate spacings for time-axis ticks, in ms
+const CHART_TIME_STEPS = [
+    1000, 2000, 5000, 10000, 15000, 30000,
+    60000, 120000, 300000, 600000, 900000, 1800000,
+    3600000, 7200000, 10800000, 21600000, 43200000, 86400000
+];
+
+// Availability colour scale for the heatmap, checked top to bottom
+const HEATMAP_LEVELS = [
+    { min: 99.5, color: '#10b981', label: '≥99.5%' },
+    { min: 99, color: '#6ee7b7', label: '≥99%' },
+    { min: 95, color: '#fbbf24', label: '≥95%' },
+    { min: 80, color: '#f97316', label: '≥80%' },
+    { min: 0, color: '#ef4444', label: '<80%' }
+];
+const HEATMAP_EMPTY_COLOR = '#f1f5f9';
+const HEATMAP_MAX_DAYS = 14;
+
+// Request phases shown in the stacked-bar view, bottom to top
+const CHART_PHASES = [
+    { key: 'dns', label: 'DNS', color: '#8b5cf6' },
+    { key: 'connect', label: 'Connect', color: '#3b82f6' },
+    { key: 'tls', label: 'TLS', color: '#06b6d4' },
+    { key: 'ttfb', label: 'TTFB', color: '#f59e0b' },
+    { key: 'download', label: 'Download', color: '#10b981' }
+];
+
 class LatencyChart {
     constructor(canvasId) {
         this.canvas = document.getElementById(canvasId);
@@ -13,10 +44,32 @@ class LatencyChart {
             throw new Error('Failed to get 2D context from canvas');
         }
         this.dataRange = 20;
+        this.view = 'line';
+        this.showPercentiles = false;
         this.providers = [];
+        this.comparison = [];
+        this.localLabel = null;
+        this.burst = null; // result of the last burst test
+        this.viewport = null; // { start, end } in ms while zoomed or panned
+        this.layout = null; // Plot area and time domain of the last line chart drawn
+        this.hover = null;
+        this.drag = null;
         this.resizeHandler = () => this.resizeCanvas();
         this.resizeCanvas();
         window.addEventListener('resize', this.resizeHandler);
+
+        // Wheel zoom, drag pan, double-click reset and the hover tooltip
+        this.canvasHandlers = {
+            wheel: event => this.handleWheel(event),
+            mousedown: event => this.handleMouseDown(event),
+            mousemove: event => this.handleMouseMove(event),
+            mouseup: () => this.handleMouseUp(),
+            mouseleave: () => this.handleMouseLeave(),
+            dblclick: () => this.resetZoom()
+        };
+        Object.entries(this.canvasHandlers).forEach(([event, handler]) => {
+            this.canvas.addEventListener(event, handler, event === 'wheel' ? { passive: false } : undefined);
+        });
     }
 
     destroy() {
@@ -25,6 +78,12 @@ class LatencyChart {
             window.removeEventListener('resize', this.resizeHandler);
             this.resizeHandler = null;
         }
+        if (this.canvasHandlers) {
+            Object.entries(this.canvasHandlers).forEach(([event, handler]) => {
+                this.canvas.removeEventListener(event, handler);
+            });
+            this.canvasHandlers = null;
+        }
     }
 
     resizeCanvas() {
@@ -46,7 +105,23 @@ class LatencyChart {
         this.providers = providers;
     }
 
+    /**
+     * Series from other locations, overlaid with the local providers in the compare view
+     */
+    setComparison(series, localLabel = null) {
+        this.comparison = Array.isArray(series) ? series : [];
+        this.localLabel = localLabel;
+    }
+
+    /**
+     * Burst test result shown by the burst view, or null
+     */
+    setBurstResult(result) {
+        this.burst = result && Array.isArray(result.levels) ? result : null;
+    }
+
     setDataRange(range) {
+        this.viewport = null;
         if (range === 'all') {
             this.dataRange = Infinity;
         } else {
@@ -55,83 +130,439 @@ class LatencyChart {
         }
     }
 
+    setShowPercentiles(show) {
+        this.showPercentiles = Boolean(show);
+    }
+
+    setView(view) {
+        const views = ['line', 'phases', 'compare', 'histogram', 'boxplot', 'heatmap', 'burst'];
+        this.view = views.includes(view) ? view : 'line';
+        this.viewport = null;
+    }
+
+    resetZoom() {
+        this.viewport = null;
+        this.draw();
+    }
+
+    /**
+     * Mouse position in canvas pixels (the canvas may be scaled by CSS)
+     */
+    canvasX(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        const scale = rect.width ? this.canvas.width / rect.width : 1;
+        return (event.clientX - rect.left) * scale;
+    }
+
+    handleWheel(event) {
+        if (!this.layout) return;
+        event.preventDefault();
+
+        // Zoom around the time under the cursor
+        const { start, end } = this.layout;
+        const anchor = Math.min(Math.max(this.timeAt(this.canvasX(event)), start), end);
+        const factor = event.deltaY < 0 ? 1 / CHART_ZOOM_STEP : CHART_ZOOM_STEP;
+        const span = Math.max((end - start) * factor, CHART_MIN_SPAN_MS);
+        const ratio = (anchor - start) / (end - start);
+        this.viewport = { start: anchor - span * ratio, end: anchor + span * (1 - ratio) };
+        this.draw();
+    }
+
+    handleMouseDown(event) {
+        if (!this.layout || event.button !== 0) return;
+        this.drag = { x: this.canvasX(event), start: this.layout.start, end: this.layout.end };
+        this.canvas.style.cursor = 'grabbing';
+    }
+
+    handleMouseMove(event) {
+        if (!this.layout) return;
+        const x = this.canvasX(event);
+
+        if (this.drag) {
+            const shift = ((x - this.drag.x) / this.layout.width) * (this.drag.end - this.drag.start);
+            if (shift === 0) return;
+            this.viewport = { start: this.drag.start - shift, end: this.drag.end - shift };
+            this.hover = null;
+        } else {
+            const { padding, width } = this.layout;
+            this.hover = x >= padding.left && x <= padding.left + width ? x : null;
+        }
+        this.draw();
+    }
+
+    handleMouseUp() {
+        this.drag = null;
+        this.canvas.style.cursor = '';
+    }
+
+    handleMouseLeave() {
+        this.drag = null;
+        this.hover = null;
+        this.canvas.style.cursor = '';
+        this.draw();
+    }
+
     draw() {
+        // Mouse interactions only apply while a line chart is shown
+        this.layout = null;
         try {
+            if (this.view === 'compare') {
+                if (this.comparison.length === 0) {
+                    this.drawEmptyState('Add result bundles from other locations to compare them here.');
+                    return;
+                }
+                const local = (this.providers || []).map(provider => (this.localLabel
+                    ? { ...provider, name: `${provider.name} · ${this.localLabel}`, location: this.localLabel }
+                    : provider));
+                this.drawLines([...local, ...this.comparison]);
+                return;
+            }
+
+            if (this.view === 'burst') {
+                this.drawBurst();
+                return;
+            }
+
             if (!this.providers || this.providers.length === 0) {
                 this.drawEmptyState();
                 return;
             }
 
-            if (!this.ctx || !this.canvas) {
-                console.error('Canvas or context not initialized');
+            if (this.view === 'phases') {
+                this.drawPhaseBars();
                 return;
             }
 
-            this.clear();
+            if (this.view === 'histogram') {
+                this.drawHistogram();
+                return;
+            }
 
-            // Get max data points across all providers with safety checks
-            const maxDataPoints = Math.max(
-                ...this.providers
-                    .filter(p => p && p.stats && Array.isArray(p.stats.history))
-                    .map(p => p.stats.history.length),
-                1
-            );
+            if (this.view === 'boxplot') {
+                this.drawBoxPlots();
+                return;
+            }
 
-            const displayPoints = Math.min(maxDataPoints, this.dataRange);
+            if (this.view === 'heatmap') {
+                this.drawHeatmap();
+                return;
+            }
 
-            if (displayPoints === 0) {
-                this.drawEmptyState();
+            this.drawLines(this.providers);
+        } catch (error) {
+            console.error('Error drawing chart:', error);
+        }
+    }
+
+    /**
+     * Latency line per series (a provider, or a provider at another location),
+     * plotted against sample timestamps
+     */
+    drawLines(series) {
+        if (!this.ctx || !this.canvas) {
+            console.error('Canvas or context not initialized');
+            return;
+        }
+
+        const withHistory = series.filter(p => p && p.stats && Array.isArray(p.stats.history) && p.stats.history.length > 0);
+        if (withHistory.length === 0) {
+            this.drawEmptyState();
+            return;
+        }
+
+        // Calculate chart dimensions
+        const padding = { top: 40, right: 20, bottom: 60, left: 60 };
+        const chartWidth = Math.max(this.canvas.width - padding.left - padding.right, 0);
+        const chartHeight = Math.max(this.canvas.height - padding.top - padding.bottom, 0);
+
+        if (chartWidth <= 0 || chartHeight <= 0) {
+            console.warn('Invalid chart dimensions');
+            return;
+        }
+
+        // Time domain: the zoomed/panned viewport, or the last dataRange samples of each series
+        let start;
+        let end;
+        if (this.viewport) {
+            ({ start, end } = this.viewport);
+        } else {
+            const recent = withHistory.map(p => p.stats.history.slice(-this.dataRange));
+            start = Math.min(...recent.map(history => history[0].timestamp));
+            end = Math.max(...recent.map(history => history[history.length - 1].timestamp));
+        }
+        if (!(end - start >= CHART_MIN_SPAN_MS)) {
+            const middle = (start + end) / 2;
+            start = middle - CHART_MIN_SPAN_MS / 2;
+            end = middle + CHART_MIN_SPAN_MS / 2;
+        }
+
+        // Points in view, plus one neighbour each side so lines run to the edges
+        const visible = withHistory.map(provider => {
+            const history = provider.stats.history;
+            const first = history.findIndex(point => point.timestamp >= start);
+            let last = -1;
+            for (let i = history.length - 1; i >= 0; i--) {
+                if (history[i].timestamp <= end) {
+                    last = i;
+                    break;
+                }
+            }
+            const points = first === -1 || last === -1 || first > last
+                ? []
+                : history.slice(first, last + 1);
+            const padded = history.slice(Math.max((first === -1 ? history.length : first) - 1, 0), last + 2);
+            return { provider, points, padded };
+        });
+
+        // Find max latency for scaling with safety checks
+        let maxLatency = 0;
+        visible.forEach(({ points }) => {
+            points.forEach(point => {
+                if (LatencyChart.isSuccess(point) && point.latency > maxLatency) {
+                    maxLatency = point.latency;
+                }
+            });
+        });
+
+        // Round up to nearest 100
+        maxLatency = Math.ceil(maxLatency / 100) * 100 || 1000;
+
+        this.layout = { padding, width: chartWidth, height: chartHeight, start, end, maxLatency, visible };
+        this.clear();
+
+        // Draw grid and axes
+        this.drawGrid(padding, chartWidth, chartHeight, maxLatency, 'Time');
+        this.drawTimeAxis(padding, chartWidth, chartHeight, start, end);
+
+        // Draw lines for each provider, clipped to the plot area
+        this.ctx.save();
+        this.ctx.beginPath();
+        this.ctx.rect(padding.left, padding.top - 6, chartWidth, chartHeight + 6);
+        this.ctx.clip();
+        visible.forEach(({ provider, padded }) => {
+            this.drawProviderLine(provider, padded);
+        });
+        this.ctx.restore();
+
+        if (this.showPercentiles) {
+            this.drawPercentileBands(visible, padding, chartWidth, chartHeight, maxLatency);
+        }
+
+        // Draw legend
+        this.drawLegend(series, padding);
+
+        if (this.viewport) {
+            this.ctx.fillStyle = '#64748b';
+            this.ctx.font = '12px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+            this.ctx.textAlign = 'right';
+            this.ctx.fillText('Zoomed - double-click to reset', padding.left + chartWidth, this.canvas.height - 20);
+        }
+
+        if (this.hover !== null) {
+            this.drawTooltip(this.hover);
+        }
+    }
+
+    static isSuccess(point) {
+        return Boolean(point) && point.success !== false && typeof point.latency === 'number';
+    }
+
+    toX(timestamp) {
+        const { padding, width, start, end } = this.layout;
+        return padding.left + ((timestamp - start) / (end - start)) * width;
+    }
+
+    toY(latency) {
+        const { padding, height, maxLatency } = this.layout;
+        return padding.top + height - (maxLatency > 0 ? latency / maxLatency : 0) * height;
+    }
+
+    timeAt(x) {
+        const { padding, width, start, end } = this.layout;
+        return start + ((x - padding.left) / width) * (end - start);
+    }
+
+    /**
+     * Time labels and vertical grid lines at a round step for the visible span
+     */
+    drawTimeAxis(padding, width, height, start, end) {
+        const ctx = this.ctx;
+        if (!ctx) return;
+
+        const span = end - start;
+        const step = CHART_TIME_STEPS.find(candidate => span / candidate <= 6) || CHART_TIME_STEPS[CHART_TIME_STEPS.length - 1];
+        const options = step < 60000
+            ? { hour: '2-digit', minute: '2-digit', second: '2-digit' }
+            : { hour: '2-digit', minute: '2-digit' };
+        if (span > 24 * 60 * 60 * 1000) {
+            options.month = 'short';
+            options.day = 'numeric';
+        }
+
+        ctx.font = '12px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+        ctx.textAlign = 'center';
+        for (let tick = Math.ceil(start / step) * step; tick <= end; tick += step) {
+            const x = padding.left + ((tick - start) / span) * width;
+
+            ctx.strokeStyle = '#f1f5f9';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(x, padding.top);
+            ctx.lineTo(x, padding.top + height);
+            ctx.stroke();
+
+            ctx.fillStyle = '#64748b';
+            ctx.fillText(new Date(tick).toLocaleTimeString([], options), x, padding.top + height + 16);
+        }
+    }
+
+    /**
+     * Line through successful samples; failures break the line and are
+     * marked with a faint vertical line and a cross on the time axis
+     */
+    drawProviderLine(provider, points) {
+        const ctx = this.ctx;
+        if (!ctx || !provider || points.length === 0) return;
+
+        const { padding, height } = this.layout;
+        const baseline = padding.top + height;
+
+        ctx.save();
+        ctx.strokeStyle = provider.color;
+        ctx.fillStyle = provider.color;
+        ctx.lineWidth = 2;
+        ctx.setLineDash(provider.lineDash || []);
+
+        // Draw line, lifting the pen at every failure
+        ctx.beginPath();
+        let drawing = false;
+        points.forEach(point => {
+            if (!LatencyChart.isSuccess(point)) {
+                drawing = false;
                 return;
             }
 
-            // Calculate chart dimensions
-            const padding = { top: 40, right: 20, bottom: 60, left: 60 };
-            const chartWidth = Math.max(this.canvas.width - padding.left - padding.right, 0);
-            const chartHeight = Math.max(this.canvas.height - padding.top - padding.bottom, 0);
+            const x = this.toX(point.timestamp);
+            const y = this.toY(point.latency);
+            if (drawing) {
+                ctx.lineTo(x, y);
+            } else {
+                ctx.moveTo(x, y);
+                drawing = true;
+            }
+        });
+        ctx.stroke();
+
+        // Draw points and failure markers
+        points.forEach(point => {
+            if (!point) return;
+            const x = this.toX(point.timestamp);
 
-            if (chartWidth <= 0 || chartHeight <= 0) {
-                console.warn('Invalid chart dimensions');
+            if (LatencyChart.isSuccess(point)) {
+                ctx.beginPath();
+                ctx.arc(x, this.toY(point.latency), provider.lineDash ? 3 : 4, 0, Math.PI * 2);
+                ctx.fill();
                 return;
             }
 
-            // Find max latency for scaling with safety checks
-            let maxLatency = 0;
-            this.providers.forEach(provider => {
-                if (!provider || !provider.stats || !Array.isArray(provider.stats.history)) return;
+            ctx.save();
+            ctx.globalAlpha = 0.3;
+            ctx.lineWidth = 1;
+            ctx.setLineDash([3, 3]);
+            ctx.beginPath();
+            ctx.moveTo(x, padding.top);
+            ctx.lineTo(x, baseline);
+            ctx.stroke();
+            ctx.restore();
 
-                const history = provider.stats.history.slice(-displayPoints);
-                history.forEach(point => {
-                    if (point && typeof point.latency === 'number' && point.latency > maxLatency) {
-                        maxLatency = point.latency;
-                    }
-                });
-            });
+            ctx.save();
+            ctx.lineWidth = 2;
+            ctx.setLineDash([]);
+            ctx.beginPath();
+            ctx.moveTo(x - 4, baseline - 10);
+            ctx.lineTo(x + 4, baseline - 2);
+            ctx.moveTo(x + 4, baseline - 10);
+            ctx.lineTo(x - 4, baseline - 2);
+            ctx.stroke();
+            ctx.restore();
+        });
+        ctx.restore();
+    }
+
+    /**
+     * Crosshair at canvas x with every series' nearest sample listed in a box
+     */
+    drawTooltip(x) {
+        const ctx = this.ctx;
+        if (!ctx || !this.layout) return;
+
+        const { padding, height, start, end, visible } = this.layout;
+        const time = this.timeAt(x);
+        const tolerance = (end - start) / 25;
+
+        ctx.save();
+        ctx.strokeStyle = '#94a3b8';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(x, padding.top);
+        ctx.lineTo(x, padding.top + height);
+        ctx.stroke();
+        ctx.setLineDash([]);
 
-            // Round up to nearest 100
-            maxLatency = Math.ceil(maxLatency / 100) * 100 || 1000;
-
-            // Draw grid and axes
-            this.drawGrid(padding, chartWidth, chartHeight, maxLatency);
-
-            // Draw lines for each provider
-            this.providers.forEach(provider => {
-                if (provider && provider.stats && Array.isArray(provider.stats.history) && provider.stats.history.length > 0) {
-                    this.drawProviderLine(
-                        provider,
-                        padding,
-                        chartWidth,
-                        chartHeight,
-                        maxLatency,
-                        displayPoints
-                    );
+        const rows = visible.map(({ provider, points }) => {
+            let nearest = null;
+            points.forEach(point => {
+                if (!nearest || Math.abs(point.timestamp - time) < Math.abs(nearest.timestamp - time)) {
+                    nearest = point;
                 }
             });
+            if (nearest && Math.abs(nearest.timestamp - time) > tolerance) {
+                nearest = null;
+            }
 
-            // Draw legend
-            this.drawLegend(padding);
-        } catch (error) {
-            console.error('Error drawing chart:', error);
-        }
+            if (nearest && LatencyChart.isSuccess(nearest)) {
+                ctx.strokeStyle = provider.color || '#000000';
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                ctx.arc(this.toX(nearest.timestamp), this.toY(nearest.latency), 6, 0, Math.PI * 2);
+                ctx.stroke();
+            }
+
+            let value = '--';
+            if (nearest) {
+                value = LatencyChart.isSuccess(nearest) ? `${nearest.latency}ms` : `failed${nearest.outcome ? ` (${nearest.outcome})` : ''}`;
+            }
+            return { color: provider.color || '#000000', text: `${provider.name || 'Unknown'}: ${value}` };
+        });
+
+        const title = new Date(time).toLocaleTimeString();
+        ctx.font = '12px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+        const lineHeight = 18;
+        const boxWidth = Math.max(ctx.measureText(title).width, ...rows.map(row => ctx.measureText(row.text).width)) + 34;
+        const boxHeight = lineHeight * (rows.length + 1) + 8;
+        const boxX = x + 12 + boxWidth > this.canvas.width ? x - 12 - boxWidth : x + 12;
+        const boxY = padding.top + 4;
+
+        ctx.globalAlpha = 0.95;
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(boxX, boxY, boxWidth, boxHeight);
+        ctx.globalAlpha = 1;
+        ctx.strokeStyle = '#cbd5e1';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(boxX, boxY, boxWidth, boxHeight);
+
+        ctx.textAlign = 'left';
+        ctx.fillStyle = '#1e293b';
+        ctx.fillText(title, boxX + 10, boxY + lineHeight);
+        rows.forEach((row, index) => {
+            const rowY = boxY + lineHeight * (index + 2);
+            ctx.fillStyle = row.color;
+            ctx.fillRect(boxX + 10, rowY - 9, 10, 10);
+            ctx.fillStyle = '#1e293b';
+            ctx.fillText(row.text, boxX + 26, rowY);
+        });
+        ctx.restore();
     }
 
     clear() {
@@ -139,7 +570,7 @@ class LatencyChart {
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
     }
 
-    drawEmptyState() {
+    drawEmptyState(message = 'No data yet. Start monitoring to see latency history.') {
         this.clear();
         if (!this.ctx || !this.canvas) return;
 
@@ -148,14 +579,461 @@ class LatencyChart {
         this.ctx.textAlign = 'center';
         const centerX = (this.canvas.width || 800) / 2;
         const centerY = (this.canvas.height || 400) / 2;
-        this.ctx.fillText(
-            'No data yet. Start monitoring to see latency history.',
-            centerX,
-            centerY
-        );
+        this.ctx.fillText(message, centerX, centerY);
+    }
+
+    /**
+     * Stacked bars of DNS/connect/TLS/TTFB/download per sample, grouped by provider
+     */
+    drawPhaseBars() {
+        if (!this.ctx || !this.canvas) return;
+
+        const groups = this.providers
+            .filter(p => p && p.stats && Array.isArray(p.stats.history))
+            .map(provider => ({
+                provider,
+                samples: provider.stats.history.filter(point => LatencyChart.isSuccess(point) && point.phases).slice(-this.dataRange)
+            }))
+            .filter(group => group.samples.length > 0);
+
+        if (groups.length === 0) {
+            this.drawEmptyState('No phase timings yet. Providers must send a Timing-Allow-Origin header.');
+            return;
+        }
+
+        this.clear();
+
+        const padding = { top: 40, right: 20, bottom: 60, left: 60 };
+        const chartWidth = Math.max(this.canvas.width - padding.left - padding.right, 0);
+        const chartHeight = Math.max(this.canvas.height - padding.top - padding.bottom, 0);
+        if (chartWidth <= 0 || chartHeight <= 0) return;
+
+        const phaseTotal = phases => CHART_PHASES.reduce((sum, phase) => sum + (phases[phase.key] || 0), 0);
+        let maxLatency = 0;
+        groups.forEach(group => {
+            group.samples.forEach(point => {
+                maxLatency = Math.max(maxLatency, phaseTotal(point.phases));
+            });
+        });
+        maxLatency = Math.ceil(maxLatency / 100) * 100 || 100;
+
+        this.drawGrid(padding, chartWidth, chartHeight, maxLatency, 'Provider');
+
+        const ctx = this.ctx;
+        const groupWidth = chartWidth / groups.length;
+        const groupGap = Math.min(groupWidth * 0.15, 24);
+
+        groups.forEach((group, groupIndex) => {
+            const groupX = padding.left + groupWidth * groupIndex + groupGap / 2;
+            const barSlot = (groupWidth - groupGap) / group.samples.length;
+            const barWidth = Math.max(barSlot * 0.8, 1);
+
+            group.samples.forEach((point, sampleIndex) => {
+                const x = groupX + barSlot * sampleIndex;
+                let y = padding.top + chartHeight;
+
+                CHART_PHASES.forEach(phase => {
+                    const value = point.phases[phase.key] || 0;
+                    const barHeight = (value / maxLatency) * chartHeight;
+                    if (barHeight <= 0) return;
+                    ctx.fillStyle = phase.color;
+                    ctx.fillRect(x, y - barHeight, barWidth, barHeight);
+                    y -= barHeight;
+                });
+            });
+
+            // Provider label under each group
+            ctx.fillStyle = group.provider.color || '#1e293b';
+            ctx.font = '12px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+            ctx.textAlign = 'center';
+            ctx.fillText(group.provider.name || 'Unknown', groupX + (groupWidth - groupGap) / 2, padding.top + chartHeight + 16);
+        });
+
+        this.drawPhaseLegend(padding);
+    }
+
+    /**
+     * Successful latencies per provider over the selected range, oldest first
+     */
+    getRangeLatencies() {
+        return this.providers
+            .filter(p => p && p.stats && Array.isArray(p.stats.history))
+            .map(provider => ({
+                provider,
+                latencies: provider.stats.history
+                    .slice(-this.dataRange)
+                    .filter(point => LatencyChart.isSuccess(point))
+                    .map(point => point.latency)
+            }))
+            .filter(group => group.latencies.length > 0);
+    }
+
+    /**
+     * Latency distribution: shared bins, one bar per provider in each bin
+     */
+    drawHistogram() {
+        if (!this.ctx || !this.canvas) return;
+
+        const groups = this.getRangeLatencies();
+        if (groups.length === 0) {
+            this.drawEmptyState('No successful samples yet to build a histogram.');
+            return;
+        }
+
+        this.clear();
+
+        const padding = { top: 40, right: 20, bottom: 60, left: 60 };
+        const chartWidth = Math.max(this.canvas.width - padding.left - padding.right, 0);
+        const chartHeight = Math.max(this.canvas.height - padding.top - padding.bottom, 0);
+        if (chartWidth <= 0 || chartHeight <= 0) return;
+
+        // Round bin width so edges land on readable values
+        const all = groups.flatMap(group => group.latencies);
+        const min = Math.min(...all);
+        const max = Math.max(...all);
+        const rawWidth = Math.max((max - min) / 12, 1);
+        const magnitude = 10 ** Math.floor(Math.log10(rawWidth));
+        const binWidth = [1, 2, 5, 10].map(step => step * magnitude).find(step => step >= rawWidth);
+        const firstEdge = Math.floor(min / binWidth) * binWidth;
+        const binCount = Math.floor((max - firstEdge) / binWidth) + 1;
+
+        const counts = groups.map(group => {
+            const bins = new Array(binCount).fill(0);
+            group.latencies.forEach(latency => {
+                bins[Math.min(Math.floor((latency - firstEdge) / binWidth), binCount - 1)]++;
+            });
+            return bins;
+        });
+        const maxCount = Math.max(...counts.flat());
+        const scaleMax = Math.max(Math.ceil(maxCount / 5) * 5, 5);
+
+        this.drawGrid(padding, chartWidth, chartHeight, scaleMax, 'Latency (ms)', 'Samples', '');
+
+        const ctx = this.ctx;
+        const slot = chartWidth / binCount;
+        const barWidth = Math.max((slot * 0.85) / groups.length, 1);
+
+        counts.forEach((bins, groupIndex) => {
+            ctx.fillStyle = groups[groupIndex].provider.color || '#000000';
+            bins.forEach((count, binIndex) => {
+                if (count === 0) return;
+                const barHeight = (count / scaleMax) * chartHeight;
+                const x = padding.left + slot * binIndex + slot * 0.075 + barWidth * groupIndex;
+                ctx.fillRect(x, padding.top + chartHeight - barHeight, barWidth, barHeight);
+            });
+        });
+
+        // Bin edge labels, thinned to fit
+        ctx.fillStyle = '#64748b';
+        ctx.font = '12px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+        ctx.textAlign = 'center';
+        const labelEvery = Math.ceil(binCount / Math.max(Math.floor(chartWidth / 60), 1));
+        for (let edge = 0; edge <= binCount; edge += labelEvery) {
+            ctx.fillText(String(firstEdge + edge * binWidth), padding.left + slot * edge, padding.top + chartHeight + 16);
+        }
+
+        this.drawLegend(groups.map(group => group.provider), padding);
     }
 
-    drawGrid(padding, width, height, maxLatency) {
+    /**
+     * Box per provider: quartiles, median, whiskers to the furthest sample
+     * within 1.5 IQR, and dots for outliers beyond
+     */
+    drawBoxPlots() {
+        if (!this.ctx || !this.canvas) return;
+
+        const groups = this.getRangeLatencies();
+        if (groups.length === 0) {
+            this.drawEmptyState('No successful samples yet to build box plots.');
+            return;
+        }
+
+        this.clear();
+
+        const padding = { top: 40, right: 20, bottom: 60, left: 60 };
+        const chartWidth = Math.max(this.canvas.width - padding.left - padding.right, 0);
+        const chartHeight = Math.max(this.canvas.height - padding.top - padding.bottom, 0);
+        if (chartWidth <= 0 || chartHeight <= 0) return;
+
+        const maxLatency = Math.ceil(Math.max(...groups.flatMap(group => group.latencies)) / 100) * 100 || 100;
+        this.drawGrid(padding, chartWidth, chartHeight, maxLatency, 'Provider');
+
+        const ctx = this.ctx;
+        const toY = value => padding.top + chartHeight - (value / maxLatency) * chartHeight;
+        const slot = chartWidth / groups.length;
+        const boxWidth = Math.min(slot * 0.5, 80);
+
+        groups.forEach((group, index) => {
+            const sorted = [...group.latencies].sort((a, b) => a - b);
+            const q1 = LatencyStats.percentile(sorted, 25);
+            const median = LatencyStats.percentile(sorted, 50);
+            const q3 = LatencyStats.percentile(sorted, 75);
+            const fence = (q3 - q1) * 1.5;
+            const inside = sorted.filter(value => value >= q1 - fence && value <= q3 + fence);
+            const lowWhisker = inside[0];
+            const highWhisker = inside[inside.length - 1];
+
+            const center = padding.left + slot * index + slot / 2;
+            const left = center - boxWidth / 2;
+            const color = group.provider.color || '#000000';
+
+            ctx.save();
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 2;
+
+            // Whiskers
+            ctx.beginPath();
+            ctx.moveTo(center, toY(highWhisker));
+            ctx.lineTo(center, toY(q3));
+            ctx.moveTo(center, toY(q1));
+            ctx.lineTo(center, toY(lowWhisker));
+            ctx.moveTo(center - boxWidth / 4, toY(highWhisker));
+            ctx.lineTo(center + boxWidth / 4, toY(highWhisker));
+            ctx.moveTo(center - boxWidth / 4, toY(lowWhisker));
+            ctx.lineTo(center + boxWidth / 4, toY(lowWhisker));
+            ctx.stroke();
+
+            // Box and median
+            ctx.globalAlpha = 0.2;
+            ctx.fillStyle = color;
+            ctx.fillRect(left, toY(q3), boxWidth, toY(q1) - toY(q3));
+            ctx.globalAlpha = 1;
+            ctx.strokeRect(left, toY(q3), boxWidth, toY(q1) - toY(q3));
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.moveTo(left, toY(median));
+            ctx.lineTo(left + boxWidth, toY(median));
+            ctx.stroke();
+
+            // Outliers
+            ctx.fillStyle = color;
+            sorted.filter(value => value < lowWhisker || value > highWhisker).forEach(value => {
+                ctx.beginPath();
+                ctx.arc(center, toY(value), 3, 0, Math.PI * 2);
+                ctx.fill();
+            });
+            ctx.restore();
+
+            ctx.fillStyle = color;
+            ctx.font = '12px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+            ctx.textAlign = 'center';
+            ctx.fillText(group.provider.name || 'Unknown', center, padding.top + chartHeight + 16);
+            ctx.fillStyle = '#64748b';
+            ctx.fillText(`median ${Math.round(median)}ms`, center, padding.top + chartHeight + 30);
+        });
+    }
+
+    /**
+     * Burst test: p50/p95/p99 latency lines and error-rate bars (right
+     * axis, 0-100%) for each concurrency level
+     */
+    drawBurst() {
+        if (!this.ctx || !this.canvas) return;
+
+        const levels = this.burst ? this.burst.levels : [];
+        if (levels.length === 0) {
+            this.drawEmptyState('Run a burst test to chart latency against concurrency.');
+            return;
+        }
+
+        this.clear();
+
+        const padding = { top: 40, right: 60, bottom: 60, left: 60 };
+        const chartWidth = Math.max(this.canvas.width - padding.left - padding.right, 0);
+        const chartHeight = Math.max(this.canvas.height - padding.top - padding.bottom, 0);
+        if (chartWidth <= 0 || chartHeight <= 0) return;
+
+        const highest = Math.max(...levels.map(level => level.p99 || 0));
+        const maxLatency = Math.ceil(highest / 100) * 100 || 100;
+        this.drawGrid(padding, chartWidth, chartHeight, maxLatency, 'Concurrent Requests');
+
+        const ctx = this.ctx;
+        const slot = chartWidth / levels.length;
+        const centerOf = index => padding.left + slot * index + slot / 2;
+        const toY = value => padding.top + chartHeight - (value / maxLatency) * chartHeight;
+        const color = this.burst.color || '#000000';
+
+        // Error rate bars behind the lines
+        ctx.save();
+        ctx.fillStyle = 'rgba(239, 68, 68, 0.25)';
+        const barWidth = Math.min(slot * 0.6, 40);
+        levels.forEach((level, index) => {
+            const barHeight = (level.errorRate / 100) * chartHeight;
+            ctx.fillRect(centerOf(index) - barWidth / 2, padding.top + chartHeight - barHeight, barWidth, barHeight);
+        });
+        ctx.restore();
+
+        const lines = [
+            { key: 'p50', name: 'p50', lineDash: null },
+            { key: 'p95', name: 'p95', lineDash: [6, 3] },
+            { key: 'p99', name: 'p99', lineDash: [2, 3] }
+        ];
+        lines.forEach(line => {
+            ctx.save();
+            ctx.strokeStyle = color;
+            ctx.fillStyle = color;
+            ctx.lineWidth = 2;
+            ctx.setLineDash(line.lineDash || []);
+            ctx.beginPath();
+            let drawing = false;
+            levels.forEach((level, index) => {
+                // Levels without a successful request break the line
+                if (typeof level[line.key] !== 'number') {
+                    drawing = false;
+                    return;
+                }
+                const x = centerOf(index);
+                const y = toY(level[line.key]);
+                if (drawing) {
+                    ctx.lineTo(x, y);
+                } else {
+                    ctx.moveTo(x, y);
+                    drawing = true;
+                }
+            });
+            ctx.stroke();
+            ctx.setLineDash([]);
+            levels.forEach((level, index) => {
+                if (typeof level[line.key] !== 'number') return;
+                ctx.beginPath();
+                ctx.arc(centerOf(index), toY(level[line.key]), 3, 0, Math.PI * 2);
+                ctx.fill();
+            });
+            ctx.restore();
+        });
+
+        // Concurrency labels, thinned to fit, and the error rate axis
+        ctx.fillStyle = '#64748b';
+        ctx.font = '12px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+        ctx.textAlign = 'center';
+        const labelEvery = Math.ceil(levels.length / Math.max(Math.floor(chartWidth / 40), 1));
+        levels.forEach((level, index) => {
+            if (index % labelEvery === 0) {
+                ctx.fillText(String(level.concurrency), centerOf(index), padding.top + chartHeight + 16);
+            }
+        });
+        ctx.textAlign = 'left';
+        for (let step = 0; step <= 5; step++) {
+            ctx.fillText(`${100 - step * 20}%`, padding.left + chartWidth + 8, padding.top + (chartHeight / 5) * step + 4);
+        }
+
+        this.drawLegend([
+            ...lines.map(line => ({ name: line.name, color, lineDash: line.lineDash || [] })),
+            { name: 'Error rate', color: 'rgba(239, 68, 68, 0.5)' }
+        ], padding);
+    }
+
+    /**
+     * Availability by calendar day (rows) and hour of day (columns), from
+     * every sample in memory across the shown providers
+     */
+    drawHeatmap() {
+        if (!this.ctx || !this.canvas) return;
+
+        const cells = new Map();
+        this.providers.forEach(provider => {
+            if (!provider || !provider.stats || !Array.isArray(provider.stats.history)) return;
+            provider.stats.history.forEach(point => {
+                if (!point || typeof point.timestamp !== 'number') return;
+                const date = new Date(point.timestamp);
+                const day = new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+                const key = `${day}|${date.getHours()}`;
+                const cell = cells.get(key) || { day, hour: date.getHours(), total: 0, up: 0 };
+                cell.total++;
+                // Degraded probes (wrong answers) still count as available
+                if (LatencyChart.isSuccess(point) || point.outcome === 'assertion-failed') cell.up++;
+                cells.set(key, cell);
+            });
+        });
+
+        if (cells.size === 0) {
+            this.drawEmptyState('No samples yet to build an availability heatmap.');
+            return;
+        }
+
+        this.clear();
+
+        const days = Array.from(new Set(Array.from(cells.values()).map(cell => cell.day)))
+            .sort((a, b) => a - b)
+            .slice(-HEATMAP_MAX_DAYS);
+
+        const padding = { top: 40, right: 20, bottom: 50, left: 100 };
+        const chartWidth = Math.max(this.canvas.width - padding.left - padding.right, 0);
+        const chartHeight = Math.max(this.canvas.height - padding.top - padding.bottom, 0);
+        if (chartWidth <= 0 || chartHeight <= 0) return;
+
+        const ctx = this.ctx;
+        const cellWidth = chartWidth / 24;
+        const cellHeight = Math.min(chartHeight / days.length, 40);
+        ctx.font = '12px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+
+        days.forEach((day, row) => {
+            const y = padding.top + cellHeight * row;
+
+            ctx.fillStyle = '#64748b';
+            ctx.textAlign = 'right';
+            ctx.fillText(new Date(day).toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric' }),
+                padding.left - 10, y + cellHeight / 2 + 4);
+
+            for (let hour = 0; hour < 24; hour++) {
+                const cell = cells.get(`${day}|${hour}`);
+                const x = padding.left + cellWidth * hour;
+                const availability = cell ? (cell.up / cell.total) * 100 : null;
+                const level = availability === null ? null : HEATMAP_LEVELS.find(candidate => availability >= candidate.min);
+
+                ctx.fillStyle = level ? level.color : HEATMAP_EMPTY_COLOR;
+                ctx.fillRect(x + 1, y + 1, cellWidth - 2, cellHeight - 2);
+
+                // Percentages only where there is room to read them
+                if (availability !== null && cellWidth >= 34 && cellHeight >= 18) {
+                    ctx.fillStyle = '#1e293b';
+                    ctx.textAlign = 'center';
+                    ctx.fillText(`${Math.floor(availability)}%`, x + cellWidth / 2, y + cellHeight / 2 + 4);
+                }
+            }
+        });
+
+        // Hour labels
+        ctx.fillStyle = '#64748b';
+        ctx.textAlign = 'center';
+        const labelY = padding.top + cellHeight * days.length + 16;
+        for (let hour = 0; hour < 24; hour += 3) {
+            ctx.fillText(`${String(hour).padStart(2, '0')}:00`, padding.left + cellWidth * hour + cellWidth / 2, labelY);
+        }
+
+        // Legend
+        const legend = [...HEATMAP_LEVELS, { color: HEATMAP_EMPTY_COLOR, label: 'No data' }];
+        legend.forEach((level, index) => {
+            const x = padding.left + index * 90;
+            ctx.fillStyle = level.color;
+            ctx.fillRect(x, 10, 20, 15);
+            ctx.fillStyle = '#1e293b';
+            ctx.textAlign = 'left';
+            ctx.fillText(level.label, x + 25, 22);
+        });
+    }
+
+    drawPhaseLegend(padding) {
+        const ctx = this.ctx;
+        if (!ctx) return;
+
+        const legendY = 10;
+        const itemWidth = 100;
+
+        CHART_PHASES.forEach((phase, index) => {
+            const x = padding.left + index * itemWidth;
+
+            ctx.fillStyle = phase.color;
+            ctx.fillRect(x, legendY, 20, 15);
+
+            ctx.fillStyle = '#1e293b';
+            ctx.font = '12px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+            ctx.textAlign = 'left';
+            ctx.fillText(phase.label, x + 25, legendY + 12);
+        });
+    }
+
+    drawGrid(padding, width, height, maxLatency, xLabel = 'Test Number', yLabel = 'Latency (ms)', yUnit = 'ms') {
         const ctx = this.ctx;
         if (!ctx) return;
 
@@ -177,7 +1055,7 @@ class LatencyChart {
             ctx.fillStyle = '#64748b';
             ctx.font = '12px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
             ctx.textAlign = 'right';
-            ctx.fillText(latency + 'ms', padding.left - 10, y + 4);
+            ctx.fillText(latency + yUnit, padding.left - 10, y + 4);
         }
 
         // Axes
@@ -200,69 +1078,72 @@ class LatencyChart {
         ctx.fillStyle = '#1e293b';
         ctx.font = 'bold 14px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
         ctx.textAlign = 'center';
-        ctx.fillText('Latency (ms)', padding.left / 2, this.canvas.height / 2);
-        ctx.fillText('Test Number', padding.left + width / 2, this.canvas.height - 20);
+        ctx.fillText(yLabel, padding.left / 2, this.canvas.height / 2);
+        ctx.fillText(xLabel, padding.left + width / 2, this.canvas.height - 20);
     }
 
-    drawProviderLine(provider, padding, width, height, maxLatency, displayPoints) {
+    /**
+     * Shade p50-p95 and dash p99 for each provider, from the same stats
+     * window as the statistics table rather than the points on screen
+     */
+    drawPercentileBands(visible, padding, width, height, maxLatency) {
         const ctx = this.ctx;
-        if (!ctx || !provider || !provider.stats || !provider.stats.history) return;
-
-        const history = provider.stats.history.slice(-displayPoints);
-        if (history.length === 0) return;
-
-        ctx.strokeStyle = provider.color;
-        ctx.fillStyle = provider.color;
-        ctx.lineWidth = 2;
-
-        // Draw line
-        ctx.beginPath();
-        const divisor = Math.max(displayPoints - 1, 1);
-        history.forEach((point, index) => {
-            if (!point || typeof point.latency !== 'number') return;
+        if (!ctx || maxLatency <= 0) return;
 
-            const x = padding.left + (width / divisor) * index;
-            const latencyRatio = maxLatency > 0 ? (point.latency / maxLatency) : 0;
-            const y = padding.top + height - latencyRatio * height;
-
-            if (index === 0) {
-                ctx.moveTo(x, y);
-            } else {
-                ctx.lineTo(x, y);
-            }
-        });
-        ctx.stroke();
+        // Percentiles above the visible range are pinned to the top edge
+        const toY = value => padding.top + height - (Math.min(value, maxLatency) / maxLatency) * height;
 
-        // Draw points
-        history.forEach((point, index) => {
-            if (!point || typeof point.latency !== 'number') return;
+        visible.forEach(({ provider }) => {
+            const summary = provider.stats || {};
+            if (![summary.p50, summary.p95, summary.p99].every(value => typeof value === 'number')) return;
 
-            const x = padding.left + (width / divisor) * index;
-            const latencyRatio = maxLatency > 0 ? (point.latency / maxLatency) : 0;
-            const y = padding.top + height - latencyRatio * height;
+            ctx.save();
+            ctx.fillStyle = provider.color || '#000000';
+            ctx.globalAlpha = 0.12;
+            ctx.fillRect(padding.left, toY(summary.p95), width, toY(summary.p50) - toY(summary.p95));
 
+            ctx.globalAlpha = 0.6;
+            ctx.strokeStyle = provider.color || '#000000';
+            ctx.lineWidth = 1;
+            ctx.setLineDash([6, 4]);
             ctx.beginPath();
-            ctx.arc(x, y, 4, 0, Math.PI * 2);
-            ctx.fill();
+            ctx.moveTo(padding.left, toY(summary.p99));
+            ctx.lineTo(padding.left + width, toY(summary.p99));
+            ctx.stroke();
+            ctx.restore();
         });
     }
 
-    drawLegend(padding) {
+    drawLegend(series, padding) {
         const ctx = this.ctx;
-        if (!ctx || !this.providers) return;
+        if (!ctx || !Array.isArray(series)) return;
 
         const legendX = padding.left;
         const legendY = 10;
-        const itemWidth = 120;
+        // Location overlays have longer names; shrink items to fit one row
+        const itemWidth = Math.min(series.some(provider => provider && provider.location) ? 180 : 120,
+            (this.canvas.width - padding.left) / Math.max(series.length, 1));
 
-        this.providers.forEach((provider, index) => {
+        series.forEach((provider, index) => {
             if (!provider) return;
 
             const x = legendX + (index * itemWidth);
 
-            // Color box
+            // Color box, or a dashed swatch for other locations
             ctx.fillStyle = provider.color || '#000000';
-            ctx.fillRect(x, legendY, 20, 15);
+            if (provider.lineDash) {
+                ctx.save();
+                ctx.strokeStyle = provider.color || '#000000';
+                ctx.lineWidth = 2;
+                ctx.setLineDash(provider.lineDash);
+                ctx.beginPath();
+                ctx.moveTo(x, legendY + 8);
+                ctx.lineTo(x + 20, legendY + 8);
+                ctx.stroke();
+                ctx.restore();
+            } else {
+                ctx.fillRect(x, legendY, 20, 15);
+            }
 
             // Provider name
             ctx.fillStyle = '#1e293b';
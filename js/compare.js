@@ -0,0 +1,119 @@
+/**
+ * Compare.js - Merging Result Bundles from Several Locations
+ */
+
+// Browser global, or a module-local require under Node
+const CompareDeps = typeof module !== 'undefined' && module.exports
+    ? require('./monitor.js')
+    : { LatencyMonitor };
+
+// Line styles for bundled locations; the local run is drawn solid
+const COMPARISON_DASHES = [[8, 4], [2, 4], [12, 4, 2, 4], [4, 8]];
+
+class LocationComparison {
+    constructor() {
+        this.bundles = new Map();
+    }
+
+    /**
+     * Bundles are keyed by location and client, so re-importing a newer
+     * bundle from the same machine replaces the older one
+     */
+    static bundleKey(bundle) {
+        const client = bundle.client || {};
+        return `${bundle.location}::${client.id || client.hostname || client.userAgent || ''}`;
+    }
+
+    /**
+     * Add a parsed bundle ({location, client, createdAt, providers} plus
+     * samples). Stats are rebuilt by replaying the samples through a
+     * LatencyMonitor so every figure matches the live dashboard.
+     */
+    addBundle(bundle, samples) {
+        if (!bundle || !bundle.location || !Array.isArray(samples)) {
+            console.error('addBundle expects a bundle and an array of samples');
+            return null;
+        }
+
+        const configs = (bundle.providers || []).map(provider => ({ ...provider }));
+        samples.forEach(sample => {
+            if (!configs.some(config => config.id === sample.providerId)) {
+                configs.push({ id: sample.providerId, name: sample.providerId, color: '#64748b' });
+            }
+        });
+
+        const monitor = new CompareDeps.LatencyMonitor(configs);
+        monitor.testMode = bundle.testMode || monitor.testMode;
+        monitor.setHistoryLimit(Math.max(samples.length, 1));
+        monitor.setStatsWindow('all');
+        monitor.loadSamples(samples);
+
+        const timestamps = samples.map(sample => sample.timestamp);
+        const entry = {
+            key: LocationComparison.bundleKey(bundle),
+            location: bundle.location,
+            client: bundle.client || {},
+            createdAt: bundle.createdAt || null,
+            sampleCount: samples.length,
+            from: timestamps.length > 0 ? Math.min(...timestamps) : null,
+            to: timestamps.length > 0 ? Math.max(...timestamps) : null,
+            monitor
+        };
+
+        this.bundles.set(entry.key, entry);
+        return entry;
+    }
+
+    removeBundle(key) {
+        this.bundles.delete(key);
+    }
+
+    clear() {
+        this.bundles.clear();
+    }
+
+    getBundles() {
+        return Array.from(this.bundles.values());
+    }
+
+    /**
+     * Chart series for every provider in every bundle. colors maps provider
+     * ids to the local dashboard's colors so overlays line up.
+     */
+    getSeries(colors = {}) {
+        const series = [];
+        this.getBundles().forEach((entry, index) => {
+            entry.monitor.providers.forEach(provider => {
+                series.push({
+                    ...provider,
+                    name: `${provider.name} · ${entry.location}`,
+                    color: colors[provider.id] || provider.color,
+                    location: entry.location,
+                    lineDash: COMPARISON_DASHES[index % COMPARISON_DASHES.length]
+                });
+            });
+        });
+        return series;
+    }
+
+    /**
+     * One provider's stats in each bundle, null where a bundle lacks it
+     */
+    getProviderStats(providerId) {
+        return this.getBundles().map(entry => {
+            const provider = entry.monitor.providers.find(candidate => candidate.id === providerId);
+            return {
+                key: entry.key,
+                location: entry.location,
+                stats: provider ? provider.stats : null
+            };
+        });
+    }
+}
+
+// Export for use in app.js, or as a Node module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LocationComparison };
+} else {
+    window.LocationComparison = LocationComparison;
+}
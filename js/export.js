@@ -0,0 +1,528 @@
+/**
+ * Export.js - Export and Import of Monitoring Data (CSV, JSON, HAR)
+ */
+
+const EXPORT_FORMAT = 'api-latency-monitor';
+const EXPORT_VERSION = 1;
+const BUNDLE_FORMAT = 'api-latency-monitor-bundle';
+
+// Per-sample CSV columns, in order
+const SAMPLE_CSV_COLUMNS = [
+    'timestamp', 'providerId', 'provider', 'targetId', 'model', 'success', 'latency', 'statusCode', 'outcome', 'attempts', 'mode',
+    'method', 'url', 'bodySize', 'ttft', 'tokens', 'throughput', 'inputTokens', 'outputTokens', 'cost',
+    'dns', 'connect', 'tls', 'ttfb', 'download', 'assertion', 'error'
+];
+
+const SUMMARY_CSV_COLUMNS = [
+    'providerId', 'provider', 'status', 'current', 'avg', 'min', 'max',
+    'successes', 'failures', 'rateLimited', 'retries', 'count', 'successRate', 'avgTtft', 'avgThroughput',
+    'inputTokens', 'outputTokens', 'cost'
+];
+
+// Per-level burst test CSV columns, in order
+const BURST_CSV_COLUMNS = [
+    'provider', 'targetId', 'mode', 'concurrency', 'requests', 'failures', 'rateLimited', 'errorRate',
+    'avg', 'p50', 'p95', 'p99'
+];
+
+const PHASE_KEYS = ['dns', 'connect', 'tls', 'ttfb', 'download'];
+
+class MonitorExporter {
+    /**
+     * Flatten every provider's history into samples, oldest first. stored
+     * samples (e.g. a whole IndexedDB session) replace the in-memory
+     * history, which only keeps the latest points per provider.
+     */
+    static collectSamples(monitor, stored = null) {
+        if (!monitor || !Array.isArray(monitor.providers)) return [];
+
+        const samples = [];
+        if (Array.isArray(stored)) {
+            const known = new Set(monitor.providers.filter(Boolean).map(provider => provider.id));
+            stored.forEach(sample => {
+                if (!sample || !known.has(sample.providerId)) return;
+                // Store keys are not part of the sample
+                const { id, sessionId, ...point } = sample;
+                samples.push({
+                    ...point,
+                    success: typeof point.success === 'boolean' ? point.success : typeof point.latency === 'number'
+                });
+            });
+            return samples.sort((a, b) => a.timestamp - b.timestamp);
+        }
+
+        monitor.providers.forEach(provider => {
+            if (!provider || !provider.stats || !Array.isArray(provider.stats.history)) return;
+
+            provider.stats.history.forEach(point => {
+                if (!point) return;
+                samples.push({
+                    providerId: provider.id,
+                    ...point,
+                    success: typeof point.success === 'boolean' ? point.success : typeof point.latency === 'number'
+                });
+            });
+        });
+
+        return samples.sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    /**
+     * Summaries from getStats(), without the per-sample history
+     */
+    static collectSummaries(monitor) {
+        if (!monitor || typeof monitor.getStats !== 'function') return [];
+
+        return monitor.getStats().map(provider => ({
+            id: provider.id,
+            name: provider.name,
+            color: provider.color,
+            status: provider.status,
+            rateLimit: provider.rateLimit || null,
+            stats: MonitorExporter.summarizeStats(provider.stats),
+            targets: (provider.targets || []).map(target => ({
+                id: target.id,
+                name: target.name,
+                model: target.model,
+                status: target.status,
+                stats: MonitorExporter.summarizeStats(target.stats)
+            }))
+        }));
+    }
+
+    /**
+     * Stats without the per-sample history
+     */
+    static summarizeStats(providerStats) {
+        const { history, ...stats } = providerStats || {};
+        return {
+            ...stats,
+            // JSON has no Infinity
+            min: stats.min === Infinity ? null : stats.min
+        };
+    }
+
+    /**
+     * Remove the monitor's API keys from exported text. Samples are
+     * redacted when recorded; this also covers anything recorded earlier.
+     */
+    static redact(monitor, text) {
+        return monitor && typeof monitor.redact === 'function' ? monitor.redact(text) : text;
+    }
+
+    static toJSON(monitor, stored = null) {
+        return MonitorExporter.redact(monitor, JSON.stringify({
+            format: EXPORT_FORMAT,
+            version: EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            testMode: monitor ? monitor.testMode : null,
+            summary: MonitorExporter.collectSummaries(monitor),
+            samples: MonitorExporter.collectSamples(monitor, stored)
+        }, null, 2));
+    }
+
+    /**
+     * Result bundle: every sample tagged with the probe location, plus
+     * metadata about the client that ran the probes, for merging runs
+     * from several locations or machines
+     */
+    static toBundle(monitor, location, client = {}, stored = null) {
+        const label = String(location || '').trim() || 'Unnamed location';
+        const providers = monitor && Array.isArray(monitor.providers)
+            ? monitor.providers.map(provider => ({
+                id: provider.id,
+                name: provider.name,
+                color: provider.color,
+                ...(Array.isArray(provider.targets) ? { targets: provider.targets } : {})
+            }))
+            : [];
+
+        return MonitorExporter.redact(monitor, JSON.stringify({
+            format: BUNDLE_FORMAT,
+            version: EXPORT_VERSION,
+            createdAt: new Date().toISOString(),
+            location: label,
+            client: { ...MonitorExporter.clientInfo(), ...client },
+            testMode: monitor ? monitor.testMode : null,
+            providers,
+            samples: MonitorExporter.collectSamples(monitor, stored).map(sample => ({ ...sample, location: label }))
+        }, null, 2));
+    }
+
+    /**
+     * Describe the environment running the probes (browser or Node)
+     */
+    static clientInfo() {
+        const info = {};
+        try {
+            info.timezone = Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+        } catch (error) {
+            info.timezone = null;
+        }
+
+        if (typeof process !== 'undefined' && process.versions && process.versions.node) {
+            info.userAgent = `Node.js ${process.version}`;
+            info.platform = process.platform;
+        } else if (typeof navigator !== 'undefined') {
+            info.userAgent = navigator.userAgent || null;
+            info.platform = navigator.platform || null;
+            info.language = navigator.language || null;
+            info.connection = navigator.connection ? navigator.connection.effectiveType || null : null;
+        }
+
+        return info;
+    }
+
+    static toSummaryCSV(monitor) {
+        const rows = MonitorExporter.collectSummaries(monitor).map(provider => {
+            const stats = provider.stats;
+            return {
+                providerId: provider.id,
+                provider: provider.name,
+                status: provider.status,
+                current: stats.current,
+                avg: stats.avg || null,
+                min: stats.min,
+                max: stats.max || null,
+                successes: stats.successes,
+                failures: stats.failures,
+                rateLimited: stats.rateLimited || 0,
+                retries: stats.retries || 0,
+                count: stats.count,
+                successRate: stats.count > 0 ? ((stats.successes / stats.count) * 100).toFixed(1) : null,
+                avgTtft: stats.avgTtft,
+                avgThroughput: stats.avgThroughput,
+                inputTokens: stats.inputTokens || 0,
+                outputTokens: stats.outputTokens || 0,
+                cost: stats.cost || 0
+            };
+        });
+        return MonitorExporter.redact(monitor, MonitorExporter.buildCSV(SUMMARY_CSV_COLUMNS, rows));
+    }
+
+    static toSamplesCSV(monitor, stored = null) {
+        const names = MonitorExporter.providerNames(monitor);
+        const rows = MonitorExporter.collectSamples(monitor, stored).map(sample => {
+            const row = {
+                ...sample,
+                timestamp: new Date(sample.timestamp).toISOString(),
+                provider: names[sample.providerId] || sample.providerId
+            };
+            PHASE_KEYS.forEach(key => {
+                row[key] = sample.phases ? sample.phases[key] : null;
+            });
+            return row;
+        });
+        return MonitorExporter.redact(monitor, MonitorExporter.buildCSV(SAMPLE_CSV_COLUMNS, rows));
+    }
+
+    /**
+     * One row per concurrency level of a burst test result
+     */
+    static toBurstCSV(monitor, result) {
+        const rows = ((result && result.levels) || []).map(level => ({
+            ...level,
+            provider: result.name,
+            targetId: result.targetId,
+            mode: result.mode
+        }));
+        return MonitorExporter.redact(monitor, MonitorExporter.buildCSV(BURST_CSV_COLUMNS, rows));
+    }
+
+    /**
+     * HAR 1.2 log with one entry per sample. Monitor-specific fields use
+     * the underscore prefix HAR reserves for custom data.
+     */
+    static toHAR(monitor, stored = null) {
+        const entries = MonitorExporter.collectSamples(monitor, stored).map(sample => {
+            const phases = sample.phases || {};
+            const headers = sample.headers || {};
+            const ttfb = typeof phases.ttfb === 'number' ? phases.ttfb : -1;
+
+            return {
+                startedDateTime: new Date(sample.timestamp).toISOString(),
+                time: typeof sample.latency === 'number' ? sample.latency : 0,
+                request: {
+                    method: sample.method || 'GET',
+                    url: sample.url || '',
+                    httpVersion: 'HTTP/1.1',
+                    cookies: [],
+                    headers: [],
+                    queryString: [],
+                    headersSize: -1,
+                    bodySize: -1
+                },
+                response: {
+                    status: sample.statusCode || 0,
+                    statusText: '',
+                    httpVersion: 'HTTP/1.1',
+                    cookies: [],
+                    headers: Object.entries(headers).map(([name, value]) => ({ name, value: String(value) })),
+                    content: {
+                        size: typeof sample.bodySize === 'number' ? sample.bodySize : 0,
+                        mimeType: headers['content-type'] || ''
+                    },
+                    redirectURL: '',
+                    headersSize: -1,
+                    bodySize: typeof sample.bodySize === 'number' ? sample.bodySize : -1
+                },
+                cache: {},
+                timings: {
+                    blocked: -1,
+                    dns: typeof phases.dns === 'number' ? phases.dns : -1,
+                    connect: typeof phases.connect === 'number' ? phases.connect + (phases.tls || 0) : -1,
+                    ssl: typeof phases.tls === 'number' ? phases.tls : -1,
+                    send: 0,
+                    wait: ttfb >= 0 ? ttfb : (typeof sample.latency === 'number' ? sample.latency : 0),
+                    receive: typeof phases.download === 'number' ? phases.download : 0
+                },
+                _providerId: sample.providerId,
+                _targetId: sample.targetId || null,
+                _model: sample.model || null,
+                _success: sample.success,
+                _outcome: sample.outcome || null,
+                _attempts: sample.attempts ?? null,
+                _mode: sample.mode || null,
+                _ttft: sample.ttft ?? null,
+                _tokens: sample.tokens ?? null,
+                _throughput: sample.throughput ?? null,
+                _inputTokens: sample.inputTokens ?? null,
+                _outputTokens: sample.outputTokens ?? null,
+                _cost: sample.cost ?? null,
+                _assertion: sample.assertion || null,
+                _error: sample.error || null
+            };
+        });
+
+        return MonitorExporter.redact(monitor, JSON.stringify({
+            log: {
+                version: '1.2',
+                creator: { name: 'API Latency Monitor', version: String(EXPORT_VERSION) },
+                pages: [],
+                entries
+            }
+        }, null, 2));
+    }
+
+    /**
+     * Parse an exported file back into samples. Detects our JSON format,
+     * HAR and per-sample CSV.
+     */
+    static parse(text, filename = '') {
+        if (typeof text !== 'string' || text.trim() === '') {
+            throw new Error('Import file is empty');
+        }
+
+        const trimmed = text.trim();
+        if (trimmed.startsWith('{')) {
+            let data;
+            try {
+                data = JSON.parse(trimmed);
+            } catch (error) {
+                throw new Error(`Invalid JSON in ${filename || 'import file'}: ${error.message}`);
+            }
+
+            if (data && data.format === BUNDLE_FORMAT && Array.isArray(data.samples)) {
+                const location = String(data.location || '').trim() || 'Unnamed location';
+                return {
+                    kind: 'bundle',
+                    samples: data.samples
+                        .map(sample => MonitorExporter.normalizeSample({ ...sample, location }))
+                        .filter(Boolean),
+                    bundle: {
+                        location,
+                        client: data.client && typeof data.client === 'object' ? data.client : {},
+                        createdAt: data.createdAt || null,
+                        providers: Array.isArray(data.providers) ? data.providers.filter(provider => provider && provider.id) : []
+                    }
+                };
+            }
+            if (data && data.format === EXPORT_FORMAT && Array.isArray(data.samples)) {
+                return { kind: 'json', samples: data.samples.map(MonitorExporter.normalizeSample).filter(Boolean) };
+            }
+            if (data && data.log && Array.isArray(data.log.entries)) {
+                return { kind: 'har', samples: MonitorExporter.samplesFromHAR(data.log.entries) };
+            }
+            throw new Error('Unrecognized JSON file - expected a monitor export, result bundle or HAR');
+        }
+
+        return { kind: 'csv', samples: MonitorExporter.samplesFromCSV(trimmed) };
+    }
+
+    static samplesFromHAR(entries) {
+        return entries.map(entry => {
+            if (!entry || !entry._providerId) return null;
+
+            const timings = entry.timings || {};
+            const positive = value => (typeof value === 'number' && value >= 0 ? value : null);
+            const headers = {};
+            ((entry.response && entry.response.headers) || []).forEach(header => {
+                headers[header.name] = header.value;
+            });
+
+            const phases = positive(timings.dns) !== null || positive(timings.ssl) !== null ? {
+                dns: positive(timings.dns) || 0,
+                connect: Math.max((positive(timings.connect) || 0) - (positive(timings.ssl) || 0), 0),
+                tls: positive(timings.ssl) || 0,
+                ttfb: positive(timings.wait) || 0,
+                download: positive(timings.receive) || 0
+            } : null;
+
+            return MonitorExporter.normalizeSample({
+                providerId: entry._providerId,
+                targetId: entry._targetId || null,
+                model: entry._model || null,
+                timestamp: Date.parse(entry.startedDateTime),
+                success: entry._success !== false,
+                latency: entry.time,
+                statusCode: entry.response ? entry.response.status || null : null,
+                outcome: entry._outcome,
+                attempts: entry._attempts ?? null,
+                mode: entry._mode,
+                method: entry.request ? entry.request.method : null,
+                url: entry.request ? entry.request.url : null,
+                bodySize: entry.response && entry.response.bodySize >= 0 ? entry.response.bodySize : null,
+                headers,
+                phases,
+                ttft: entry._ttft,
+                tokens: entry._tokens,
+                throughput: entry._throughput,
+                inputTokens: entry._inputTokens ?? null,
+                outputTokens: entry._outputTokens ?? null,
+                cost: entry._cost ?? null,
+                assertion: entry._assertion || null,
+                error: entry._error
+            });
+        }).filter(Boolean);
+    }
+
+    static samplesFromCSV(text) {
+        const rows = MonitorExporter.parseCSV(text);
+        if (rows.length < 2) return [];
+
+        const columns = rows[0];
+        if (!columns.includes('providerId') || !columns.includes('timestamp')) {
+            throw new Error('CSV must be a per-sample export with providerId and timestamp columns');
+        }
+
+        const numeric = ['latency', 'statusCode', 'attempts', 'bodySize', 'ttft', 'tokens', 'throughput', 'inputTokens', 'outputTokens', 'cost'];
+
+        return rows.slice(1).map(values => {
+            const row = {};
+            columns.forEach((column, index) => {
+                row[column] = values[index] === undefined || values[index] === '' ? null : values[index];
+            });
+
+            numeric.concat(PHASE_KEYS).forEach(key => {
+                if (row[key] !== null && row[key] !== undefined) row[key] = Number(row[key]);
+            });
+
+            const hasPhases = PHASE_KEYS.some(key => typeof row[key] === 'number');
+            const phases = hasPhases ? {} : null;
+            PHASE_KEYS.forEach(key => {
+                if (hasPhases) phases[key] = row[key] || 0;
+                delete row[key];
+            });
+            delete row.provider;
+
+            return MonitorExporter.normalizeSample({
+                ...row,
+                timestamp: Date.parse(row.timestamp),
+                success: row.success === 'true',
+                phases
+            });
+        }).filter(Boolean);
+    }
+
+    /**
+     * Drop samples that cannot be replayed and fill in defaults
+     */
+    static normalizeSample(sample) {
+        if (!sample || !sample.providerId || typeof sample.timestamp !== 'number' || isNaN(sample.timestamp)) {
+            return null;
+        }
+
+        const success = Boolean(sample.success);
+        return {
+            ...sample,
+            success,
+            latency: success && typeof sample.latency === 'number' ? sample.latency : null
+        };
+    }
+
+    static providerNames(monitor) {
+        const names = {};
+        if (monitor && Array.isArray(monitor.providers)) {
+            monitor.providers.forEach(provider => {
+                if (provider) names[provider.id] = provider.name;
+            });
+        }
+        return names;
+    }
+
+    static buildCSV(columns, rows) {
+        const lines = [columns.join(',')];
+        rows.forEach(row => {
+            lines.push(columns.map(column => MonitorExporter.escapeCSV(row[column])).join(','));
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    static escapeCSV(value) {
+        if (value === null || value === undefined) return '';
+        const text = String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Minimal RFC 4180 parser (quoted fields, escaped quotes, CRLF)
+     */
+    static parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows.filter(values => values.length > 1 || values[0] !== '');
+    }
+}
+
+// Export for use in app.js, or as a Node module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MonitorExporter };
+} else {
+    window.MonitorExporter = MonitorExporter;
+}
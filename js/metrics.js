@@ -0,0 +1,184 @@
+/**
+ * Metrics.js - OpenMetrics / Prometheus Text Exposition of Provider Stats
+ */
+
+const METRICS_PREFIX = 'api_latency';
+const METRICS_CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+const METRICS_STATUSES = ['idle', 'testing', 'online', 'degraded', 'offline', 'throttled'];
+const METRICS_QUANTILES = { p50: '0.5', p90: '0.9', p95: '0.95', p99: '0.99' };
+
+class MetricsExporter {
+    /**
+     * Render every enabled provider's stats in the OpenMetrics text format.
+     * Latencies are converted to seconds, following Prometheus conventions.
+     */
+    static toOpenMetrics(monitor, prefix = METRICS_PREFIX) {
+        const providers = monitor && typeof monitor.getStats === 'function'
+            ? monitor.getStats().filter(provider => provider && provider.stats && provider.enabled !== false)
+            : [];
+        const bounds = (monitor && monitor.constructor && monitor.constructor.LATENCY_BUCKETS) || [];
+        const lines = [];
+
+        const family = (name, type, help, unit) => {
+            lines.push(`# TYPE ${prefix}_${name} ${type}`);
+            if (unit) lines.push(`# UNIT ${prefix}_${name} ${unit}`);
+            lines.push(`# HELP ${prefix}_${name} ${help}`);
+        };
+        const sample = (name, labels, value) => {
+            lines.push(`${prefix}_${name}${MetricsExporter.formatLabels(labels)} ${MetricsExporter.formatValue(value)}`);
+        };
+        const seconds = ms => (typeof ms === 'number' && isFinite(ms) ? ms / 1000 : null);
+        const labelsFor = provider => ({ provider: provider.id, name: provider.name || provider.id });
+
+        family('request_duration_seconds', 'histogram', 'Latency of successful probes.', 'seconds');
+        providers.forEach(provider => {
+            const stats = provider.stats;
+            const buckets = Array.isArray(stats.buckets) ? stats.buckets : [];
+            let cumulative = 0;
+            bounds.forEach((bound, index) => {
+                cumulative += buckets[index] || 0;
+                sample('request_duration_seconds_bucket', { ...labelsFor(provider), le: String(bound / 1000) }, cumulative);
+            });
+            sample('request_duration_seconds_bucket', { ...labelsFor(provider), le: '+Inf' }, stats.successes || 0);
+            sample('request_duration_seconds_count', labelsFor(provider), stats.successes || 0);
+            sample('request_duration_seconds_sum', labelsFor(provider), seconds(stats.total || 0));
+        });
+
+        family('requests', 'counter', 'Probes sent, by result.');
+        providers.forEach(provider => {
+            sample('requests_total', { ...labelsFor(provider), result: 'success' }, provider.stats.successes || 0);
+            sample('requests_total', { ...labelsFor(provider), result: 'failure' }, provider.stats.failures || 0);
+            sample('requests_total', { ...labelsFor(provider), result: 'rate_limited' }, provider.stats.rateLimited || 0);
+        });
+
+        family('outcomes', 'counter', 'Probes by outcome (timeouts in every mode, the rest in simple, full and stream modes).');
+        providers.forEach(provider => {
+            Object.entries(provider.stats.outcomes || {}).forEach(([outcome, count]) => {
+                sample('outcomes_total', { ...labelsFor(provider), outcome }, count);
+            });
+        });
+
+        family('retries', 'counter', 'Extra attempts made after transient failures.');
+        providers.forEach(provider => {
+            sample('retries_total', labelsFor(provider), provider.stats.retries || 0);
+        });
+
+        family('up', 'gauge', 'Whether the last probe succeeded (1) or not (0).');
+        providers.forEach(provider => {
+            sample('up', labelsFor(provider), provider.status === 'online' ? 1 : 0);
+        });
+
+        family('status', 'stateset', 'Current provider status.');
+        providers.forEach(provider => {
+            METRICS_STATUSES.forEach(status => {
+                sample('status', { ...labelsFor(provider), [`${prefix}_status`]: status }, provider.status === status ? 1 : 0);
+            });
+        });
+
+        family('last_duration_seconds', 'gauge', 'Latency of the most recent successful probe.', 'seconds');
+        providers.forEach(provider => {
+            if (provider.stats.current !== null && provider.stats.current !== undefined) {
+                sample('last_duration_seconds', labelsFor(provider), seconds(provider.stats.current));
+            }
+        });
+
+        family('window_duration_seconds', 'gauge', 'Latency percentiles over the statistics window.', 'seconds');
+        providers.forEach(provider => {
+            Object.entries(METRICS_QUANTILES).forEach(([key, quantile]) => {
+                if (typeof provider.stats[key] === 'number') {
+                    sample('window_duration_seconds', { ...labelsFor(provider), quantile }, seconds(provider.stats[key]));
+                }
+            });
+        });
+
+        family('ratelimit_remaining', 'gauge', 'Requests or tokens left in the current rate-limit window.');
+        providers.forEach(provider => {
+            const limits = provider.rateLimit || {};
+            ['requests', 'tokens'].forEach(kind => {
+                if (limits[kind] && typeof limits[kind].remaining === 'number') {
+                    sample('ratelimit_remaining', { ...labelsFor(provider), kind }, limits[kind].remaining);
+                }
+            });
+        });
+
+        family('tokens', 'counter', 'Billed tokens reported by authenticated probes, by direction.');
+        providers.forEach(provider => {
+            sample('tokens_total', { ...labelsFor(provider), direction: 'input' }, provider.stats.inputTokens || 0);
+            sample('tokens_total', { ...labelsFor(provider), direction: 'output' }, provider.stats.outputTokens || 0);
+        });
+
+        family('estimated_cost_dollars', 'counter', 'Estimated spend of authenticated probes from the model price table.');
+        providers.forEach(provider => {
+            sample('estimated_cost_dollars_total', labelsFor(provider), provider.stats.cost || 0);
+        });
+
+        family('ttft_seconds', 'gauge', 'Average time to first streamed token.', 'seconds');
+        providers.forEach(provider => {
+            if (typeof provider.stats.avgTtft === 'number') {
+                sample('ttft_seconds', labelsFor(provider), seconds(provider.stats.avgTtft));
+            }
+        });
+
+        family('throughput_tokens_per_second', 'gauge', 'Average streamed tokens per second.');
+        providers.forEach(provider => {
+            if (typeof provider.stats.avgThroughput === 'number') {
+                sample('throughput_tokens_per_second', labelsFor(provider), provider.stats.avgThroughput);
+            }
+        });
+
+        // Probe targets get their own families so provider totals are not counted twice
+        const targets = [];
+        providers.forEach(provider => {
+            (provider.targets || []).forEach(target => {
+                targets.push({ labels: { ...labelsFor(provider), target: target.id, model: target.model || '' }, target });
+            });
+        });
+
+        family('target_requests', 'counter', 'Probes sent to each probe target, by result.');
+        targets.forEach(({ labels, target }) => {
+            sample('target_requests_total', { ...labels, result: 'success' }, target.stats.successes || 0);
+            sample('target_requests_total', { ...labels, result: 'failure' }, target.stats.failures || 0);
+            sample('target_requests_total', { ...labels, result: 'rate_limited' }, target.stats.rateLimited || 0);
+        });
+
+        family('target_up', 'gauge', 'Whether the last probe of a probe target succeeded (1) or not (0).');
+        targets.forEach(({ labels, target }) => {
+            sample('target_up', labels, target.status === 'online' ? 1 : 0);
+        });
+
+        family('target_window_duration_seconds', 'gauge', 'Latency percentiles of each probe target over the statistics window.', 'seconds');
+        targets.forEach(({ labels, target }) => {
+            Object.entries(METRICS_QUANTILES).forEach(([key, quantile]) => {
+                if (typeof target.stats[key] === 'number') {
+                    sample('target_window_duration_seconds', { ...labels, quantile }, seconds(target.stats[key]));
+                }
+            });
+        });
+
+        lines.push('# EOF');
+        return lines.join('\n') + '\n';
+    }
+
+    static formatLabels(labels) {
+        const pairs = Object.entries(labels || {}).map(([key, value]) => `${key}="${MetricsExporter.escapeLabel(value)}"`);
+        return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+    }
+
+    static escapeLabel(value) {
+        return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    }
+
+    static formatValue(value) {
+        if (typeof value !== 'number' || isNaN(value)) return 'NaN';
+        if (value === Infinity) return '+Inf';
+        if (value === -Infinity) return '-Inf';
+        return String(value);
+    }
+}
+
+// Export for use in app.js, or as a Node module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MetricsExporter, METRICS_CONTENT_TYPE };
+} else {
+    window.MetricsExporter = MetricsExporter;
+}
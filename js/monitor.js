@@ -2,80 +2,817 @@
  * API Latency Monitor - Core Monitoring Logic
  */
 
+// Helpers from providers.js, stats.js and pricing.js: globals of the earlier
+// script tags in the browser, module-local requires under Node
+const MonitorDeps = typeof module !== 'undefined' && module.exports
+    ? { ...require('./providers.js'), ...require('./stats.js'), ...require('./pricing.js') }
+    : {
+        API_PROVIDERS, getRequestFormat, buildProviderRequest, validateProviderResponse,
+        getResponseUsage, getResponseText, checkAssertions, LatencyStats, estimateCost, getModelPrice
+    };
+
 class LatencyMonitor {
-    constructor() {
-        if (typeof API_PROVIDERS === 'undefined' || !Array.isArray(API_PROVIDERS)) {
+    /**
+     * providers defaults to the built-in API_PROVIDERS list
+     */
+    constructor(providers = null) {
+        const configs = providers || MonitorDeps.API_PROVIDERS;
+        if (!Array.isArray(configs)) {
             console.error('API_PROVIDERS not found or invalid');
             this.providers = [];
         } else {
-            this.providers = API_PROVIDERS.map(provider => {
+            this.providers = configs.map(provider => {
                 if (!provider) {
                     console.warn('Skipping null/undefined provider');
                     return null;
                 }
 
-                return {
-                    ...provider,
-                    stats: {
-                        current: null,
-                        min: Infinity,
-                        max: 0,
-                        avg: 0,
-                        total: 0,
-                        count: 0,
-                        successes: 0,
-                        failures: 0,
-                        history: []
-                    },
-                    status: 'idle' // idle, testing, online, offline
-                };
+                return LatencyMonitor.createProviderState(provider);
             }).filter(Boolean);
         }
 
-        this.isMonitoring = false;
-        this.monitoringInterval = null;
-        this.testMode = 'ping';
-        this.totalTests = 0;
+        this.isMonitoring = false;
+        this.baseInterval = null;
+        this.timers = new Map(); // provider id -> pending probe timeout
+        this.schedule = { ...LatencyMonitor.SCHEDULE_DEFAULTS };
+        this.maxConcurrency = Infinity;
+        this.activeProbes = 0;
+        this.probeQueue = []; // resolvers waiting for a concurrency slot
+        this.testMode = 'ping';
+        this.totalTests = 0; // provider probes, not rounds: providers run on their own schedules
+        this.apiKeys = {};
+        this.historyLimit = 100;
+        this.statsWindow = 50;
+        this.deferWindowStats = false;
+        this.alertManager = null;
+        this.webhookNotifier = null;
+        this.budget = null; // USD; monitoring pauses once the estimated spend reaches it
+        this.budgetReached = false;
+        this.burstSpend = LatencyMonitor.createEmptySpend(); // burst tests, kept out of the stats
+    }
+
+    /**
+     * Wrap a provider configuration with runtime state
+     */
+    static createProviderState(config) {
+        return {
+            ...config,
+            enabled: config.enabled !== false,
+            stats: LatencyMonitor.createEmptyStats(),
+            status: 'idle', // idle, testing, online, degraded, offline, throttled
+            lastResult: null,
+            rateLimit: null,
+            schedule: LatencyMonitor.createScheduleState(),
+            targetStates: LatencyMonitor.createTargetStates(config)
+        };
+    }
+
+    /**
+     * Runtime state for each of a provider's probe targets, keyed by target id
+     */
+    static createTargetStates(config) {
+        const states = {};
+        LatencyMonitor.getTargets(config).forEach(target => {
+            if (!target) return;
+            states[target.id] = {
+                id: target.id,
+                name: target.name || target.id,
+                model: target.model || (config.request && config.request.model) || null,
+                stats: LatencyMonitor.createEmptyStats(),
+                status: 'idle',
+                lastResult: null
+            };
+        });
+        return states;
+    }
+
+    /**
+     * A provider's probe targets, or [null] when it only probes its own settings
+     */
+    static getTargets(provider) {
+        const targets = provider && Array.isArray(provider.targets)
+            ? provider.targets.filter(target => target && target.id)
+            : [];
+        return targets.length > 0 ? targets : [null];
+    }
+
+    /**
+     * The provider settings used to probe one target: the target's model,
+     * format, paths, test mode and assertions override the provider's. A
+     * target with another request format does not inherit the provider's
+     * request paths or assertions.
+     */
+    static targetConfig(provider, target) {
+        if (!target) return provider;
+
+        const config = { ...provider };
+        if (target.testMode) config.testMode = target.testMode;
+        if (target.pingPath) config.pingPath = target.pingPath;
+
+        const request = provider.request || {};
+        if (target.assertions) {
+            config.assertions = target.assertions;
+        } else if (target.format && target.format !== request.format) {
+            delete config.assertions;
+        }
+
+        const format = target.format || request.format;
+        if (format) {
+            const inherited = { ...request };
+            if (target.format && target.format !== request.format) {
+                delete inherited.path;
+                delete inherited.streamPath;
+            }
+            // A provider's price is for its own model, not the target's
+            if (target.model && target.model !== request.model) {
+                delete inherited.price;
+            }
+            config.request = {
+                ...inherited,
+                format,
+                model: target.model || request.model,
+                ...(target.path ? { path: target.path } : {}),
+                ...(target.price ? { price: target.price } : {})
+            };
+        }
+        return config;
+    }
+
+    /**
+     * A provider and its target states - everything that holds stats
+     */
+    static statsOwners(provider) {
+        return [provider, ...Object.values(provider.targetStates || {})];
+    }
+
+    /**
+     * Per-provider scheduling state: consecutive failures drive the backoff,
+     * fastProbes counts the quick re-probes left after a recovery
+     */
+    static createScheduleState() {
+        return {
+            failures: 0,
+            fastProbes: 0,
+            inFlight: false,
+            nextProbeAt: null,
+            throttled: false
+        };
+    }
+
+    /**
+     * Replace the provider list, keeping stats for providers whose id is unchanged
+     */
+    setProviders(configs) {
+        if (!Array.isArray(configs)) {
+            console.error('setProviders expects an array');
+            return;
+        }
+
+        const existing = new Map(this.providers.map(provider => [provider.id, provider]));
+
+        this.providers = configs.filter(Boolean).map(config => {
+            const state = LatencyMonitor.createProviderState(config);
+            const previous = existing.get(config.id);
+            if (previous) {
+                state.stats = previous.stats;
+                state.status = previous.status;
+                state.lastResult = previous.lastResult;
+                state.rateLimit = previous.rateLimit;
+                state.schedule = previous.schedule;
+                Object.values(state.targetStates).forEach(target => {
+                    const old = previous.targetStates && previous.targetStates[target.id];
+                    if (old) {
+                        target.stats = old.stats;
+                        target.status = old.status;
+                        target.lastResult = old.lastResult;
+                    }
+                });
+                // A pending probe timed for the old interval is rescheduled below
+                if (previous.interval !== state.interval && this.timers.has(state.id)) {
+                    clearTimeout(this.timers.get(state.id));
+                    this.timers.delete(state.id);
+                }
+            }
+            return state;
+        });
+
+        if (this.isMonitoring && this.baseInterval !== null) {
+            this.syncSchedule();
+        }
+    }
+
+    /**
+     * Provider configurations without runtime state, suitable for saving
+     */
+    getProviderConfigs() {
+        return this.providers.map(provider => {
+            const { stats, status, lastResult, rateLimit, schedule, targetStates, ...config } = provider;
+            return config;
+        });
+    }
+
+    /**
+     * Create a fresh statistics object for a provider
+     */
+    static createEmptyStats() {
+        const outcomes = {};
+        LatencyMonitor.OUTCOMES.forEach(outcome => {
+            outcomes[outcome] = 0;
+        });
+
+        return {
+            current: null,
+            min: Infinity,
+            max: 0,
+            avg: 0,
+            p50: null,
+            p90: null,
+            p95: null,
+            p99: null,
+            stdDev: null,
+            jitter: null,
+            total: 0,
+            count: 0,
+            successes: 0,
+            failures: 0,
+            rateLimited: 0,
+            retries: 0,
+            inputTokens: 0,
+            outputTokens: 0,
+            cost: 0,
+            ttft: null,
+            avgTtft: null,
+            ttftTotal: 0,
+            ttftCount: 0,
+            throughput: null,
+            avgThroughput: null,
+            throughputTotal: 0,
+            throughputCount: 0,
+            buckets: LatencyMonitor.LATENCY_BUCKETS.map(() => 0),
+            outcomes,
+            history: []
+        };
+    }
+
+    /**
+     * Sort an HTTP status code into a request outcome
+     */
+    static classifyStatus(statusCode) {
+        if (typeof statusCode !== 'number' || statusCode <= 0) {
+            return 'network-error';
+        }
+        if (statusCode === 401 || statusCode === 403) {
+            return 'auth-required';
+        }
+        if (statusCode === 429) {
+            return 'rate-limited';
+        }
+        if (statusCode >= 500) {
+            return 'server-error';
+        }
+        return 'reachable';
+    }
+
+    /**
+     * Copy readable response headers into a plain object
+     */
+    static readHeaders(response) {
+        const headers = {};
+        if (response && response.headers && typeof response.headers.forEach === 'function') {
+            response.headers.forEach((value, name) => {
+                headers[name] = value;
+            });
+        }
+        return headers;
+    }
+
+    /**
+     * Read rate-limit headers into {requests, tokens, retryAt}, where requests
+     * and tokens are {limit, remaining, resetAt}. Understands OpenAI-style
+     * x-ratelimit-*-requests/-tokens, anthropic-ratelimit-*, plain
+     * x-ratelimit-* and retry-after. Times are in ms since the epoch;
+     * returns null when the headers carry no rate-limit information.
+     */
+    static parseRateLimits(headers, now = Date.now()) {
+        if (!headers || typeof headers !== 'object') return null;
+
+        const get = name => (headers[name] !== undefined && headers[name] !== null ? String(headers[name]).trim() : null);
+        const first = (...names) => names.map(get).find(value => value !== null && value !== '') ?? null;
+        const number = value => (value !== null && isFinite(Number(value)) ? Number(value) : null);
+
+        const readKind = (kind, fallbacks) => {
+            const limit = number(first(`x-ratelimit-limit-${kind}`, `anthropic-ratelimit-${kind}-limit`, ...fallbacks.map(name => `${name}-limit`)));
+            const remaining = number(first(`x-ratelimit-remaining-${kind}`, `anthropic-ratelimit-${kind}-remaining`, ...fallbacks.map(name => `${name}-remaining`)));
+            const resetAt = LatencyMonitor.parseResetTime(
+                first(`x-ratelimit-reset-${kind}`, `anthropic-ratelimit-${kind}-reset`, ...fallbacks.map(name => `${name}-reset`)), now);
+            return limit === null && remaining === null && resetAt === null ? null : { limit, remaining, resetAt };
+        };
+
+        // Unqualified x-ratelimit-* and ratelimit-* headers count requests
+        const requests = readKind('requests', ['x-ratelimit', 'ratelimit']);
+        const tokens = readKind('tokens', []);
+
+        let retryAt = null;
+        const retryAfterMs = number(get('retry-after-ms'));
+        const retryAfter = get('retry-after');
+        if (retryAfterMs !== null) {
+            retryAt = now + retryAfterMs;
+        } else if (retryAfter !== null && number(retryAfter) !== null) {
+            retryAt = now + number(retryAfter) * 1000;
+        } else if (retryAfter !== null && !isNaN(Date.parse(retryAfter))) {
+            retryAt = Date.parse(retryAfter);
+        }
+
+        if (!requests && !tokens && retryAt === null) return null;
+        return { requests, tokens, retryAt, updatedAt: now };
+    }
+
+    /**
+     * Turn a reset header into a timestamp. Accepts durations ("6m0s",
+     * "20ms"), seconds from now, epoch seconds and dates.
+     */
+    static parseResetTime(value, now = Date.now()) {
+        if (value === null || value === undefined || value === '') return null;
+
+        if (/^\d+(\.\d+)?$/.test(value)) {
+            const seconds = Number(value);
+            // Large values are epoch seconds rather than a delay
+            return seconds > 1e9 ? seconds * 1000 : now + seconds * 1000;
+        }
+
+        if (/^(\d+(\.\d+)?(ms|h|m|s))+$/.test(value)) {
+            const units = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+            let total = 0;
+            for (const [, amount, unit] of value.matchAll(/(\d+(?:\.\d+)?)(ms|h|m|s)/g)) {
+                total += Number(amount) * units[unit];
+            }
+            return now + Math.round(total);
+        }
+
+        const date = Date.parse(value);
+        return isNaN(date) ? null : date;
+    }
+
+    /**
+     * Set how many history points each provider keeps in memory
+     */
+    setHistoryLimit(limit) {
+        const parsed = parseInt(limit, 10);
+        if (isNaN(parsed) || parsed <= 0) {
+            console.error('Invalid history limit:', limit);
+            return;
+        }
+
+        this.historyLimit = parsed;
+        this.providers.filter(Boolean).forEach(provider => {
+            LatencyMonitor.statsOwners(provider).forEach(owner => {
+                if (owner.stats && Array.isArray(owner.stats.history)) {
+                    owner.stats.history = owner.stats.history.slice(-parsed);
+                }
+            });
+        });
+    }
+
+    /**
+     * Set how many recent samples the average, percentiles and jitter cover
+     */
+    setStatsWindow(size) {
+        const parsed = size === 'all' || size === Infinity ? Infinity : parseInt(size, 10);
+        if (parsed !== Infinity && (isNaN(parsed) || parsed <= 0)) {
+            console.error('Invalid stats window:', size);
+            return;
+        }
+
+        this.statsWindow = parsed;
+        this.providers.filter(Boolean).forEach(provider => {
+            LatencyMonitor.statsOwners(provider).forEach(owner => this.refreshWindowStats(owner));
+        });
+    }
+
+    /**
+     * Recompute average, percentiles, standard deviation and jitter over the stats window
+     */
+    refreshWindowStats(provider) {
+        if (!provider || !provider.stats || !Array.isArray(provider.stats.history)) return;
+
+        const latencies = provider.stats.history
+            .filter(point => point && typeof point.latency === 'number')
+            .map(point => point.latency)
+            .slice(-this.statsWindow);
+
+        const summary = MonitorDeps.LatencyStats.summarize(latencies);
+        Object.assign(provider.stats, {
+            avg: summary.avg,
+            p50: summary.p50,
+            p90: summary.p90,
+            p95: summary.p95,
+            p99: summary.p99,
+            stdDev: summary.stdDev,
+            jitter: summary.jitter
+        });
+    }
+
+    /**
+     * Attach an AlertManager; its events are announced as 'alert' updates
+     */
+    setAlertManager(manager) {
+        if (manager !== null && (!manager || typeof manager.evaluate !== 'function')) {
+            console.error('setAlertManager expects an AlertManager');
+            return;
+        }
+        this.alertManager = manager;
+    }
+
+    /**
+     * Attach a WebhookNotifier; alert events are POSTed to its targets and
+     * each delivery result is announced as a 'webhook' update
+     */
+    setWebhookNotifier(notifier) {
+        if (notifier !== null && (!notifier || typeof notifier.deliver !== 'function')) {
+            console.error('setWebhookNotifier expects a WebhookNotifier');
+            return;
+        }
+        this.webhookNotifier = notifier;
+    }
+
+    /**
+     * Set API keys used by the full request mode, keyed by provider id
+     */
+    setApiKeys(keys) {
+        if (!keys || typeof keys !== 'object') {
+            console.error('setApiKeys expects an object');
+            return;
+        }
+        this.apiKeys = { ...keys };
+    }
+
+    /**
+     * Replace every configured API key in text with [REDACTED], including
+     * its URL-encoded form, so keys never reach samples, exports or logs
+     */
+    redact(text) {
+        if (typeof text !== 'string' || text === '') return text;
+
+        let result = text;
+        Object.values(this.apiKeys || {}).forEach(key => {
+            // Very short values would redact ordinary words
+            if (typeof key !== 'string' || key.length < LatencyMonitor.MIN_REDACTED_LENGTH) return;
+            [key, encodeURIComponent(key)].forEach(secret => {
+                result = result.split(secret).join('[REDACTED]');
+            });
+        });
+        return result;
+    }
+
+    /**
+     * An error's message with API keys redacted, for logging
+     */
+    redactError(error) {
+        return this.redact(error && error.message !== undefined ? error.message : String(error));
+    }
+
+    /**
+     * Copy of sample details with API keys redacted from the URL, error
+     * and response headers
+     */
+    redactDetails(details) {
+        const redacted = { ...details };
+        ['url', 'error'].forEach(field => {
+            if (typeof redacted[field] === 'string') redacted[field] = this.redact(redacted[field]);
+        });
+        if (redacted.headers && typeof redacted.headers === 'object') {
+            redacted.headers = Object.fromEntries(Object.entries(redacted.headers)
+                .map(([name, value]) => [name, this.redact(value)]));
+        }
+        return redacted;
+    }
+
+    /**
+     * Cap how many requests run at once across all providers
+     * ('unlimited' or Infinity removes the cap)
+     */
+    setMaxConcurrency(limit) {
+        const parsed = limit === 'unlimited' || limit === Infinity ? Infinity : parseInt(limit, 10);
+        if (parsed !== Infinity && (isNaN(parsed) || parsed <= 0)) {
+            console.error('Invalid concurrency limit:', limit);
+            return;
+        }
+
+        this.maxConcurrency = parsed;
+        // A higher limit lets queued probes start right away
+        while (this.probeQueue.length > 0 && this.activeProbes < this.maxConcurrency) {
+            this.activeProbes++;
+            this.probeQueue.shift()();
+        }
+    }
+
+    /**
+     * Wait for a free concurrency slot; pair every call with releaseSlot()
+     */
+    acquireSlot() {
+        if (this.activeProbes < this.maxConcurrency) {
+            this.activeProbes++;
+            return Promise.resolve();
+        }
+        return new Promise(resolve => this.probeQueue.push(resolve));
+    }
+
+    /**
+     * Hand the slot to the next queued probe, or free it
+     */
+    releaseSlot() {
+        // After a lower limit is set, slots are freed until back under it
+        if (this.probeQueue.length > 0 && this.activeProbes <= this.maxConcurrency) {
+            this.probeQueue.shift()();
+            return;
+        }
+        this.activeProbes = Math.max(this.activeProbes - 1, 0);
+    }
+
+    /**
+     * Timeout, retry count and retry delay for a provider, falling back to
+     * LatencyMonitor.REQUEST_DEFAULTS. Streams get a longer default timeout.
+     */
+    getRequestOptions(provider, mode) {
+        const defaults = LatencyMonitor.REQUEST_DEFAULTS;
+        return {
+            timeout: provider.timeout || (mode === 'stream' ? defaults.streamTimeout : defaults.timeout),
+            retries: typeof provider.retries === 'number' ? provider.retries : defaults.retries,
+            retryDelay: typeof provider.retryDelay === 'number' ? provider.retryDelay : defaults.retryDelay
+        };
+    }
+
+    /**
+     * Pause monitoring once the estimated spend reaches limit (USD); null
+     * removes the cap
+     */
+    setBudget(limit) {
+        const parsed = limit === null || limit === '' ? null : Number(limit);
+        if (parsed !== null && (isNaN(parsed) || parsed <= 0)) {
+            console.error('Invalid budget:', limit);
+            return;
+        }
+
+        this.budget = parsed;
+        this.budgetReached = parsed !== null && this.getSpend().cost >= parsed;
+    }
+
+    /**
+     * Tokens and estimated cost in USD across every provider since the
+     * stats were last cleared, burst tests included
+     */
+    getSpend() {
+        return this.providers.reduce((spend, provider) => {
+            const stats = (provider && provider.stats) || {};
+            spend.inputTokens += stats.inputTokens || 0;
+            spend.outputTokens += stats.outputTokens || 0;
+            spend.cost += stats.cost || 0;
+            return spend;
+        }, { ...this.burstSpend });
+    }
+
+    static createEmptySpend() {
+        return { inputTokens: 0, outputTokens: 0, cost: 0 };
+    }
+
+    /**
+     * Add the tokens and estimated cost of requests that are not samples,
+     * such as burst tests, to the spend, then check the budget
+     */
+    addBurstSpend(spend) {
+        if (!spend) return;
+        ['inputTokens', 'outputTokens', 'cost'].forEach(key => {
+            if (typeof spend[key] === 'number' && !isNaN(spend[key])) this.burstSpend[key] += spend[key];
+        });
+        this.checkBudget(null);
+    }
+
+    /**
+     * Stop monitoring and announce a 'budget' update when the spend reaches
+     * the budget. Probes already in flight still finish and are counted.
+     */
+    checkBudget(provider) {
+        if (this.budget === null || this.budgetReached) return;
+
+        const spend = this.getSpend();
+        if (spend.cost >= this.budget) {
+            this.budgetReached = true;
+            this.stop();
+            this.notifyUpdate('budget', provider, { budget: this.budget, spend });
+        }
+    }
+
+    /**
+     * Whether config's probes in mode are billed requests for a model
+     * without a known price. Their cost cannot count towards the budget.
+     */
+    static isUnpriced(config, mode) {
+        return (mode === 'full' || mode === 'stream')
+            && Boolean(config && config.request)
+            && !MonitorDeps.getModelPrice(config.request);
+    }
+
+    /**
+     * Names of the enabled providers and probe targets with an API key
+     * whose probes in mode (default: the current test mode) are unpriced
+     */
+    getUnpricedTargets(mode = this.testMode) {
+        const names = [];
+        this.providers.forEach(provider => {
+            if (!provider.enabled || !this.apiKeys[provider.id]) return;
+            LatencyMonitor.getTargets(provider).forEach(target => {
+                const config = LatencyMonitor.targetConfig(provider, target);
+                if (LatencyMonitor.isUnpriced(config, config.testMode || mode)) {
+                    names.push(target ? `${provider.name} · ${target.name || target.id}` : provider.name);
+                }
+            });
+        });
+        return names;
+    }
+
+    /**
+     * Start monitoring. Each enabled provider is probed on its own timer:
+     * provider.interval overrides intervalMs, and 'manual' runs one round.
+     */
+    start(intervalMs, testMode = 'ping') {
+        // Always stop first to clean up any pending probes
+        this.stop();
+
+        if (this.budgetReached) {
+            console.warn('Budget reached; raise it or clear the stats to resume monitoring');
+            return;
+        }
+
+        let interval = null;
+        if (intervalMs !== 'manual') {
+            interval = parseInt(intervalMs, 10);
+            if (isNaN(interval) || interval <= 0) {
+                console.error('Invalid interval value:', intervalMs);
+                return;
+            }
+        }
+
+        this.isMonitoring = true;
+        this.testMode = testMode;
+
+        if (interval === null) {
+            this.runTests().catch(error => {
+                console.error('Error running initial tests:', this.redactError(error));
+            });
+            return;
+        }
+
+        this.baseInterval = interval;
+        this.syncSchedule();
+    }
+
+    /**
+     * Stop monitoring
+     */
+    stop() {
+        this.isMonitoring = false;
+        this.baseInterval = null;
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+        this.providers.forEach(provider => {
+            if (provider && provider.schedule) {
+                provider.schedule.nextProbeAt = null;
+            }
+        });
+    }
+
+    /**
+     * Match pending probes to the provider list: drop timers for removed or
+     * disabled providers and schedule the rest. First probes are spread over
+     * up to a second so providers do not fire in one burst.
+     */
+    syncSchedule() {
+        const enabled = new Set(this.providers
+            .filter(provider => provider && provider.enabled !== false)
+            .map(provider => provider.id));
+
+        this.timers.forEach((timer, id) => {
+            if (!enabled.has(id)) {
+                clearTimeout(timer);
+                this.timers.delete(id);
+            }
+        });
+
+        this.providers.forEach(provider => {
+            if (!provider || !enabled.has(provider.id)) return;
+            if (this.timers.has(provider.id) || provider.schedule.inFlight) return;
+            this.scheduleProvider(provider, Math.random() * Math.min(this.baseInterval, 1000));
+        });
+    }
+
+    /**
+     * Queue the provider's next probe after delay ms and announce it as a
+     * 'scheduled' update
+     */
+    scheduleProvider(provider, delay) {
+        if (!this.isMonitoring || this.baseInterval === null || !provider || provider.enabled === false) {
+            return;
+        }
+
+        clearTimeout(this.timers.get(provider.id));
+        provider.schedule.nextProbeAt = Date.now() + delay;
+        this.timers.set(provider.id, setTimeout(() => this.runScheduledProbe(provider), delay));
+        this.notifyUpdate('scheduled', provider, { delay, nextProbeAt: provider.schedule.nextProbeAt });
+    }
+
+    /**
+     * Probe a provider, then schedule the next probe. The next timer only
+     * starts once this probe settles, so slow probes never overlap.
+     */
+    async runScheduledProbe(provider) {
+        this.timers.delete(provider.id);
+        if (provider.schedule.inFlight) return;
+
+        provider.schedule.inFlight = true;
+        provider.schedule.nextProbeAt = null;
+        try {
+            await this.testProvider(provider);
+        } catch (error) {
+            console.error(`Error testing provider ${provider.name || 'unknown'}:`, this.redactError(error));
+        } finally {
+            provider.schedule.inFlight = false;
+        }
+
+        // setProviders may have replaced the provider state while the probe ran
+        const current = this.providers.find(candidate => candidate && candidate.id === provider.id);
+        if (current) {
+            this.scheduleProvider(current, this.getNextDelay(current));
+        }
     }
 
     /**
-     * Start monitoring
+     * Delay before a provider's next probe: its own interval (or the global
+     * one), grown exponentially while it keeps failing, shortened for a few
+     * probes after it recovers, then randomized by +/- jitter
      */
-    start(intervalMs, testMode = 'ping') {
-        // Always stop first to clean up any existing intervals
-        this.stop();
+    getNextDelay(provider) {
+        const base = provider.interval || this.baseInterval;
+        const { failures, fastProbes } = provider.schedule;
+        const options = this.schedule;
 
-        this.isMonitoring = true;
-        this.testMode = testMode;
+        let delay = base;
+        if (failures > 1) {
+            delay = Math.min(base * Math.pow(options.backoffFactor, failures - 1), Math.max(options.maxBackoffMs, base));
+        } else if (fastProbes > 0) {
+            delay = base * options.recoveryFactor;
+        }
 
-        // Run immediate test
-        this.runTests().catch(error => {
-            console.error('Error running initial tests:', error);
-        });
+        const spread = (Math.random() * 2 - 1) * options.jitter;
+        delay = Math.max(Math.round(delay * (1 + spread)), 0);
 
-        // Set up interval if not manual
-        if (intervalMs !== 'manual') {
-            const interval = parseInt(intervalMs, 10);
-            if (isNaN(interval) || interval <= 0) {
-                console.error('Invalid interval value:', intervalMs);
-                return;
+        // Never probe before the provider's rate limit allows it
+        const wait = this.getRateLimitWait(provider);
+        provider.schedule.throttled = wait > delay;
+        return Math.max(delay, wait);
+    }
+
+    /**
+     * How long a provider's last rate-limit headers ask us to hold off, in ms.
+     * Waits out retry-after and exhausted quotas; once less than the
+     * rateLimitReserve share of a quota is left, spreads the remaining
+     * requests evenly until it resets.
+     */
+    getRateLimitWait(provider, now = Date.now()) {
+        const limits = provider.rateLimit;
+        if (!limits) return 0;
+
+        let wait = limits.retryAt && limits.retryAt > now ? limits.retryAt - now : 0;
+        [limits.requests, limits.tokens].forEach(quota => {
+            if (!quota || quota.remaining === null || !quota.resetAt || quota.resetAt <= now) return;
+
+            const untilReset = quota.resetAt - now;
+            if (quota.remaining <= 0) {
+                wait = Math.max(wait, untilReset);
+            } else if (quota.limit && quota.remaining <= quota.limit * this.schedule.rateLimitReserve) {
+                wait = Math.max(wait, Math.round(untilReset / quota.remaining));
             }
-            this.monitoringInterval = setInterval(() => {
-                this.runTests().catch(error => {
-                    console.error('Error running tests:', error);
-                });
-            }, interval);
-        }
+        });
+        return wait;
     }
 
     /**
-     * Stop monitoring
+     * Track consecutive failures and recovery re-probes for the scheduler
      */
-    stop() {
-        this.isMonitoring = false;
-        if (this.monitoringInterval) {
-            clearInterval(this.monitoringInterval);
-            this.monitoringInterval = null;
+    updateSchedule(provider, success, outcome = null) {
+        const schedule = provider.schedule;
+        if (!schedule) return;
+
+        // A 429 says nothing about availability; the rate-limit wait covers it
+        if (outcome === 'rate-limited') return;
+
+        if (!success) {
+            schedule.failures++;
+            schedule.fastProbes = 0;
+        } else if (schedule.failures > 0) {
+            schedule.failures = 0;
+            schedule.fastProbes = this.schedule.recoveryProbes;
+        } else if (schedule.fastProbes > 0) {
+            schedule.fastProbes--;
         }
     }
 
@@ -87,24 +824,28 @@ class LatencyMonitor {
             console.error('Providers not initialized');
             return;
         }
+        if (this.budgetReached) {
+            console.warn('Budget reached; skipping tests');
+            return;
+        }
 
-        const promises = this.providers.map(provider =>
+        const promises = this.providers.filter(provider => provider && provider.enabled !== false).map(provider =>
             this.testProvider(provider).catch(error => {
-                console.error(`Error testing provider ${provider?.name || 'unknown'}:`, error);
+                console.error(`Error testing provider ${provider?.name || 'unknown'}:`, this.redactError(error));
                 return { status: 'rejected', reason: error };
             })
         );
 
         try {
             await Promise.allSettled(promises);
-            this.totalTests++;
         } catch (error) {
-            console.error('Error in runTests:', error);
+            console.error('Error in runTests:', this.redactError(error));
         }
     }
 
     /**
-     * Test a single provider
+     * Test a single provider. Every probe target is tested side by side;
+     * the provider counts as online while any of them succeeds.
      */
     async testProvider(provider) {
         if (!provider) {
@@ -113,53 +854,223 @@ class LatencyMonitor {
         }
 
         provider.status = 'testing';
+        this.totalTests++;
         this.notifyUpdate('testing', provider);
 
+        const results = await Promise.all(LatencyMonitor.getTargets(provider)
+            .map(target => this.probeTarget(provider, target)));
+
+        const succeeded = results.some(result => result.success);
+        const throttled = !succeeded && results.every(result => result.lastResult.outcome === 'rate-limited');
+        // Degraded: every target answered, but at least one answer failed its assertions
+        const degraded = results.some(result => result.lastResult.outcome === 'assertion-failed')
+            && results.every(result => result.success || result.lastResult.outcome === 'assertion-failed');
+        // Show why a target failed rather than another target's success
+        provider.lastResult = (results.find(result => !result.success) || results[0]).lastResult;
+        if (degraded) {
+            provider.status = 'degraded';
+        } else {
+            provider.status = succeeded ? 'online' : (throttled ? 'throttled' : 'offline');
+        }
+        // A degraded provider answers, so it is not backed off like a failing one
+        this.updateSchedule(provider, succeeded || degraded, throttled ? 'rate-limited' : null);
+
+        this.notifyUpdate('complete', provider);
+    }
+
+    /**
+     * Probe one target of a provider, or the provider's own settings when
+     * target is null, and record the sample. Returns {success, lastResult}.
+     */
+    async probeTarget(provider, target) {
+        const config = LatencyMonitor.targetConfig(provider, target);
+        const targetState = target && provider.targetStates ? provider.targetStates[target.id] || null : null;
+        const mode = config.testMode || this.testMode;
+        // Samples of a target carry its id and model so they can be told apart
+        const targetDetails = target
+            ? { targetId: target.id, model: (config.request && config.request.model) || null }
+            : {};
+
+        if (targetState) {
+            targetState.status = 'testing';
+        }
+
+        let success = false;
+        let lastResult;
         try {
             if (typeof performance === 'undefined' || !performance.now) {
                 throw new Error('Performance API not available');
             }
 
-            const startTime = performance.now();
+            const options = this.getRequestOptions(config, mode);
+            let attempts = 0;
+            let outcome;
+            let startTime;
+            let endTime;
+
+            // Retry failures that may be transient; only the last attempt is timed
+            while (true) {
+                attempts++;
+                await this.acquireSlot();
+                try {
+                    startTime = performance.now();
+                    const result = await this.runTestMode(config, mode, options.timeout);
+                    endTime = performance.now();
 
-            // Use appropriate test method
-            let success = false;
-            if (this.testMode === 'ping') {
-                success = await this.pingTest(provider);
-            } else if (this.testMode === 'simple') {
-                success = await this.simpleRequest(provider);
-            } else {
-                success = await this.fullRequest(provider);
+                    // Test methods return either a boolean or a detailed result
+                    outcome = result && typeof result === 'object' ? result : { success: Boolean(result) };
+                } finally {
+                    this.releaseSlot();
+                }
+
+                if (outcome.success || attempts > options.retries
+                    || !LatencyMonitor.RETRYABLE_OUTCOMES.includes(outcome.outcome)) {
+                    break;
+                }
+                this.notifyUpdate('retry', provider, {
+                    ...targetDetails,
+                    attempt: attempts,
+                    outcome: outcome.outcome,
+                    error: this.redact(outcome.error) || null
+                });
+                await new Promise(resolve => setTimeout(resolve, options.retryDelay));
             }
 
-            const endTime = performance.now();
             const latency = Math.round(endTime - startTime);
+            const requestUrl = outcome.url || config.endpoint + config.pingPath;
+
+            const checked = LatencyMonitor.applyAssertions(config, outcome);
+            const failedAssertion = checked.failedAssertion;
+            outcome = checked.outcome;
 
             if (typeof latency !== 'number' || isNaN(latency) || latency < 0) {
                 throw new Error('Invalid latency measurement');
             }
 
-            if (success) {
-                this.updateStats(provider, latency, true);
-                provider.status = 'online';
-            } else {
-                this.updateStats(provider, null, false);
-                provider.status = 'offline';
+            const rateLimit = LatencyMonitor.parseRateLimits(outcome.headers);
+            if (rateLimit) {
+                provider.rateLimit = rateLimit;
+            }
+
+            lastResult = {
+                statusCode: outcome.statusCode ?? null,
+                outcome: outcome.outcome || null,
+                valid: outcome.valid ?? null,
+                headers: outcome.headers || null,
+                bodySize: outcome.bodySize ?? null,
+                assertion: failedAssertion ? this.redact(failedAssertion.message) : null,
+                error: this.redact(outcome.error) || null
+            };
+
+            const details = {
+                ...targetDetails,
+                mode,
+                url: outcome.displayUrl || requestUrl,
+                method: outcome.method || config.method || 'GET',
+                statusCode: lastResult.statusCode,
+                outcome: lastResult.outcome,
+                bodySize: lastResult.bodySize,
+                headers: lastResult.headers,
+                error: lastResult.error,
+                attempts
+            };
+            if (lastResult.assertion) {
+                details.assertion = lastResult.assertion;
+            }
+            const phases = this.getPhaseTimings(requestUrl, startTime);
+            if (phases) {
+                details.phases = phases;
             }
+            if (mode === 'stream') {
+                details.ttft = outcome.ttft ?? null;
+                details.tokens = outcome.tokens ?? null;
+                details.throughput = outcome.throughput ?? null;
+            }
+            // Billed tokens and their estimated price; failed responses can be billed too
+            if (outcome.usage) {
+                details.inputTokens = outcome.usage.input;
+                details.outputTokens = outcome.usage.output;
+                details.cost = MonitorDeps.estimateCost(outcome.usage, MonitorDeps.getModelPrice(config.request));
+            }
+            success = Boolean(outcome.success);
+            this.recordSample(provider, success ? latency : null, success, details);
 
         } catch (error) {
-            console.error(`Error testing provider ${provider.name || 'unknown'}:`, error);
-            this.updateStats(provider, null, false);
-            provider.status = 'offline';
+            console.error(`Error testing provider ${provider.name || 'unknown'}:`, this.redactError(error));
+            lastResult = { statusCode: null, outcome: 'network-error', valid: null, error: this.redactError(error) };
+            success = false;
+            this.recordSample(provider, null, false, {
+                ...targetDetails,
+                mode,
+                outcome: 'network-error',
+                error: error.message
+            });
         }
 
-        this.notifyUpdate('complete', provider);
+        if (targetState) {
+            targetState.lastResult = lastResult;
+            targetState.status = LatencyMonitor.sampleStatus(success, lastResult.outcome);
+        }
+        return { success, lastResult };
+    }
+
+    /**
+     * Check a test mode's outcome against config's response assertions. A
+     * response that arrived but fails one is not a success. Returns
+     * {outcome, failedAssertion}.
+     */
+    static applyAssertions(config, outcome) {
+        const failedAssertion = outcome.success && Array.isArray(config.assertions)
+            ? MonitorDeps.checkAssertions(config.assertions, {
+                statusCode: outcome.statusCode,
+                data: outcome.data,
+                text: outcome.text,
+                bodySize: outcome.bodySize
+            })
+            : null;
+        if (!failedAssertion) {
+            return { outcome, failedAssertion: null };
+        }
+
+        return {
+            outcome: {
+                ...outcome,
+                success: false,
+                outcome: 'assertion-failed',
+                error: `Assertion failed: ${failedAssertion.message}`
+            },
+            failedAssertion
+        };
+    }
+
+    /**
+     * Status shown for a single sample's result
+     */
+    static sampleStatus(success, outcome) {
+        if (success) return 'online';
+        if (outcome === 'assertion-failed') return 'degraded';
+        return outcome === 'rate-limited' ? 'throttled' : 'offline';
     }
 
     /**
-     * Ping test - just check if endpoint is reachable
+     * Run one attempt of the given test mode
      */
-    async pingTest(provider) {
+    runTestMode(provider, mode, timeoutMs) {
+        if (mode === 'ping') {
+            return this.pingTest(provider, timeoutMs);
+        } else if (mode === 'simple') {
+            return this.simpleRequest(provider, timeoutMs);
+        } else if (mode === 'stream') {
+            return this.streamRequest(provider, timeoutMs);
+        }
+        return this.fullRequest(provider, timeoutMs);
+    }
+
+    /**
+     * Ping test - just check if endpoint is reachable. In browsers, no-cors
+     * hides the response and most errors, so only timeouts fail.
+     */
+    async pingTest(provider, timeoutMs = LatencyMonitor.REQUEST_DEFAULTS.timeout) {
         if (!provider || !provider.endpoint || !provider.pingPath) {
             console.error('Invalid provider configuration');
             return false;
@@ -170,18 +1081,20 @@ class LatencyMonitor {
                 console.warn('AbortController not supported');
                 // Fallback without timeout
                 await fetch(provider.endpoint + provider.pingPath, {
-                    method: 'GET',
+                    method: provider.method || 'GET',
+                    headers: provider.headers || undefined,
                     mode: 'no-cors'
                 });
                 return true;
             }
 
             const controller = new AbortController();
-            const timeout = setTimeout(() => controller.abort(), 10000);
+            const timeout = setTimeout(() => controller.abort(), timeoutMs);
 
             try {
                 const response = await fetch(provider.endpoint + provider.pingPath, {
-                    method: 'GET',
+                    method: provider.method || 'GET',
+                    headers: provider.headers || undefined,
                     mode: 'no-cors', // Allow cross-origin requests
                     signal: controller.signal
                 });
@@ -189,7 +1102,12 @@ class LatencyMonitor {
                 return true; // If we get here, endpoint is reachable
             } catch (error) {
                 if (error.name === 'AbortError') {
-                    return false; // Timeout
+                    return { success: false, outcome: 'timeout', error: 'Request timed out' };
+                }
+                // Under Node there is no CORS, so an error means the host is unreachable
+                if (typeof window === 'undefined') {
+                    const cause = error.cause && error.cause.message ? `: ${error.cause.message}` : '';
+                    return { success: false, outcome: 'network-error', error: `${error.message}${cause}` };
                 }
                 // For no-cors mode, even errors mean the endpoint exists
                 return true;
@@ -198,32 +1116,413 @@ class LatencyMonitor {
                 clearTimeout(timeout);
             }
         } catch (error) {
-            console.error(`Ping test error for ${provider.name}:`, error);
+            console.error(`Ping test error for ${provider.name}:`, this.redactError(error));
             return false;
         }
     }
 
     /**
-     * Simple request test
+     * Simple request test - CORS GET that reads the real HTTP status
      */
-    async simpleRequest(provider) {
-        // Simplified - in real implementation, would make actual API calls
-        // For demo, simulate with ping
-        return await this.pingTest(provider);
+    async simpleRequest(provider, timeoutMs = LatencyMonitor.REQUEST_DEFAULTS.timeout) {
+        if (!provider || !provider.endpoint || !provider.pingPath) {
+            console.error('Invalid provider configuration');
+            return { success: false, outcome: 'network-error', error: 'Invalid provider configuration' };
+        }
+
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timeout = controller ? setTimeout(() => controller.abort(), timeoutMs) : null;
+
+        try {
+            const response = await fetch(provider.endpoint + provider.pingPath, {
+                method: provider.method || 'GET',
+                headers: provider.headers || undefined,
+                mode: 'cors',
+                signal: controller ? controller.signal : undefined
+            });
+
+            const body = await response.arrayBuffer();
+            const headers = LatencyMonitor.readHeaders(response);
+
+            const outcome = LatencyMonitor.classifyStatus(response.status);
+            return {
+                // The endpoint answered, even if it wants credentials
+                success: outcome === 'reachable' || outcome === 'auth-required',
+                statusCode: response.status,
+                outcome,
+                headers,
+                bodySize: body.byteLength,
+                // Only parsed when an assertion needs it
+                data: provider.assertions ? LatencyMonitor.parseJson(body) : undefined
+            };
+        } catch (error) {
+            // CORS rejections, DNS failures and timeouts all surface here
+            if (error.name === 'AbortError') {
+                return { success: false, outcome: 'timeout', error: 'Request timed out' };
+            }
+            return { success: false, outcome: 'network-error', error: error.message };
+        } finally {
+            if (timeout) {
+                clearTimeout(timeout);
+            }
+        }
     }
 
     /**
      * Full request test with authentication
      */
-    async fullRequest(provider) {
-        // Would require API keys - for demo, fallback to ping
-        return await this.pingTest(provider);
+    async fullRequest(provider, timeoutMs = LatencyMonitor.REQUEST_DEFAULTS.timeout) {
+        if (!provider || !provider.endpoint) {
+            console.error('Invalid provider configuration');
+            return { success: false, error: 'Invalid provider configuration' };
+        }
+
+        const apiKey = this.apiKeys[provider.id];
+        if (!apiKey) {
+            console.warn(`No API key configured for ${provider.name}`);
+            return { success: false, outcome: 'auth-required', error: 'Missing API key' };
+        }
+
+        let request;
+        try {
+            request = MonitorDeps.buildProviderRequest(provider, apiKey);
+        } catch (error) {
+            console.error(`Cannot build request for ${provider.name}:`, this.redactError(error));
+            return { success: false, error: error.message };
+        }
+        const target = { url: request.url, displayUrl: request.displayUrl, method: request.method };
+
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timeout = controller ? setTimeout(() => controller.abort(), timeoutMs) : null;
+
+        try {
+            const response = await fetch(request.url, {
+                method: request.method,
+                headers: request.headers,
+                body: request.body,
+                signal: controller ? controller.signal : undefined
+            });
+
+            const body = await response.arrayBuffer();
+            // A non-JSON body is null and treated as an invalid response below
+            const data = LatencyMonitor.parseJson(body);
+
+            const valid = response.ok && MonitorDeps.validateProviderResponse(provider, data);
+            return {
+                ...target,
+                success: valid,
+                statusCode: response.status,
+                outcome: LatencyMonitor.classifyStatus(response.status),
+                headers: LatencyMonitor.readHeaders(response),
+                bodySize: body.byteLength,
+                usage: MonitorDeps.getResponseUsage(provider, data),
+                data,
+                text: MonitorDeps.getResponseText(provider, data),
+                valid,
+                error: valid ? null : `Unexpected response (HTTP ${response.status})`
+            };
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                return { ...target, success: false, outcome: 'timeout', error: 'Request timed out' };
+            }
+            console.error(`Full request error for ${provider.name}:`, this.redactError(error));
+            return { ...target, success: false, outcome: 'network-error', error: error.message };
+        } finally {
+            if (timeout) {
+                clearTimeout(timeout);
+            }
+        }
+    }
+
+    /**
+     * Streaming test - measures time to first token and tokens/sec
+     */
+    async streamRequest(provider, timeoutMs = LatencyMonitor.REQUEST_DEFAULTS.streamTimeout) {
+        if (!provider || !provider.endpoint) {
+            console.error('Invalid provider configuration');
+            return { success: false, error: 'Invalid provider configuration' };
+        }
+
+        const apiKey = this.apiKeys[provider.id];
+        if (!apiKey) {
+            console.warn(`No API key configured for ${provider.name}`);
+            return { success: false, outcome: 'auth-required', error: 'Missing API key' };
+        }
+
+        const format = MonitorDeps.getRequestFormat(provider);
+        let request;
+        try {
+            request = MonitorDeps.buildProviderRequest(provider, apiKey, { stream: true });
+        } catch (error) {
+            console.error(`Cannot build streaming request for ${provider.name}:`, this.redactError(error));
+            return { success: false, error: error.message };
+        }
+        const target = { url: request.url, displayUrl: request.displayUrl, method: request.method };
+
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timeout = controller ? setTimeout(() => controller.abort(), timeoutMs) : null;
+
+        try {
+            const startTime = performance.now();
+            const response = await fetch(request.url, {
+                method: request.method,
+                headers: request.headers,
+                body: request.body,
+                signal: controller ? controller.signal : undefined
+            });
+
+            const outcome = LatencyMonitor.classifyStatus(response.status);
+            const headers = LatencyMonitor.readHeaders(response);
+            if (!response.ok || !response.body) {
+                return {
+                    ...target,
+                    success: false,
+                    statusCode: response.status,
+                    outcome,
+                    headers,
+                    error: `Stream not started (HTTP ${response.status})`
+                };
+            }
+
+            let firstTokenTime = null;
+            let deltas = 0;
+            let reportedTokens = null;
+            let inputTokens = null;
+            let completion = '';
+
+            const bodySize = await this.readEventStream(response.body, event => {
+                const text = format.stream.delta(event);
+                if (text) {
+                    deltas++;
+                    completion += text;
+                    if (firstTokenTime === null) {
+                        firstTokenTime = performance.now();
+                    }
+                }
+                const usage = format.stream.usage(event);
+                if (typeof usage === 'number') {
+                    reportedTokens = usage;
+                }
+                const input = format.stream.inputUsage ? format.stream.inputUsage(event) : null;
+                if (typeof input === 'number') {
+                    inputTokens = input;
+                }
+            });
+
+            const endTime = performance.now();
+            if (firstTokenTime === null) {
+                return { ...target, success: false, statusCode: response.status, outcome, headers, bodySize, error: 'Stream ended without tokens' };
+            }
+
+            // Prefer the provider's token count, fall back to counting deltas
+            const tokens = reportedTokens !== null ? reportedTokens : deltas;
+            const generationSeconds = (endTime - firstTokenTime) / 1000;
+            const throughput = tokens > 1 && generationSeconds > 0
+                ? Math.round(((tokens - 1) / generationSeconds) * 10) / 10
+                : null;
+
+            return {
+                ...target,
+                success: true,
+                statusCode: response.status,
+                outcome,
+                headers,
+                bodySize,
+                ttft: Math.round(firstTokenTime - startTime),
+                tokens,
+                throughput,
+                usage: { input: inputTokens, output: tokens },
+                text: completion
+            };
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                return { ...target, success: false, outcome: 'timeout', error: 'Stream timed out' };
+            }
+            console.error(`Stream request error for ${provider.name}:`, this.redactError(error));
+            return { ...target, success: false, outcome: 'network-error', error: error.message };
+        } finally {
+            if (timeout) {
+                clearTimeout(timeout);
+            }
+        }
+    }
+
+    /**
+     * Break a request into DNS, connect, TLS, TTFB and download phases
+     * using the Resource Timing API. Returns null when the browser has no
+     * entry or the provider does not send Timing-Allow-Origin, in which
+     * case cross-origin phase fields are all zero.
+     */
+    getPhaseTimings(url, startTime) {
+        if (typeof performance === 'undefined' || typeof performance.getEntriesByName !== 'function') {
+            return null;
+        }
+
+        const entries = performance.getEntriesByName(url, 'resource')
+            .filter(entry => entry.startTime >= startTime - 1);
+        const entry = entries[entries.length - 1];
+        if (!entry || !entry.responseStart || !entry.requestStart) {
+            return null;
+        }
+
+        const round = value => Math.max(Math.round(value), 0);
+        const tls = entry.secureConnectionStart > 0 ? entry.connectEnd - entry.secureConnectionStart : 0;
+
+        return {
+            dns: round(entry.domainLookupEnd - entry.domainLookupStart),
+            connect: round(entry.connectEnd - entry.connectStart - tls),
+            tls: round(tls),
+            ttfb: round(entry.responseStart - entry.requestStart),
+            download: round(entry.responseEnd - entry.responseStart)
+        };
+    }
+
+    /**
+     * Read a server-sent event stream, calling onEvent with each parsed JSON
+     * payload. Resolves with the number of bytes read.
+     */
+    async readEventStream(body, onEvent) {
+        const reader = body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let bytes = 0;
+
+        const handleLine = line => {
+            if (!line.startsWith('data:')) return;
+            const payload = line.slice(5).trim();
+            if (!payload || payload === '[DONE]') return;
+            try {
+                onEvent(JSON.parse(payload));
+            } catch (error) {
+                console.warn('Skipping malformed stream event:', payload);
+            }
+        };
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            bytes += value.byteLength;
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split(/\r?\n/);
+            buffer = lines.pop();
+            lines.forEach(handleLine);
+        }
+
+        buffer += decoder.decode();
+        if (buffer) {
+            handleLine(buffer);
+        }
+        return bytes;
+    }
+
+    /**
+     * Parse a response body as JSON, or null when it is not JSON
+     */
+    static parseJson(body) {
+        try {
+            return JSON.parse(new TextDecoder().decode(body));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Record a sample in the provider's stats and announce it to listeners
+     */
+    recordSample(provider, latency, success, details = {}) {
+        const sample = { timestamp: Date.now(), ...this.redactDetails(details) };
+        this.updateStats(provider, latency, success, sample);
+        this.checkBudget(provider);
+
+        const record = {
+            providerId: provider.id,
+            success,
+            latency: success ? latency : null,
+            ...sample
+        };
+        this.notifyUpdate('sample', provider, record);
+
+        if (this.alertManager) {
+            this.alertManager.evaluate(provider, record).forEach(event => {
+                this.notifyUpdate('alert', provider, event);
+                this.deliverWebhooks(provider, event);
+            });
+        }
+    }
+
+    /**
+     * Send an alert event to webhook targets without blocking the probe
+     */
+    deliverWebhooks(provider, event) {
+        if (!this.webhookNotifier) return;
+
+        this.webhookNotifier.deliver(event)
+            .then(results => {
+                results.forEach(result => this.notifyUpdate('webhook', provider, { event, ...result }));
+            })
+            .catch(error => {
+                console.error('Webhook delivery error:', error);
+            });
+    }
+
+    /**
+     * Replace all statistics with previously recorded samples (oldest first),
+     * plus the session's burst test spend if given
+     */
+    loadSamples(samples, burstSpend = null) {
+        if (!Array.isArray(samples)) {
+            console.error('loadSamples expects an array');
+            return;
+        }
+
+        this.clearStats();
+        if (burstSpend) {
+            ['inputTokens', 'outputTokens', 'cost'].forEach(key => {
+                if (typeof burstSpend[key] === 'number' && !isNaN(burstSpend[key])) this.burstSpend[key] = burstSpend[key];
+            });
+        }
+        const providersById = new Map(this.providers.map(provider => [provider.id, provider]));
+
+        // Window stats are computed once at the end instead of per sample
+        this.deferWindowStats = true;
+
+        samples.forEach(sample => {
+            const provider = sample && providersById.get(sample.providerId);
+            if (!provider) return;
+
+            // Storage keys are not part of a history point
+            const { providerId, success, latency, id, sessionId, ...details } = sample;
+            this.updateStats(provider, success ? latency : null, Boolean(success), details);
+
+            const targetState = details.targetId && provider.targetStates ? provider.targetStates[details.targetId] : null;
+            [provider, targetState].filter(Boolean).forEach(owner => {
+                owner.status = LatencyMonitor.sampleStatus(success, details.outcome);
+                owner.lastResult = {
+                    statusCode: details.statusCode ?? null,
+                    outcome: details.outcome || null,
+                    valid: null,
+                    headers: details.headers || null,
+                    bodySize: details.bodySize ?? null,
+                    assertion: details.assertion || null,
+                    error: details.error || null
+                };
+            });
+        });
+
+        this.deferWindowStats = false;
+        this.providers.forEach(provider => {
+            LatencyMonitor.statsOwners(provider).forEach(owner => this.refreshWindowStats(owner));
+        });
+
+        // A restored session may already have spent its budget
+        this.budgetReached = this.budget !== null && this.getSpend().cost >= this.budget;
     }
 
     /**
      * Update provider statistics
      */
-    updateStats(provider, latency, success) {
+    updateStats(provider, latency, success, details = {}) {
         if (!provider || !provider.stats) {
             console.error('Invalid provider or stats object');
             return;
@@ -233,35 +1532,91 @@ class LatencyMonitor {
 
         stats.count = (stats.count || 0) + 1;
 
+        if (details.outcome) {
+            stats.outcomes = stats.outcomes || {};
+            stats.outcomes[details.outcome] = (stats.outcomes[details.outcome] || 0) + 1;
+        }
+
+        // Extra attempts made before this sample's final result
+        if (typeof details.attempts === 'number' && details.attempts > 1) {
+            stats.retries = (stats.retries || 0) + details.attempts - 1;
+        }
+
+        // Spend since the start, unaffected by history trimming
+        if (typeof details.inputTokens === 'number') {
+            stats.inputTokens = (stats.inputTokens || 0) + details.inputTokens;
+        }
+        if (typeof details.outputTokens === 'number') {
+            stats.outputTokens = (stats.outputTokens || 0) + details.outputTokens;
+        }
+        if (typeof details.cost === 'number') {
+            stats.cost = (stats.cost || 0) + details.cost;
+        }
+
         if (success && typeof latency === 'number' && !isNaN(latency)) {
             stats.successes = (stats.successes || 0) + 1;
             stats.current = latency;
             stats.total = (stats.total || 0) + latency;
 
-            if (stats.successes > 0) {
-                stats.avg = Math.round(stats.total / stats.successes);
-            }
-
             stats.min = Math.min(stats.min || Infinity, latency);
             stats.max = Math.max(stats.max || 0, latency);
 
-            // Add to history (keep last 100)
-            if (!Array.isArray(stats.history)) {
-                stats.history = [];
+            // Successful latencies per bucket since the start, unaffected by history trimming
+            const bucket = LatencyMonitor.LATENCY_BUCKETS.findIndex(bound => latency <= bound);
+            if (bucket !== -1) {
+                stats.buckets = stats.buckets || LatencyMonitor.LATENCY_BUCKETS.map(() => 0);
+                stats.buckets[bucket]++;
             }
 
-            stats.history.push({
-                timestamp: Date.now(),
-                latency: latency
-            });
-
-            if (stats.history.length > 100) {
-                stats.history.shift();
+            // Streaming metrics are tracked separately from total round-trip
+            if (typeof details.ttft === 'number') {
+                stats.ttft = details.ttft;
+                stats.ttftTotal = (stats.ttftTotal || 0) + details.ttft;
+                stats.ttftCount = (stats.ttftCount || 0) + 1;
+                stats.avgTtft = Math.round(stats.ttftTotal / stats.ttftCount);
+            }
+            if (typeof details.throughput === 'number') {
+                stats.throughput = details.throughput;
+                stats.throughputTotal = (stats.throughputTotal || 0) + details.throughput;
+                stats.throughputCount = (stats.throughputCount || 0) + 1;
+                stats.avgThroughput = Math.round((stats.throughputTotal / stats.throughputCount) * 10) / 10;
             }
+        } else if (details.outcome === 'rate-limited') {
+            // Throttled probes are kept apart from real failures
+            stats.rateLimited = (stats.rateLimited || 0) + 1;
+            stats.current = null;
         } else {
             stats.failures = (stats.failures || 0) + 1;
             stats.current = null;
         }
+
+        // Add to history (keep the last historyLimit points). Failures are
+        // kept with a null latency so charts can show where the gaps are.
+        if (!Array.isArray(stats.history)) {
+            stats.history = [];
+        }
+
+        const succeeded = Boolean(success) && typeof latency === 'number' && !isNaN(latency);
+        stats.history.push({
+            timestamp: Date.now(),
+            ...details,
+            latency: succeeded ? latency : null,
+            success: succeeded
+        });
+
+        while (stats.history.length > this.historyLimit) {
+            stats.history.shift();
+        }
+
+        if (!this.deferWindowStats) {
+            this.refreshWindowStats(provider);
+        }
+
+        // A target's samples also count towards the target's own stats
+        const targetState = details.targetId && provider.targetStates ? provider.targetStates[details.targetId] : null;
+        if (targetState) {
+            this.updateStats(targetState, latency, success, details);
+        }
     }
 
     /**
@@ -280,8 +1635,23 @@ class LatencyMonitor {
                 id: provider.id || 'unknown',
                 name: provider.name || 'Unknown',
                 color: provider.color || '#000000',
+                enabled: provider.enabled !== false,
                 status: provider.status || 'idle',
-                stats: provider.stats ? { ...provider.stats } : {}
+                lastResult: provider.lastResult || null,
+                interval: provider.interval || this.baseInterval,
+                nextProbeAt: provider.schedule ? provider.schedule.nextProbeAt : null,
+                backoff: Boolean(provider.schedule && provider.schedule.failures > 1),
+                throttled: Boolean(provider.schedule && provider.schedule.throttled),
+                rateLimit: provider.rateLimit || null,
+                stats: provider.stats ? { ...provider.stats } : {},
+                targets: Object.values(provider.targetStates || {}).map(target => ({
+                    id: target.id,
+                    name: target.name,
+                    model: target.model,
+                    status: target.status,
+                    lastResult: target.lastResult,
+                    stats: { ...target.stats }
+                }))
             };
         }).filter(Boolean);
     }
@@ -293,7 +1663,7 @@ class LatencyMonitor {
         if (!Array.isArray(this.providers)) return null;
 
         const online = this.providers.filter(p =>
-            p && p.stats && typeof p.stats.current === 'number' && p.stats.current !== null
+            p && p.enabled !== false && p.stats && typeof p.stats.current === 'number' && p.stats.current !== null
         );
 
         if (online.length === 0) return null;
@@ -311,7 +1681,7 @@ class LatencyMonitor {
         if (!Array.isArray(this.providers)) return null;
 
         const online = this.providers.filter(p =>
-            p && p.stats && typeof p.stats.current === 'number' && p.stats.current !== null
+            p && p.enabled !== false && p.stats && typeof p.stats.current === 'number' && p.stats.current !== null
         );
 
         if (online.length === 0) return null;
@@ -334,29 +1704,29 @@ class LatencyMonitor {
         this.providers.forEach(provider => {
             if (!provider) return;
 
-            provider.stats = {
-                current: null,
-                min: Infinity,
-                max: 0,
-                avg: 0,
-                total: 0,
-                count: 0,
-                successes: 0,
-                failures: 0,
-                history: []
-            };
-            provider.status = 'idle';
+            LatencyMonitor.statsOwners(provider).forEach(owner => {
+                owner.stats = LatencyMonitor.createEmptyStats();
+                owner.status = 'idle';
+                owner.lastResult = null;
+            });
+            provider.schedule = { ...LatencyMonitor.createScheduleState(), inFlight: Boolean(provider.schedule && provider.schedule.inFlight) };
         });
         this.totalTests = 0;
+        this.budgetReached = false;
+        this.burstSpend = LatencyMonitor.createEmptySpend();
+
+        if (this.alertManager) {
+            this.alertManager.reset();
+        }
     }
 
     /**
      * Notify update callback
      */
-    notifyUpdate(event, provider) {
+    notifyUpdate(event, provider, data) {
         if (typeof this.onUpdate === 'function') {
             try {
-                this.onUpdate(event, provider);
+                this.onUpdate(event, provider, data);
             } catch (error) {
                 console.error('Error in update callback:', error);
             }
@@ -375,5 +1745,54 @@ class LatencyMonitor {
     }
 }
 
+// Request outcomes recorded by the simple and full test modes; 'timeout'
+// is also recorded by ping, so slow endpoints are told apart from dead ones
+LatencyMonitor.OUTCOMES = ['reachable', 'auth-required', 'rate-limited', 'server-error', 'network-error', 'timeout', 'assertion-failed'];
+
+// Failed outcomes worth another attempt when a provider allows retries.
+// 429s are not retried; the scheduler waits for the rate limit instead.
+LatencyMonitor.RETRYABLE_OUTCOMES = ['server-error', 'network-error', 'timeout'];
+
+// Per-request defaults, overridden by a provider's timeout, retries and retryDelay (ms)
+LatencyMonitor.REQUEST_DEFAULTS = {
+    timeout: 10000,
+    streamTimeout: 30000,
+    retries: 0,
+    retryDelay: 1000
+};
+
+// Probe scheduling: +/- jitter as a fraction of the delay, backoff growth per
+// consecutive failure (capped at maxBackoffMs), how many probes after a
+// recovery run at recoveryFactor times the interval, and the share of a
+// rate-limit quota below which probes are slowed down
+LatencyMonitor.SCHEDULE_DEFAULTS = {
+    jitter: 0.1,
+    backoffFactor: 2,
+    maxBackoffMs: 10 * 60 * 1000,
+    recoveryProbes: 3,
+    recoveryFactor: 0.5,
+    rateLimitReserve: 0.1
+};
+
+// Shortest API key that is redacted from samples and logs
+LatencyMonitor.MIN_REDACTED_LENGTH = 8;
+
+// Upper bounds (ms) of the latency histogram buckets kept in stats.buckets
+LatencyMonitor.LATENCY_BUCKETS = [50, 100, 200, 300, 500, 750, 1000, 1500, 2500, 5000, 10000];
+
+// The resource timing buffer holds 250 entries by default; once full, new
+// requests would get no phase timings. One listener serves every monitor,
+// including those replaying comparison bundles. Browser only: Node's fetch
+// spins forever dispatching the event when a listener clears the buffer.
+if (typeof window !== 'undefined' && typeof performance !== 'undefined'
+    && typeof performance.addEventListener === 'function'
+    && typeof performance.clearResourceTimings === 'function') {
+    performance.addEventListener('resourcetimingbufferfull', () => performance.clearResourceTimings());
+}
+
 // Export for use in app.js
-window.LatencyMonitor = LatencyMonitor;
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LatencyMonitor };
+} else {
+    window.LatencyMonitor = LatencyMonitor;
+}
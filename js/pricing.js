@@ -0,0 +1,73 @@
+/**
+ * Pricing.js - Per-Model Token Prices for Spend Estimates
+ */
+
+/**
+ * List prices in USD per million input and output tokens. They go out of
+ * date; a provider's `request.price` or a target's `price` overrides them.
+ * Dated or aliased model names (gpt-4o-mini-2024-07-18,
+ * claude-3-5-haiku-latest) use the longest matching entry.
+ */
+const MODEL_PRICES = {
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4.1': { input: 2, output: 8 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+    'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+    'o3-mini': { input: 1.1, output: 4.4 },
+    'text-embedding-3-small': { input: 0.02, output: 0 },
+    'text-embedding-3-large': { input: 0.13, output: 0 },
+    'claude-3-haiku': { input: 0.25, output: 1.25 },
+    'claude-3-5-haiku': { input: 0.8, output: 4 },
+    'claude-3-5-sonnet': { input: 3, output: 15 },
+    'claude-3-7-sonnet': { input: 3, output: 15 },
+    'claude-sonnet-4': { input: 3, output: 15 },
+    'claude-3-opus': { input: 15, output: 75 },
+    'claude-opus-4': { input: 15, output: 75 },
+    'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+    'gemini-1.5-pro': { input: 1.25, output: 5 },
+    'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+    'command-r': { input: 0.15, output: 0.6 },
+    'command-r-plus': { input: 2.5, output: 10 }
+};
+
+/**
+ * Price of a request config's model ({model, price}), or null when unknown
+ */
+function getModelPrice(request) {
+    if (!request) return null;
+    if (request.price) return request.price;
+    if (!request.model) return null;
+
+    const model = String(request.model).toLowerCase();
+    if (MODEL_PRICES[model]) return MODEL_PRICES[model];
+
+    const base = Object.keys(MODEL_PRICES)
+        .filter(name => model.startsWith(name))
+        .sort((a, b) => b.length - a.length)[0];
+    return base ? MODEL_PRICES[base] : null;
+}
+
+/**
+ * Estimated cost in USD of {input, output} tokens at a price, or null
+ * when the price or usage is unknown
+ */
+function estimateCost(usage, price) {
+    if (!usage || !price) return null;
+    return ((usage.input || 0) * price.input + (usage.output || 0) * price.output) / 1e6;
+}
+
+/**
+ * Dollars with up to six decimals, enough for single-probe costs: "$0.000135"
+ */
+function formatCost(cost) {
+    if (typeof cost !== 'number' || isNaN(cost)) return '--';
+    if (cost > 0 && cost < 0.000001) return '<$0.000001';
+    if (cost >= 1) return `$${cost.toFixed(2)}`;
+    return `$${cost.toFixed(6).replace(/(\.\d\d\d*?)0+$/, '$1')}`;
+}
+
+// Under Node, expose the price table and helpers as a module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MODEL_PRICES, getModelPrice, estimateCost, formatCost };
+}
@@ -2,6 +2,146 @@
  * API Providers Configuration
  */
 
+// Prompt for streaming tests - long enough to measure tokens/sec
+const STREAM_PROMPT = 'Count from 1 to 20, separated by spaces.';
+const STREAM_MAX_TOKENS = 64;
+
+/**
+ * Request formats for the authenticated "full" and "stream" test modes.
+ * A format describes how to authenticate, the smallest useful body,
+ * how to recognise a real completion in the response and, optionally,
+ * how to read the completion text and the billed {input, output} token
+ * usage from it. The optional `stream` block builds an SSE request and
+ * reads text deltas and the reported output and input token counts from
+ * each event.
+ */
+const REQUEST_FORMATS = {
+    'openai-chat': {
+        auth: { type: 'bearer' },
+        path: '/v1/chat/completions',
+        body: model => ({
+            model,
+            messages: [{ role: 'user', content: 'ping' }],
+            max_tokens: 1
+        }),
+        validate: data => Array.isArray(data.choices) && data.choices.length > 0,
+        text: data => data.choices[0].message?.content || '',
+        usage: data => ({ input: data.usage?.prompt_tokens, output: data.usage?.completion_tokens }),
+        stream: {
+            body: model => ({
+                model,
+                messages: [{ role: 'user', content: STREAM_PROMPT }],
+                max_tokens: STREAM_MAX_TOKENS,
+                stream: true,
+                stream_options: { include_usage: true }
+            }),
+            delta: event => event.choices?.[0]?.delta?.content || '',
+            usage: event => event.usage?.completion_tokens ?? null,
+            inputUsage: event => event.usage?.prompt_tokens ?? null
+        }
+    },
+    'anthropic-messages': {
+        auth: { type: 'header', name: 'x-api-key' },
+        path: '/v1/messages',
+        headers: {
+            'anthropic-version': '2023-06-01',
+            'anthropic-dangerous-direct-browser-access': 'true'
+        },
+        body: model => ({
+            model,
+            messages: [{ role: 'user', content: 'ping' }],
+            max_tokens: 1
+        }),
+        validate: data => data.type === 'message' && Array.isArray(data.content),
+        text: data => data.content.map(block => block.text || '').join(''),
+        usage: data => ({ input: data.usage?.input_tokens, output: data.usage?.output_tokens }),
+        stream: {
+            body: model => ({
+                model,
+                messages: [{ role: 'user', content: STREAM_PROMPT }],
+                max_tokens: STREAM_MAX_TOKENS,
+                stream: true
+            }),
+            delta: event => event.type === 'content_block_delta' ? event.delta?.text || '' : '',
+            usage: event => event.type === 'message_delta' ? event.usage?.output_tokens ?? null : null,
+            inputUsage: event => event.type === 'message_start' ? event.message?.usage?.input_tokens ?? null : null
+        }
+    },
+    'google-generate': {
+        auth: { type: 'query', name: 'key' },
+        path: '/v1beta/models/{model}:generateContent',
+        body: () => ({
+            contents: [{ parts: [{ text: 'ping' }] }],
+            generationConfig: { maxOutputTokens: 1 }
+        }),
+        validate: data => Array.isArray(data.candidates) && data.candidates.length > 0,
+        text: data => (data.candidates[0].content?.parts || []).map(part => part.text || '').join(''),
+        usage: data => ({ input: data.usageMetadata?.promptTokenCount, output: data.usageMetadata?.candidatesTokenCount }),
+        stream: {
+            path: '/v1beta/models/{model}:streamGenerateContent?alt=sse',
+            body: () => ({
+                contents: [{ parts: [{ text: STREAM_PROMPT }] }],
+                generationConfig: { maxOutputTokens: STREAM_MAX_TOKENS }
+            }),
+            delta: event => event.candidates?.[0]?.content?.parts?.[0]?.text || '',
+            usage: event => event.usageMetadata?.candidatesTokenCount ?? null,
+            inputUsage: event => event.usageMetadata?.promptTokenCount ?? null
+        }
+    },
+    'cohere-chat': {
+        auth: { type: 'bearer' },
+        path: '/v2/chat',
+        body: model => ({
+            model,
+            messages: [{ role: 'user', content: 'ping' }],
+            max_tokens: 1
+        }),
+        validate: data => Boolean(data.message) && Array.isArray(data.message.content),
+        text: data => data.message.content.map(item => item.text || '').join(''),
+        usage: data => ({ input: data.usage?.billed_units?.input_tokens, output: data.usage?.billed_units?.output_tokens }),
+        stream: {
+            body: model => ({
+                model,
+                messages: [{ role: 'user', content: STREAM_PROMPT }],
+                max_tokens: STREAM_MAX_TOKENS,
+                stream: true
+            }),
+            delta: event => event.type === 'content-delta' ? event.delta?.message?.content?.text || '' : '',
+            usage: event => event.type === 'message-end' ? event.delta?.usage?.tokens?.output_tokens ?? null : null,
+            inputUsage: event => event.type === 'message-end' ? event.delta?.usage?.billed_units?.input_tokens ?? null : null
+        }
+    },
+    'huggingface-inference': {
+        auth: { type: 'bearer' },
+        path: '/models/{model}',
+        body: () => ({
+            inputs: 'ping',
+            parameters: { max_new_tokens: 1 }
+        }),
+        validate: data => Array.isArray(data) && data.length > 0 && 'generated_text' in data[0],
+        text: data => data[0].generated_text || '',
+        stream: {
+            body: () => ({
+                inputs: STREAM_PROMPT,
+                parameters: { max_new_tokens: STREAM_MAX_TOKENS },
+                stream: true
+            }),
+            delta: event => event.token?.text || '',
+            usage: event => event.details?.generated_tokens ?? null
+        }
+    },
+    'openai-embeddings': {
+        auth: { type: 'bearer' },
+        path: '/v1/embeddings',
+        body: model => ({
+            model,
+            input: 'ping'
+        }),
+        validate: data => Array.isArray(data.data) && data.data.length > 0,
+        usage: data => ({ input: data.usage?.prompt_tokens, output: 0 })
+    }
+};
+
 const API_PROVIDERS = [
     {
         id: 'openai',
@@ -9,7 +149,12 @@ const API_PROVIDERS = [
         endpoint: 'https://api.openai.com',
         pingPath: '/v1/models',
         color: '#10a37f',
-        requiresAuth: false // For ping test
+        requiresAuth: false, // For ping test
+        statusPage: 'https://status.openai.com/api/v2/summary.json',
+        request: {
+            format: 'openai-chat',
+            model: 'gpt-4o-mini'
+        }
     },
     {
         id: 'anthropic',
@@ -17,7 +162,12 @@ const API_PROVIDERS = [
         endpoint: 'https://api.anthropic.com',
         pingPath: '/v1/models',
         color: '#d4a373',
-        requiresAuth: false
+        requiresAuth: false,
+        statusPage: 'https://status.anthropic.com/api/v2/summary.json',
+        request: {
+            format: 'anthropic-messages',
+            model: 'claude-3-5-haiku-latest'
+        }
     },
     {
         id: 'google',
@@ -25,7 +175,11 @@ const API_PROVIDERS = [
         endpoint: 'https://generativelanguage.googleapis.com',
         pingPath: '/v1beta/models',
         color: '#4285f4',
-        requiresAuth: false
+        requiresAuth: false,
+        request: {
+            format: 'google-generate',
+            model: 'gemini-1.5-flash'
+        }
     },
     {
         id: 'azure',
@@ -33,7 +187,15 @@ const API_PROVIDERS = [
         endpoint: 'https://azure.microsoft.com',
         pingPath: '/',
         color: '#0078d4',
-        requiresAuth: false
+        requiresAuth: false,
+        // Full requests need the endpoint of your own Azure OpenAI resource;
+        // the model is the deployment name.
+        request: {
+            format: 'openai-chat',
+            model: 'gpt-4o-mini',
+            path: '/openai/deployments/{model}/chat/completions?api-version=2024-06-01',
+            auth: { type: 'header', name: 'api-key' }
+        }
     },
     {
         id: 'cohere',
@@ -41,7 +203,11 @@ const API_PROVIDERS = [
         endpoint: 'https://api.cohere.ai',
         pingPath: '/v1/models',
         color: '#39594d',
-        requiresAuth: false
+        requiresAuth: false,
+        request: {
+            format: 'cohere-chat',
+            model: 'command-r'
+        }
     },
     {
         id: 'huggingface',
@@ -49,38 +215,519 @@ const API_PROVIDERS = [
         endpoint: 'https://api-inference.huggingface.co',
         pingPath: '/',
         color: '#ff9d0b',
-        requiresAuth: false
+        requiresAuth: false,
+        request: {
+            format: 'huggingface-inference',
+            model: 'HuggingFaceH4/zephyr-7b-beta'
+        }
     }
 ];
 
-// Validate provider configuration
-(function validateProviders() {
-    if (!Array.isArray(API_PROVIDERS)) {
-        console.error('API_PROVIDERS must be an array');
-        return;
+const PROVIDER_METHODS = ['GET', 'HEAD', 'POST'];
+const PROVIDER_TEST_MODES = ['ping', 'simple', 'full', 'stream'];
+// Shortest per-provider probe interval accepted, in ms
+const MIN_PROVIDER_INTERVAL = 1000;
+// Bounds for the per-provider request timeout (ms) and retry settings
+const MIN_PROVIDER_TIMEOUT = 100;
+const MAX_PROVIDER_RETRIES = 5;
+const MAX_PROVIDER_RETRY_DELAY = 60000;
+const TARGET_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+// Response assertions a probe can make, see checkAssertions()
+const ASSERTION_TYPES = ['status', 'json-path', 'text-match', 'max-body-size'];
+
+/**
+ * Check one provider configuration. Returns lists of error and warning
+ * messages; a provider with errors should not be monitored.
+ */
+function validateProvider(provider, index = 0) {
+    const errors = [];
+    const warnings = [];
+
+    if (!provider) {
+        errors.push(`Provider at index ${index} is null or undefined`);
+        return { errors, warnings };
+    }
+
+    const requiredFields = ['id', 'name', 'endpoint', 'pingPath', 'color'];
+    const missing = requiredFields.filter(field => !provider[field]);
+
+    if (missing.length > 0) {
+        errors.push(`Provider "${provider.name || index}" is missing fields: ${missing.join(', ')}`);
+    }
+
+    // Validate URL format
+    if (provider.endpoint && !provider.endpoint.startsWith('http')) {
+        errors.push(`Provider "${provider.name}" has invalid endpoint URL: ${provider.endpoint}`);
+    }
+
+    if (provider.pingPath && !provider.pingPath.startsWith('/')) {
+        errors.push(`Provider "${provider.name}" ping path must start with "/": ${provider.pingPath}`);
+    }
+
+    // Validate color format
+    if (provider.color && !/^#[0-9A-Fa-f]{6}$/.test(provider.color)) {
+        warnings.push(`Provider "${provider.name}" has invalid color format: ${provider.color}`);
+    }
+
+    if (provider.method && !PROVIDER_METHODS.includes(provider.method)) {
+        errors.push(`Provider "${provider.name}" has unsupported method: ${provider.method}`);
     }
 
-    API_PROVIDERS.forEach((provider, index) => {
-        if (!provider) {
-            console.error(`Provider at index ${index} is null or undefined`);
+    if (provider.testMode && !PROVIDER_TEST_MODES.includes(provider.testMode)) {
+        errors.push(`Provider "${provider.name}" has unknown test mode: ${provider.testMode}`);
+    }
+
+    // Optional per-provider probe interval (ms), overriding the global one
+    if (provider.interval !== undefined && provider.interval !== null
+        && !(Number.isInteger(provider.interval) && provider.interval >= MIN_PROVIDER_INTERVAL)) {
+        errors.push(`Provider "${provider.name}" interval must be a whole number of at least ${MIN_PROVIDER_INTERVAL}ms: ${provider.interval}`);
+    }
+
+    // Optional Statuspage-style JSON endpoint (summary.json) for the vendor's own status
+    if (provider.statusPage !== undefined && provider.statusPage !== null
+        && !(typeof provider.statusPage === 'string' && /^https?:\/\//.test(provider.statusPage))) {
+        errors.push(`Provider "${provider.name}" status page must be an http(s) URL: ${provider.statusPage}`);
+    }
+
+    // Optional request timeout and retry policy
+    const isSet = value => value !== undefined && value !== null;
+    if (isSet(provider.timeout) && !(Number.isInteger(provider.timeout) && provider.timeout >= MIN_PROVIDER_TIMEOUT)) {
+        errors.push(`Provider "${provider.name}" timeout must be a whole number of at least ${MIN_PROVIDER_TIMEOUT}ms: ${provider.timeout}`);
+    }
+    if (isSet(provider.retries) && !(Number.isInteger(provider.retries) && provider.retries >= 0 && provider.retries <= MAX_PROVIDER_RETRIES)) {
+        errors.push(`Provider "${provider.name}" retries must be a whole number from 0 to ${MAX_PROVIDER_RETRIES}: ${provider.retries}`);
+    }
+    if (isSet(provider.retryDelay) && !(Number.isInteger(provider.retryDelay) && provider.retryDelay >= 0 && provider.retryDelay <= MAX_PROVIDER_RETRY_DELAY)) {
+        errors.push(`Provider "${provider.name}" retry delay must be a whole number from 0 to ${MAX_PROVIDER_RETRY_DELAY}ms: ${provider.retryDelay}`);
+    }
+
+    if (provider.headers !== undefined && provider.headers !== null) {
+        const validHeaders = typeof provider.headers === 'object' && !Array.isArray(provider.headers)
+            && Object.values(provider.headers).every(value => typeof value === 'string');
+        if (!validHeaders) {
+            errors.push(`Provider "${provider.name}" headers must be an object of strings`);
+        }
+    }
+
+    // Validate request builder used by the full test mode
+    if (provider.request) {
+        if (!REQUEST_FORMATS[provider.request.format]) {
+            errors.push(`Provider "${provider.name}" has unknown request format: ${provider.request.format}`);
+        }
+        const auth = provider.request.auth;
+        if (auth && !['bearer', 'header', 'query'].includes(auth.type)) {
+            errors.push(`Provider "${provider.name}" has invalid auth type: ${auth.type}`);
+        }
+        if (provider.request.price !== undefined && !isValidPrice(provider.request.price)) {
+            errors.push(`Provider "${provider.name}" price must be {input, output} in USD per million tokens`);
+        }
+    }
+
+    if (provider.assertions !== undefined && provider.assertions !== null) {
+        errors.push(...validateAssertions(provider.assertions, `Provider "${provider.name}"`));
+        if (provider.testMode === 'ping' && Array.isArray(provider.assertions) && provider.assertions.length > 0) {
+            warnings.push(`Provider "${provider.name}" has assertions, which are skipped in the ping mode`);
+        }
+    }
+
+    if (provider.targets !== undefined && provider.targets !== null) {
+        const result = validateTargets(provider);
+        errors.push(...result.errors);
+        warnings.push(...result.warnings);
+    }
+
+    return { errors, warnings };
+}
+
+/**
+ * Check a provider's probe targets: [{id, name, model, format, path,
+ * pingPath, testMode, price, assertions}], each overriding the
+ * provider's own settings
+ */
+function validateTargets(provider) {
+    const errors = [];
+    const warnings = [];
+
+    if (!Array.isArray(provider.targets)) {
+        errors.push(`Provider "${provider.name}" targets must be an array`);
+        return { errors, warnings };
+    }
+
+    const seen = new Set();
+    provider.targets.forEach((target, index) => {
+        if (!target || typeof target !== 'object') {
+            errors.push(`Provider "${provider.name}" target at index ${index} is not an object`);
             return;
         }
 
-        const requiredFields = ['id', 'name', 'endpoint', 'pingPath', 'color'];
-        const missing = requiredFields.filter(field => !provider[field]);
+        const label = `Provider "${provider.name}" target "${target.id || index}"`;
+        if (typeof target.id !== 'string' || !TARGET_ID_PATTERN.test(target.id)) {
+            errors.push(`${label} needs an id of letters, digits, "-" or "_"`);
+        } else if (seen.has(target.id)) {
+            errors.push(`Provider "${provider.name}" has duplicate target id: ${target.id}`);
+        } else {
+            seen.add(target.id);
+        }
 
-        if (missing.length > 0) {
-            console.error(`Provider "${provider.name || index}" is missing fields: ${missing.join(', ')}`);
+        ['name', 'model'].forEach(field => {
+            if (target[field] !== undefined && typeof target[field] !== 'string') {
+                errors.push(`${label} ${field} must be a string`);
+            }
+        });
+        if (target.format !== undefined && !REQUEST_FORMATS[target.format]) {
+            errors.push(`${label} has unknown request format: ${target.format}`);
+        }
+        if (target.price !== undefined && !isValidPrice(target.price)) {
+            errors.push(`${label} price must be {input, output} in USD per million tokens`);
+        }
+        if (target.testMode !== undefined && !PROVIDER_TEST_MODES.includes(target.testMode)) {
+            errors.push(`${label} has unknown test mode: ${target.testMode}`);
+        }
+        if (target.assertions !== undefined) {
+            errors.push(...validateAssertions(target.assertions, label));
         }
+        ['path', 'pingPath'].forEach(field => {
+            if (target[field] !== undefined && !(typeof target[field] === 'string' && target[field].startsWith('/'))) {
+                errors.push(`${label} ${field} must start with "/": ${target[field]}`);
+            }
+        });
 
-        // Validate URL format
-        if (provider.endpoint && !provider.endpoint.startsWith('http')) {
-            console.error(`Provider "${provider.name}" has invalid endpoint URL: ${provider.endpoint}`);
+        const format = target.format || (provider.request && provider.request.format);
+        if (!format && ['full', 'stream'].includes(target.testMode)) {
+            warnings.push(`${label} uses the ${target.testMode} mode but has no request format`);
         }
+        if (target.testMode === 'stream' && REQUEST_FORMATS[format] && !REQUEST_FORMATS[format].stream) {
+            warnings.push(`${label} uses the stream mode but ${format} does not stream`);
+        }
+    });
+
+    if (provider.targets.length === 0) {
+        warnings.push(`Provider "${provider.name}" has an empty targets list; its own settings are probed`);
+    }
 
-        // Validate color format
-        if (provider.color && !/^#[0-9A-Fa-f]{6}$/.test(provider.color)) {
-            console.warn(`Provider "${provider.name}" has invalid color format: ${provider.color}`);
+    return { errors, warnings };
+}
+
+/**
+ * Check a list of response assertions; label prefixes the error messages.
+ * Each assertion is one of:
+ *   {type: 'status', equals: 200 or [200, 201]}
+ *   {type: 'json-path', path: 'choices[0].message.content', exists: true}
+ *   {type: 'json-path', path: 'object', equals: 'chat.completion'}
+ *   {type: 'text-match', pattern: '\\d', flags: 'i'}
+ *   {type: 'max-body-size', bytes: 65536}
+ * and may have a name to show instead of the generated description.
+ */
+function validateAssertions(assertions, label) {
+    if (!Array.isArray(assertions)) {
+        return [`${label} assertions must be an array`];
+    }
+
+    const errors = [];
+    assertions.forEach((assertion, index) => {
+        const prefix = `${label} assertion ${index + 1}`;
+        if (!assertion || typeof assertion !== 'object' || !ASSERTION_TYPES.includes(assertion.type)) {
+            errors.push(`${prefix} needs a type of ${ASSERTION_TYPES.join(', ')}`);
+            return;
+        }
+        if (assertion.name !== undefined && typeof assertion.name !== 'string') {
+            errors.push(`${prefix} name must be a string`);
+        }
+
+        if (assertion.type === 'status') {
+            const codes = [].concat(assertion.equals);
+            if (!codes.every(code => Number.isInteger(code) && code >= 100 && code <= 599)) {
+                errors.push(`${prefix} equals must be an HTTP status code or a list of them`);
+            }
+        } else if (assertion.type === 'json-path') {
+            if (typeof assertion.path !== 'string' || !assertion.path.trim()) {
+                errors.push(`${prefix} needs a path such as "choices[0].message.content"`);
+            }
+            const hasExists = typeof assertion.exists === 'boolean';
+            const hasEquals = assertion.equals !== undefined;
+            if (hasExists === hasEquals) {
+                errors.push(`${prefix} needs either exists (true or false) or equals`);
+            }
+        } else if (assertion.type === 'text-match') {
+            let valid = typeof assertion.pattern === 'string';
+            try {
+                new RegExp(assertion.pattern, assertion.flags || '');
+            } catch (error) {
+                valid = false;
+            }
+            if (!valid) {
+                errors.push(`${prefix} pattern must be a valid regular expression: ${assertion.pattern}`);
+            }
+        } else if (assertion.type === 'max-body-size') {
+            if (!(Number.isInteger(assertion.bytes) && assertion.bytes > 0)) {
+                errors.push(`${prefix} bytes must be a positive whole number`);
+            }
         }
     });
+    return errors;
+}
+
+/**
+ * A price override: non-negative USD per million input and output tokens
+ */
+function isValidPrice(price) {
+    return Boolean(price) && typeof price === 'object'
+        && ['input', 'output'].every(field => typeof price[field] === 'number' && price[field] >= 0);
+}
+
+/**
+ * Check a whole provider list, including duplicate ids
+ */
+function validateProviderList(providers) {
+    if (!Array.isArray(providers)) {
+        return { errors: ['Providers must be an array'], warnings: [] };
+    }
+
+    const errors = [];
+    const warnings = [];
+    const seen = new Set();
+
+    providers.forEach((provider, index) => {
+        const result = validateProvider(provider, index);
+        errors.push(...result.errors);
+        warnings.push(...result.warnings);
+
+        if (provider && provider.id) {
+            if (seen.has(provider.id)) {
+                errors.push(`Duplicate provider id: ${provider.id}`);
+            }
+            seen.add(provider.id);
+        }
+    });
+
+    return { errors, warnings };
+}
+
+// Validate provider configuration
+(function validateProviders() {
+    const { errors, warnings } = validateProviderList(API_PROVIDERS);
+    errors.forEach(message => console.error(message));
+    warnings.forEach(message => console.warn(message));
 })();
+
+/**
+ * Get the request format for a provider, or null if it has none
+ */
+function getRequestFormat(provider) {
+    if (!provider || !provider.request) return null;
+    return REQUEST_FORMATS[provider.request.format] || null;
+}
+
+/**
+ * Build an authenticated fetch request for a provider.
+ * Pass { stream: true } for the SSE variant used by the stream mode.
+ */
+function buildProviderRequest(provider, apiKey, options = {}) {
+    const format = getRequestFormat(provider);
+    if (!format) {
+        throw new Error(`Provider "${provider?.name || 'unknown'}" has no request format`);
+    }
+    if (options.stream && !format.stream) {
+        throw new Error(`Request format "${provider.request.format}" does not support streaming`);
+    }
+
+    const request = provider.request;
+    const auth = request.auth || format.auth;
+    const template = options.stream
+        ? request.streamPath || format.stream.path || request.path || format.path
+        : request.path || format.path;
+    // Encode each segment but keep slashes: Hugging Face models are "org/name"
+    const model = (request.model || '').split('/').map(encodeURIComponent).join('/');
+    const path = template.replace('{model}', model);
+    const headers = {
+        'Content-Type': 'application/json',
+        ...(format.headers || {}),
+        ...(provider.headers || {}),
+        ...(request.headers || {})
+    };
+    let url = provider.endpoint + path;
+    // URL without credentials, safe to store and export
+    const displayUrl = url;
+
+    if (apiKey) {
+        if (auth.type === 'bearer') {
+            headers.Authorization = `Bearer ${apiKey}`;
+        } else if (auth.type === 'header') {
+            headers[auth.name] = apiKey;
+        } else if (auth.type === 'query') {
+            url += (url.includes('?') ? '&' : '?') + `${auth.name}=${encodeURIComponent(apiKey)}`;
+        }
+    }
+
+    const body = options.stream ? format.stream.body(request.model) : format.body(request.model);
+
+    return {
+        url,
+        displayUrl,
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body)
+    };
+}
+
+/**
+ * Check that a parsed response body is a real completion
+ */
+function validateProviderResponse(provider, data) {
+    const format = getRequestFormat(provider);
+    if (!format || data === null || typeof data !== 'object') return false;
+
+    try {
+        return Boolean(format.validate(data));
+    } catch (error) {
+        console.warn(`Response validation failed for ${provider.name}:`, error);
+        return false;
+    }
+}
+
+/**
+ * Billed token usage in a parsed response body as {input, output}, or
+ * null when the format or response does not report it
+ */
+function getResponseUsage(provider, data) {
+    const format = getRequestFormat(provider);
+    if (!format || !format.usage || data === null || typeof data !== 'object') return null;
+
+    try {
+        const usage = format.usage(data) || {};
+        const count = value => (typeof value === 'number' && value >= 0 ? value : null);
+        const input = count(usage.input);
+        const output = count(usage.output);
+        return input === null && output === null ? null : { input, output };
+    } catch (error) {
+        console.warn(`Could not read token usage for ${provider.name}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Completion text of a parsed response body, or null when the format or
+ * response has none
+ */
+function getResponseText(provider, data) {
+    const format = getRequestFormat(provider);
+    if (!format || !format.text || !validateProviderResponse(provider, data)) return null;
+
+    try {
+        const text = format.text(data);
+        return typeof text === 'string' ? text : null;
+    } catch (error) {
+        console.warn(`Could not read completion text for ${provider.name}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Value at a path like "choices[0].message.content" (a leading "$." is
+ * allowed), or undefined when any step is missing
+ */
+function getJsonPath(data, path) {
+    const steps = String(path).replace(/^\$\.?/, '').replace(/\[(\d+)\]/g, '.$1').split('.').filter(Boolean);
+    return steps.reduce((value, step) => (
+        value !== null && typeof value === 'object' && Object.prototype.hasOwnProperty.call(value, step)
+            ? value[step]
+            : undefined
+    ), data);
+}
+
+/**
+ * Readable form of an assertion, e.g. 'status is 200' or 'text matches /\d/'
+ */
+function describeAssertion(assertion) {
+    if (assertion.name) return assertion.name;
+
+    if (assertion.type === 'status') {
+        return `status is ${[].concat(assertion.equals).join(' or ')}`;
+    } else if (assertion.type === 'json-path') {
+        if (assertion.equals !== undefined) {
+            return `${assertion.path} equals ${JSON.stringify(assertion.equals)}`;
+        }
+        return `${assertion.path} ${assertion.exists ? 'exists' : 'is absent'}`;
+    } else if (assertion.type === 'text-match') {
+        return `text matches /${assertion.pattern}/${assertion.flags || ''}`;
+    }
+    return `body is at most ${assertion.bytes} bytes`;
+}
+
+/**
+ * Run assertions against a response {statusCode, data, text, bodySize}.
+ * A field the test mode cannot see is undefined, and assertions on it are
+ * skipped; data is null for a body that is not JSON. Returns the first
+ * failure as {assertion, index, message}, or null when all pass.
+ */
+function checkAssertions(assertions, response) {
+    if (!Array.isArray(assertions)) return null;
+
+    const shorten = value => {
+        const text = value === undefined ? 'missing' : JSON.stringify(value);
+        return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+    };
+
+    for (let index = 0; index < assertions.length; index++) {
+        const assertion = assertions[index];
+        let actual = null;
+
+        if (assertion.type === 'status') {
+            if (response.statusCode === undefined || response.statusCode === null) continue;
+            if (![].concat(assertion.equals).includes(response.statusCode)) {
+                actual = `got ${response.statusCode}`;
+            }
+        } else if (assertion.type === 'json-path') {
+            if (response.data === undefined) continue;
+            if (response.data === null) {
+                actual = 'body is not JSON';
+            } else {
+                const value = getJsonPath(response.data, assertion.path);
+                if (assertion.equals !== undefined) {
+                    if (JSON.stringify(value) !== JSON.stringify(assertion.equals)) {
+                        actual = `got ${shorten(value)}`;
+                    }
+                } else if ((value !== undefined) !== assertion.exists) {
+                    actual = assertion.exists ? 'missing' : `got ${shorten(value)}`;
+                }
+            }
+        } else if (assertion.type === 'text-match') {
+            if (response.text === undefined) continue;
+            if (response.text === null || !new RegExp(assertion.pattern, assertion.flags || '').test(response.text)) {
+                actual = response.text === null ? 'no completion text' : `got ${shorten(response.text)}`;
+            }
+        } else if (assertion.type === 'max-body-size') {
+            if (typeof response.bodySize !== 'number') continue;
+            if (response.bodySize > assertion.bytes) {
+                actual = `got ${response.bodySize}`;
+            }
+        }
+
+        if (actual !== null) {
+            return { assertion, index, message: `${describeAssertion(assertion)} (${actual})` };
+        }
+    }
+    return null;
+}
+
+// Under Node, expose the provider list and helpers as a module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        REQUEST_FORMATS,
+        API_PROVIDERS,
+        PROVIDER_METHODS,
+        PROVIDER_TEST_MODES,
+        validateProvider,
+        validateProviderList,
+        validateTargets,
+        validateAssertions,
+        getRequestFormat,
+        buildProviderRequest,
+        validateProviderResponse,
+        getResponseUsage,
+        getResponseText,
+        getJsonPath,
+        describeAssertion,
+        checkAssertions
+    };
+}
@@ -0,0 +1,420 @@
+/**
+ * Report.js - Incident Detection and Uptime/SLA Reports
+ */
+
+const DEFAULT_SLA_TARGET = 99.9;
+
+// Gaps between samples longer than this (monitoring stopped, tab closed)
+// are not counted as observed time, and close any open incident
+const REPORT_MAX_GAP_MS = 30 * 60 * 1000;
+
+class IncidentDetector {
+    /**
+     * Merge consecutive failed history points into incidents. An incident
+     * starts at its first failure and ends at the first success after it;
+     * one still failing at the last point is ongoing and runs until `until`
+     * (e.g. the end of the report), unless monitoring stopped more than
+     * maxGapMs before it. Rate-limited points neither open nor close an
+     * incident, and degraded points count as available (see isAvailable).
+     * Runs shorter than minFailures are ignored, so single blips can be
+     * left out.
+     *
+     * With probe targets, a provider is down only while the latest point of
+     * every target it probes is a failure, as on its card: one target
+     * failing while another answers is not an incident. A target that has
+     * not reported yet in this stretch of monitoring, but does within
+     * maxGapMs, is not counted as down.
+     */
+    static detect(history, { minFailures = 1, maxGapMs = Infinity, until = null } = {}) {
+        const points = IncidentDetector.sortPoints(history)
+            .filter(point => point.outcome !== 'rate-limited');
+        const incidents = [];
+        const latest = new Map(); // target id -> latest point since the last gap
+        const upcoming = new Map(); // target id -> its points and the index of the next one
+        points.forEach(point => {
+            const id = point.targetId || null;
+            if (!upcoming.has(id)) upcoming.set(id, { points: [], next: 0 });
+            upcoming.get(id).points.push(point);
+        });
+        let current = null;
+        let previous = null;
+
+        const close = (end, ongoing) => {
+            if (current.failures >= minFailures) {
+                let finish = end !== null ? end : current.lastFailure;
+                if (end === null && until !== null && until >= finish && until - finish <= maxGapMs) {
+                    finish = until;
+                }
+                incidents.push({
+                    start: current.start,
+                    end,
+                    duration: Math.max(finish - current.start, 0),
+                    failures: current.failures,
+                    outcomes: current.outcomes,
+                    ongoing
+                });
+            }
+            current = null;
+        };
+
+        const providerUp = point => Array.from(upcoming.entries()).some(([id, target]) => {
+            const last = latest.get(id);
+            if (last && point.timestamp - last.timestamp <= maxGapMs) {
+                return IncidentDetector.isAvailable(last);
+            }
+            // Not heard from since the last gap: pending if it reports soon, else gone
+            const next = target.points[target.next];
+            return !last && next !== undefined && next.timestamp - point.timestamp <= maxGapMs;
+        });
+
+        points.forEach(point => {
+            // Nobody was watching during a long gap; end the incident where it was last seen
+            if (previous && point.timestamp - previous.timestamp > maxGapMs) {
+                if (current) close(current.lastFailure, false);
+                latest.clear();
+            }
+            previous = point;
+            latest.set(point.targetId || null, point);
+            upcoming.get(point.targetId || null).next++;
+
+            if (providerUp(point)) {
+                if (current) close(point.timestamp, false);
+                return;
+            }
+
+            if (!current) {
+                current = { start: point.timestamp, lastFailure: point.timestamp, failures: 0, outcomes: {} };
+            }
+            const outcome = point.outcome || 'failed';
+            current.failures++;
+            current.lastFailure = point.timestamp;
+            current.outcomes[outcome] = (current.outcomes[outcome] || 0) + 1;
+        });
+
+        if (current) {
+            close(null, true);
+        }
+        return incidents;
+    }
+
+    /**
+     * Whether a point counts towards uptime. A degraded point (a response
+     * that failed an assertion) shows the API answered, so it is up for
+     * availability; the degraded status and assertion alerts cover it.
+     */
+    static isAvailable(point) {
+        return Boolean(point && (point.success || point.outcome === 'assertion-failed'));
+    }
+
+    /**
+     * Time covered by the points, leaving out gaps longer than maxGapMs,
+     * plus the time from the last point to `until` when within maxGapMs
+     */
+    static observedTime(history, maxGapMs = Infinity, until = null) {
+        const points = IncidentDetector.sortPoints(history);
+        let total = 0;
+        for (let i = 1; i < points.length; i++) {
+            const gap = points[i].timestamp - points[i - 1].timestamp;
+            if (gap <= maxGapMs) total += gap;
+        }
+        if (until !== null && points.length > 0) {
+            const tail = until - points[points.length - 1].timestamp;
+            if (tail > 0 && tail <= maxGapMs) total += tail;
+        }
+        return total;
+    }
+
+    static sortPoints(history) {
+        return (Array.isArray(history) ? history : [])
+            .filter(point => point && typeof point.timestamp === 'number' && !isNaN(point.timestamp))
+            .slice()
+            .sort((a, b) => a.timestamp - b.timestamp);
+    }
+}
+
+class SlaReport {
+    /**
+     * Build a report from providers ({id, name, color, history}) over
+     * [from, to]. Uptime is the share of observed time outside incidents;
+     * with fewer than two samples it falls back to the sample success rate.
+     */
+    static build(providers, options = {}) {
+        const {
+            from = null,
+            to = Date.now(),
+            target = DEFAULT_SLA_TARGET,
+            minFailures = 1,
+            maxGapMs = REPORT_MAX_GAP_MS
+        } = options;
+
+        // Ongoing incidents and the latest state run to the end of the period, but not past now
+        const until = Math.min(to, Date.now());
+        const rows = (Array.isArray(providers) ? providers : []).filter(Boolean).map(provider => {
+            const points = IncidentDetector.sortPoints(provider.history)
+                .filter(point => (from === null || point.timestamp >= from) && point.timestamp <= to);
+            const counted = points.filter(point => point.outcome !== 'rate-limited');
+            const successes = counted.filter(point => IncidentDetector.isAvailable(point)).length;
+
+            const incidents = IncidentDetector.detect(points, { minFailures, maxGapMs, until });
+            const downtime = incidents.reduce((sum, incident) => sum + incident.duration, 0);
+            const observed = IncidentDetector.observedTime(counted, maxGapMs, until);
+
+            let uptime = null;
+            if (observed > 0) {
+                uptime = Math.max(1 - downtime / observed, 0) * 100;
+            } else if (counted.length > 0) {
+                uptime = (successes / counted.length) * 100;
+            }
+
+            const resolved = incidents.filter(incident => !incident.ongoing);
+            return {
+                id: provider.id,
+                name: provider.name || provider.id,
+                color: provider.color || '#64748b',
+                samples: points.length,
+                successes,
+                failures: counted.length - successes,
+                rateLimited: points.length - counted.length,
+                firstSample: points.length > 0 ? points[0].timestamp : null,
+                lastSample: points.length > 0 ? points[points.length - 1].timestamp : null,
+                observed,
+                downtime,
+                uptime: uptime === null ? null : Math.round(uptime * 1000) / 1000,
+                compliant: uptime === null ? null : uptime >= target,
+                mttr: resolved.length > 0
+                    ? Math.round(resolved.reduce((sum, incident) => sum + incident.duration, 0) / resolved.length)
+                    : null,
+                longest: incidents.length > 0 ? Math.max(...incidents.map(incident => incident.duration)) : null,
+                incidents
+            };
+        });
+
+        const starts = rows.filter(row => row.firstSample !== null).map(row => row.firstSample);
+        return {
+            generatedAt: Date.now(),
+            from: from !== null ? from : (starts.length > 0 ? Math.min(...starts) : to),
+            to,
+            target,
+            minFailures,
+            providers: rows
+        };
+    }
+
+    /**
+     * Incidents of every provider, newest first
+     */
+    static timeline(report) {
+        const entries = [];
+        report.providers.forEach(provider => {
+            provider.incidents.forEach(incident => {
+                entries.push({ ...incident, providerId: provider.id, providerName: provider.name, color: provider.color });
+            });
+        });
+        return entries.sort((a, b) => b.start - a.start);
+    }
+
+    static toMarkdown(report) {
+        // Pipes would split the table cell; raw HTML would be rendered by most viewers
+        const cell = value => String(value).replace(/\|/g, '\\|').replace(/</g, '&lt;').replace(/\n/g, ' ');
+        const lines = [
+            '# Availability Report',
+            '',
+            `- **Period:** ${SlaReport.formatTime(report.from)} – ${SlaReport.formatTime(report.to)}`,
+            `- **SLA target:** ${report.target}%`,
+            `- **Incident threshold:** ${report.minFailures} consecutive failed probe${report.minFailures === 1 ? '' : 's'}`,
+            `- **Generated:** ${SlaReport.formatTime(report.generatedAt)}`,
+            '',
+            '## Summary',
+            '',
+            '| Provider | Uptime | SLA | Samples | Incidents | Downtime | MTTR | Longest |',
+            '|---|---:|---|---:|---:|---:|---:|---:|'
+        ];
+
+        report.providers.forEach(provider => {
+            lines.push(`| ${[
+                cell(provider.name),
+                SlaReport.formatUptime(provider.uptime),
+                SlaReport.formatCompliance(provider.compliant),
+                provider.samples,
+                provider.incidents.length,
+                SlaReport.formatDuration(provider.downtime),
+                provider.mttr === null ? '--' : SlaReport.formatDuration(provider.mttr),
+                provider.longest === null ? '--' : SlaReport.formatDuration(provider.longest)
+            ].join(' | ')} |`);
+        });
+
+        lines.push('', '## Incident Timeline', '');
+        const timeline = SlaReport.timeline(report);
+        if (timeline.length === 0) {
+            lines.push('_No incidents in this period._');
+        } else {
+            lines.push('| Provider | Start | End | Duration | Failed probes | Outcomes |', '|---|---|---|---:|---:|---|');
+            timeline.forEach(incident => {
+                lines.push(`| ${[
+                    cell(incident.providerName),
+                    SlaReport.formatTime(incident.start),
+                    incident.ongoing ? 'ongoing' : SlaReport.formatTime(incident.end),
+                    SlaReport.formatDuration(incident.duration),
+                    incident.failures,
+                    cell(SlaReport.formatOutcomes(incident.outcomes))
+                ].join(' | ')} |`);
+            });
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Standalone HTML document with inline styles, safe to email or archive
+     */
+    static toHTML(report) {
+        const html = SlaReport.escapeHTML;
+        const span = Math.max(report.to - report.from, 1);
+        const percent = time => Math.min(Math.max(((time - report.from) / span) * 100, 0), 100);
+
+        const summaryRows = report.providers.map(provider => `
+            <tr>
+                <td><span class="swatch" style="background:${html(provider.color)}"></span>${html(provider.name)}</td>
+                <td class="num">${SlaReport.formatUptime(provider.uptime)}</td>
+                <td class="${provider.compliant === false ? 'missed' : 'met'}">${SlaReport.formatCompliance(provider.compliant)}</td>
+                <td class="num">${provider.samples}</td>
+                <td class="num">${provider.incidents.length}</td>
+                <td class="num">${SlaReport.formatDuration(provider.downtime)}</td>
+                <td class="num">${provider.mttr === null ? '--' : SlaReport.formatDuration(provider.mttr)}</td>
+                <td class="num">${provider.longest === null ? '--' : SlaReport.formatDuration(provider.longest)}</td>
+            </tr>`).join('');
+
+        const tracks = report.providers.map(provider => {
+            const segments = provider.incidents.map(incident => {
+                const left = percent(incident.start);
+                const right = percent(incident.end !== null ? incident.end : incident.start + incident.duration);
+                const title = `${SlaReport.formatTime(incident.start)} · ${SlaReport.formatDuration(incident.duration)}`;
+                return `<span class="incident" style="left:${left.toFixed(3)}%;width:${Math.max(right - left, 0.3).toFixed(3)}%" title="${html(title)}"></span>`;
+            }).join('');
+            return `
+            <div class="track-row">
+                <div class="track-label">${html(provider.name)}</div>
+                <div class="track">${segments}</div>
+            </div>`;
+        }).join('');
+
+        const timeline = SlaReport.timeline(report);
+        const incidentRows = timeline.length === 0
+            ? '<tr><td colspan="6" class="empty">No incidents in this period.</td></tr>'
+            : timeline.map(incident => `
+            <tr>
+                <td>${html(incident.providerName)}</td>
+                <td>${html(SlaReport.formatTime(incident.start))}</td>
+                <td>${incident.ongoing ? 'ongoing' : html(SlaReport.formatTime(incident.end))}</td>
+                <td class="num">${SlaReport.formatDuration(incident.duration)}</td>
+                <td class="num">${incident.failures}</td>
+                <td>${html(SlaReport.formatOutcomes(incident.outcomes))}</td>
+            </tr>`).join('');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Availability Report</title>
+<style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #1e293b; max-width: 960px; margin: 2rem auto; padding: 0 1rem; }
+    h1 { margin-bottom: 0.5rem; }
+    .meta { color: #64748b; margin: 0 0 1.5rem; padding: 0; list-style: none; }
+    table { width: 100%; border-collapse: collapse; margin-bottom: 2rem; }
+    th, td { text-align: left; padding: 0.5rem; border-bottom: 1px solid #e2e8f0; }
+    th { background: #f8fafc; }
+    .num { text-align: right; font-variant-numeric: tabular-nums; }
+    .met { color: #16a34a; }
+    .missed { color: #dc2626; font-weight: 600; }
+    .swatch { display: inline-block; width: 0.75rem; height: 0.75rem; border-radius: 50%; margin-right: 0.5rem; }
+    .track-row { display: flex; align-items: center; gap: 1rem; margin-bottom: 0.5rem; }
+    .track-label { width: 10rem; flex-shrink: 0; }
+    .track { position: relative; flex: 1; height: 1rem; background: #dcfce7; border-radius: 0.25rem; overflow: hidden; }
+    .incident { position: absolute; top: 0; bottom: 0; background: #dc2626; }
+    .axis { display: flex; justify-content: space-between; color: #64748b; font-size: 0.85rem; margin: 0 0 2rem 11rem; }
+    .empty { color: #64748b; font-style: italic; }
+</style>
+</head>
+<body>
+<h1>Availability Report</h1>
+<ul class="meta">
+    <li>Period: ${html(SlaReport.formatTime(report.from))} – ${html(SlaReport.formatTime(report.to))}</li>
+    <li>SLA target: ${report.target}%</li>
+    <li>Incident threshold: ${report.minFailures} consecutive failed probe${report.minFailures === 1 ? '' : 's'}</li>
+    <li>Generated: ${html(SlaReport.formatTime(report.generatedAt))}</li>
+</ul>
+<h2>Summary</h2>
+<table>
+    <thead>
+        <tr><th>Provider</th><th class="num">Uptime</th><th>SLA</th><th class="num">Samples</th><th class="num">Incidents</th><th class="num">Downtime</th><th class="num">MTTR</th><th class="num">Longest</th></tr>
+    </thead>
+    <tbody>${summaryRows}
+    </tbody>
+</table>
+<h2>Incident Timeline</h2>
+${tracks}
+<div class="axis"><span>${html(SlaReport.formatTime(report.from))}</span><span>${html(SlaReport.formatTime(report.to))}</span></div>
+<table>
+    <thead>
+        <tr><th>Provider</th><th>Start</th><th>End</th><th class="num">Duration</th><th class="num">Failed probes</th><th>Outcomes</th></tr>
+    </thead>
+    <tbody>${incidentRows}
+    </tbody>
+</table>
+</body>
+</html>
+`;
+    }
+
+    /**
+     * "2d 3h", "1h 5m", "4m 30s", "12s"
+     */
+    static formatDuration(ms) {
+        if (typeof ms !== 'number' || !isFinite(ms) || ms <= 0) return '0s';
+
+        const seconds = Math.round(ms / 1000);
+        const days = Math.floor(seconds / 86400);
+        const hours = Math.floor((seconds % 86400) / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        const rest = seconds % 60;
+
+        if (days > 0) return `${days}d ${hours}h`;
+        if (hours > 0) return `${hours}h ${minutes}m`;
+        if (minutes > 0) return `${minutes}m ${rest}s`;
+        return `${rest}s`;
+    }
+
+    static formatTime(timestamp) {
+        return typeof timestamp === 'number' && isFinite(timestamp) ? new Date(timestamp).toLocaleString() : '--';
+    }
+
+    static formatUptime(uptime) {
+        return uptime === null ? '--' : `${uptime.toFixed(3)}%`;
+    }
+
+    static formatCompliance(compliant) {
+        if (compliant === null) return 'No data';
+        return compliant ? '✅ Met' : '❌ Missed';
+    }
+
+    static formatOutcomes(outcomes) {
+        return Object.entries(outcomes || {}).map(([outcome, count]) => `${outcome} ×${count}`).join(', ');
+    }
+
+    static escapeHTML(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
+
+// Export for use in app.js, or as a Node module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { IncidentDetector, SlaReport, DEFAULT_SLA_TARGET };
+} else {
+    window.IncidentDetector = IncidentDetector;
+    window.SlaReport = SlaReport;
+}
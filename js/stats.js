@@ -0,0 +1,67 @@
+/**
+ * Stats.js - Latency Distribution Statistics
+ */
+
+class LatencyStats {
+    /**
+     * Percentile of an ascending-sorted array using linear interpolation
+     */
+    static percentile(sorted, p) {
+        if (!Array.isArray(sorted) || sorted.length === 0) return null;
+        if (sorted.length === 1) return sorted[0];
+
+        const rank = (p / 100) * (sorted.length - 1);
+        const lower = Math.floor(rank);
+        const upper = Math.ceil(rank);
+        const weight = rank - lower;
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * weight;
+    }
+
+    /**
+     * Summarize latencies (in sample order): mean, percentiles, standard
+     * deviation and jitter, the mean absolute difference between
+     * consecutive samples.
+     */
+    static summarize(latencies) {
+        const values = Array.isArray(latencies)
+            ? latencies.filter(value => typeof value === 'number' && !isNaN(value))
+            : [];
+
+        if (values.length === 0) {
+            return { samples: 0, avg: 0, p50: null, p90: null, p95: null, p99: null, stdDev: null, jitter: null };
+        }
+
+        const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+        const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+
+        let jitter = null;
+        if (values.length > 1) {
+            let deltas = 0;
+            for (let i = 1; i < values.length; i++) {
+                deltas += Math.abs(values[i] - values[i - 1]);
+            }
+            jitter = Math.round(deltas / (values.length - 1));
+        }
+
+        const sorted = [...values].sort((a, b) => a - b);
+        const round = value => (value === null ? null : Math.round(value));
+
+        return {
+            samples: values.length,
+            avg: Math.round(mean),
+            p50: round(LatencyStats.percentile(sorted, 50)),
+            p90: round(LatencyStats.percentile(sorted, 90)),
+            p95: round(LatencyStats.percentile(sorted, 95)),
+            p99: round(LatencyStats.percentile(sorted, 99)),
+            stdDev: Math.round(Math.sqrt(variance)),
+            jitter
+        };
+    }
+}
+
+// Export for use in monitor.js and chart.js, or as a Node module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LatencyStats };
+} else {
+    window.LatencyStats = LatencyStats;
+}
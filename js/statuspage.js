@@ -0,0 +1,184 @@
+/**
+ * StatusPage.js - Vendor-Reported Status from Statuspage-Style APIs
+ */
+
+const STATUS_PAGE_POLL_MS = 60000;
+const STATUS_PAGE_TIMEOUT_MS = 10000;
+
+// Statuspage's overall indicator, mildest first
+const STATUS_PAGE_INDICATORS = ['none', 'minor', 'major', 'critical', 'maintenance'];
+
+const STATUS_PAGE_LABELS = {
+    none: 'Operational',
+    minor: 'Minor issues',
+    major: 'Major outage',
+    critical: 'Critical outage',
+    maintenance: 'Under maintenance',
+    unknown: 'Unknown'
+};
+
+class StatusPageMonitor {
+    constructor(options = {}) {
+        this.pollInterval = options.pollInterval || STATUS_PAGE_POLL_MS;
+        this.providers = [];
+        this.statuses = new Map(); // provider id -> last vendor status
+        this.timer = null;
+        this.onUpdate = null;
+    }
+
+    /**
+     * Poll the status page of every provider with a statusPage URL now and
+     * then every pollInterval ms. onUpdate(providerId, status) runs after
+     * each fetch.
+     */
+    start(providers, onUpdate = null) {
+        this.stop();
+        this.setProviders(providers);
+        this.onUpdate = typeof onUpdate === 'function' ? onUpdate : null;
+
+        this.poll().catch(error => console.error('Status page poll failed:', error));
+        this.timer = setInterval(() => {
+            this.poll().catch(error => console.error('Status page poll failed:', error));
+        }, this.pollInterval);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Replace the polled providers; statuses of providers that lost their
+     * status page are dropped
+     */
+    setProviders(providers) {
+        this.providers = (Array.isArray(providers) ? providers : [])
+            .filter(provider => provider && provider.statusPage && provider.enabled !== false);
+
+        const ids = new Set(this.providers.map(provider => provider.id));
+        Array.from(this.statuses.keys()).forEach(id => {
+            if (!ids.has(id)) this.statuses.delete(id);
+        });
+    }
+
+    async poll() {
+        await Promise.allSettled(this.providers.map(async provider => {
+            const status = await StatusPageMonitor.fetchStatus(provider.statusPage);
+            this.statuses.set(provider.id, status);
+            if (this.onUpdate) {
+                try {
+                    this.onUpdate(provider.id, status);
+                } catch (error) {
+                    console.error('Error in status page callback:', error);
+                }
+            }
+        }));
+    }
+
+    getStatus(providerId) {
+        return this.statuses.get(providerId) || null;
+    }
+
+    /**
+     * Fetch and normalize a Statuspage summary.json (or status.json)
+     * document. Failures come back as an 'unknown' status with an error.
+     */
+    static async fetchStatus(url) {
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timeout = controller ? setTimeout(() => controller.abort(), STATUS_PAGE_TIMEOUT_MS) : null;
+
+        try {
+            const response = await fetch(url, {
+                headers: { Accept: 'application/json' },
+                signal: controller ? controller.signal : undefined
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            return StatusPageMonitor.parseSummary(await response.json());
+        } catch (error) {
+            return {
+                indicator: 'unknown',
+                description: null,
+                incidents: [],
+                pageUrl: null,
+                checkedAt: Date.now(),
+                error: error.name === 'AbortError' ? 'Request timed out' : error.message
+            };
+        } finally {
+            if (timeout) {
+                clearTimeout(timeout);
+            }
+        }
+    }
+
+    /**
+     * {indicator, description, incidents: [{name, status, impact, url,
+     * startedAt, updatedAt}], pageUrl, checkedAt, error}. Resolved and
+     * postmortem incidents are left out, and links other than http(s) are
+     * dropped, since the feed is remote content shown as clickable links.
+     */
+    static parseSummary(data) {
+        const status = data && data.status ? data.status : {};
+        const indicator = STATUS_PAGE_INDICATORS.includes(status.indicator) ? status.indicator : 'unknown';
+        const incidents = (data && Array.isArray(data.incidents) ? data.incidents : [])
+            .filter(incident => incident && !['resolved', 'postmortem', 'completed'].includes(incident.status))
+            .map(incident => ({
+                name: incident.name || 'Unnamed incident',
+                status: incident.status || null,
+                impact: incident.impact || null,
+                url: StatusPageMonitor.safeUrl(incident.shortlink),
+                startedAt: Date.parse(incident.started_at || incident.created_at) || null,
+                updatedAt: Date.parse(incident.updated_at) || null
+            }));
+
+        return {
+            indicator,
+            description: status.description || null,
+            incidents,
+            pageUrl: data && data.page ? StatusPageMonitor.safeUrl(data.page.url) : null,
+            checkedAt: Date.now(),
+            error: null
+        };
+    }
+
+    static safeUrl(value) {
+        if (typeof value !== 'string') return null;
+        try {
+            const url = new URL(value);
+            return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Compare our measured status with the vendor's. Returns
+     * 'vendor-incident' when the vendor reports trouble our probes do not
+     * see, 'unreported' when our probes fail or are degraded while the
+     * vendor reports all clear, or null when they agree or either side is
+     * unknown.
+     */
+    static compare(measuredStatus, vendorStatus) {
+        if (!vendorStatus || vendorStatus.indicator === 'unknown') return null;
+
+        const vendorHealthy = vendorStatus.indicator === 'none' && vendorStatus.incidents.length === 0;
+        if (measuredStatus === 'online' && !vendorHealthy) return 'vendor-incident';
+        if (['offline', 'degraded'].includes(measuredStatus) && vendorHealthy) return 'unreported';
+        return null;
+    }
+
+    static describe(vendorStatus) {
+        if (!vendorStatus) return '';
+        return vendorStatus.description || STATUS_PAGE_LABELS[vendorStatus.indicator] || STATUS_PAGE_LABELS.unknown;
+    }
+}
+
+// Export for use in app.js, or as a Node module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { StatusPageMonitor, STATUS_PAGE_LABELS };
+} else {
+    window.StatusPageMonitor = StatusPageMonitor;
+}
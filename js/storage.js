@@ -0,0 +1,250 @@
+/**
+ * Storage.js - Persistent History Store (IndexedDB)
+ */
+
+const HISTORY_DB_NAME = 'api-latency-monitor';
+const HISTORY_DB_VERSION = 1;
+
+class HistoryStore {
+    constructor() {
+        this.db = null;
+        this.opening = null;
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open (and create or upgrade) the database
+     */
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+        if (this.opening) return this.opening;
+
+        this.opening = new Promise((resolve, reject) => {
+            if (!HistoryStore.isSupported()) {
+                reject(new Error('IndexedDB not supported'));
+                return;
+            }
+
+            const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('sessions')) {
+                    const sessions = db.createObjectStore('sessions', { keyPath: 'id', autoIncrement: true });
+                    sessions.createIndex('startedAt', 'startedAt');
+                }
+                if (!db.objectStoreNames.contains('samples')) {
+                    const samples = db.createObjectStore('samples', { keyPath: 'id', autoIncrement: true });
+                    samples.createIndex('sessionId', 'sessionId');
+                    samples.createIndex('timestamp', 'timestamp');
+                }
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+
+        return this.opening;
+    }
+
+    /**
+     * Run a callback inside a transaction and resolve with its result
+     */
+    async transaction(storeNames, mode, callback) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            let result;
+
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+
+            try {
+                const value = callback(tx);
+                if (value && typeof value.onsuccess !== 'undefined') {
+                    value.onsuccess = () => {
+                        result = value.result;
+                    };
+                } else {
+                    result = value;
+                }
+            } catch (error) {
+                tx.abort();
+                reject(error);
+            }
+        });
+    }
+
+    /**
+     * Start a new session and return its id
+     */
+    createSession(info = {}) {
+        const session = {
+            startedAt: Date.now(),
+            endedAt: null,
+            testMode: info.testMode || null,
+            sampleCount: 0
+        };
+        return this.transaction('sessions', 'readwrite', tx => tx.objectStore('sessions').add(session));
+    }
+
+    /**
+     * Persist one sample, keeping the session's end time and count current
+     */
+    addSample(sessionId, sample) {
+        if (sessionId === null || sessionId === undefined || !sample) {
+            return Promise.reject(new Error('addSample requires a session id and sample'));
+        }
+
+        return this.transaction(['sessions', 'samples'], 'readwrite', tx => {
+            tx.objectStore('samples').add({ ...sample, sessionId });
+
+            const sessions = tx.objectStore('sessions');
+            const lookup = sessions.get(sessionId);
+            lookup.onsuccess = () => {
+                const session = lookup.result;
+                if (!session) return;
+                session.endedAt = sample.timestamp || Date.now();
+                session.sampleCount = (session.sampleCount || 0) + 1;
+                sessions.put(session);
+            };
+        });
+    }
+
+    /**
+     * Add burst test spend ({inputTokens, outputTokens, cost}) to a session;
+     * burst requests are not stored as samples
+     */
+    addBurstSpend(sessionId, spend) {
+        if (sessionId === null || sessionId === undefined || !spend) {
+            return Promise.reject(new Error('addBurstSpend requires a session id and spend'));
+        }
+
+        return this.transaction('sessions', 'readwrite', tx => {
+            const sessions = tx.objectStore('sessions');
+            const lookup = sessions.get(sessionId);
+            lookup.onsuccess = () => {
+                const session = lookup.result;
+                if (!session) return;
+                const total = session.burstSpend || { inputTokens: 0, outputTokens: 0, cost: 0 };
+                Object.keys(total).forEach(key => {
+                    total[key] += spend[key] || 0;
+                });
+                session.burstSpend = total;
+                sessions.put(session);
+            };
+        });
+    }
+
+    /**
+     * List sessions, newest first
+     */
+    async getSessions() {
+        const sessions = await this.transaction('sessions', 'readonly', tx => tx.objectStore('sessions').getAll());
+        return (sessions || []).sort((a, b) => b.startedAt - a.startedAt);
+    }
+
+    async getLatestSession() {
+        const sessions = await this.getSessions();
+        return sessions.length > 0 ? sessions[0] : null;
+    }
+
+    /**
+     * Get all samples of a session, oldest first
+     */
+    async getSamples(sessionId) {
+        const samples = await this.transaction('samples', 'readonly', tx =>
+            tx.objectStore('samples').index('sessionId').getAll(sessionId)
+        );
+        return (samples || []).sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    /**
+     * Delete a session and its samples
+     */
+    deleteSession(sessionId) {
+        return this.transaction(['sessions', 'samples'], 'readwrite', tx => {
+            tx.objectStore('sessions').delete(sessionId);
+
+            const cursorRequest = tx.objectStore('samples').index('sessionId').openKeyCursor(IDBKeyRange.only(sessionId));
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor) return;
+                tx.objectStore('samples').delete(cursor.primaryKey);
+                cursor.continue();
+            };
+        });
+    }
+
+    /**
+     * Apply retention rules: drop samples older than maxAgeMs, then the
+     * oldest samples beyond maxSamples. Sessions left empty are removed,
+     * except keepSessionId.
+     */
+    async prune({ maxAgeMs = null, maxSamples = null, keepSessionId = null } = {}) {
+        if (maxAgeMs) {
+            const cutoff = Date.now() - maxAgeMs;
+            await this.deleteSamplesWhere(IDBKeyRange.upperBound(cutoff, true), Infinity);
+        }
+
+        if (maxSamples) {
+            const total = await this.transaction('samples', 'readonly', tx => tx.objectStore('samples').count());
+            if (total > maxSamples) {
+                await this.deleteSamplesWhere(null, total - maxSamples);
+            }
+        }
+
+        // Recount sessions and drop the empty ones
+        const sessions = await this.getSessions();
+        for (const session of sessions) {
+            const count = await this.transaction('samples', 'readonly', tx =>
+                tx.objectStore('samples').index('sessionId').count(session.id)
+            );
+            if (count === 0 && session.id !== keepSessionId) {
+                await this.deleteSession(session.id);
+            } else if (count !== session.sampleCount) {
+                await this.transaction('sessions', 'readwrite', tx =>
+                    tx.objectStore('sessions').put({ ...session, sampleCount: count })
+                );
+            }
+        }
+    }
+
+    /**
+     * Delete up to `limit` samples in timestamp order within a key range
+     */
+    deleteSamplesWhere(range, limit) {
+        return this.transaction('samples', 'readwrite', tx => {
+            const store = tx.objectStore('samples');
+            const cursorRequest = store.index('timestamp').openKeyCursor(range);
+            let deleted = 0;
+
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor || deleted >= limit) return;
+                store.delete(cursor.primaryKey);
+                deleted++;
+                cursor.continue();
+            };
+        });
+    }
+
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+            this.opening = null;
+        }
+    }
+}
+
+// Export for use in app.js
+window.HistoryStore = HistoryStore;
@@ -0,0 +1,250 @@
+/**
+ * Vault.js - Passphrase-Encrypted API Key Storage (WebCrypto)
+ */
+
+const KEY_VAULT_STORAGE_KEY = 'apiLatencyMonitor.keyVault';
+const KEY_VAULT_VERSION = 1;
+// PBKDF2-SHA-256 rounds used to turn the passphrase into an AES-GCM key
+const KEY_VAULT_ITERATIONS = 310000;
+const KEY_VAULT_IDLE_MS = 15 * 60 * 1000;
+const MIN_PASSPHRASE_LENGTH = 8;
+
+class KeyVault {
+    /**
+     * options.storage defaults to localStorage; options.onLock(reason) runs
+     * whenever the vault locks ('manual' or 'idle')
+     */
+    constructor(options = {}) {
+        this.storage = options.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.storageKey = options.storageKey || KEY_VAULT_STORAGE_KEY;
+        this.iterations = options.iterations || KEY_VAULT_ITERATIONS;
+        this.idleTimeout = options.idleTimeout || KEY_VAULT_IDLE_MS;
+        this.onLock = typeof options.onLock === 'function' ? options.onLock : null;
+        this.cryptoKey = null; // derived AES key, only held while unlocked
+        this.salt = null;
+        this.keys = null;
+        this.idleTimer = null;
+    }
+
+    static isSupported() {
+        return typeof crypto !== 'undefined' && Boolean(crypto.subtle) && typeof TextEncoder !== 'undefined';
+    }
+
+    /**
+     * Whether an encrypted vault has been saved
+     */
+    exists() {
+        return this.readRecord() !== null;
+    }
+
+    isUnlocked() {
+        return this.cryptoKey !== null;
+    }
+
+    /**
+     * Create a new vault holding keys, replacing any existing one, and
+     * leave it unlocked
+     */
+    async create(passphrase, keys = {}) {
+        KeyVault.checkPassphrase(passphrase);
+
+        this.salt = crypto.getRandomValues(new Uint8Array(16));
+        this.cryptoKey = await this.deriveKey(passphrase, this.salt, this.iterations);
+        await this.setKeys(keys);
+        this.touch();
+    }
+
+    /**
+     * Decrypt the saved vault. Rejects with 'Wrong passphrase' when the
+     * passphrase does not match.
+     */
+    async unlock(passphrase) {
+        const record = this.readRecord();
+        if (!record) {
+            throw new Error('No key vault has been created');
+        }
+
+        const salt = KeyVault.fromBase64(record.salt);
+        const cryptoKey = await this.deriveKey(passphrase, salt, record.iterations);
+        let plaintext;
+        try {
+            plaintext = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: KeyVault.fromBase64(record.iv) },
+                cryptoKey,
+                KeyVault.fromBase64(record.data)
+            );
+        } catch (error) {
+            // AES-GCM authentication fails for a wrong passphrase or tampered data
+            throw new Error('Wrong passphrase');
+        }
+
+        const keys = JSON.parse(new TextDecoder().decode(plaintext));
+        this.cryptoKey = cryptoKey;
+        this.salt = salt;
+        this.iterations = record.iterations;
+        this.keys = keys && typeof keys === 'object' ? keys : {};
+        this.touch();
+        return this.getKeys();
+    }
+
+    /**
+     * Forget the derived key and the decrypted keys
+     */
+    lock(reason = 'manual') {
+        const wasUnlocked = this.isUnlocked();
+        this.cryptoKey = null;
+        this.keys = null;
+        clearTimeout(this.idleTimer);
+        this.idleTimer = null;
+
+        if (wasUnlocked && this.onLock) {
+            try {
+                this.onLock(reason);
+            } catch (error) {
+                console.error('Error in key vault lock callback:', error);
+            }
+        }
+    }
+
+    /**
+     * Restart the idle timer; call on user activity while unlocked
+     */
+    touch() {
+        if (!this.isUnlocked()) return;
+
+        clearTimeout(this.idleTimer);
+        this.idleTimer = setTimeout(() => this.lock('idle'), this.idleTimeout);
+    }
+
+    setIdleTimeout(ms) {
+        const parsed = parseInt(ms, 10);
+        if (isNaN(parsed) || parsed <= 0) {
+            console.error('Invalid idle timeout:', ms);
+            return;
+        }
+        this.idleTimeout = parsed;
+        this.touch();
+    }
+
+    /**
+     * Decrypted keys by provider id; empty while locked
+     */
+    getKeys() {
+        return this.keys ? { ...this.keys } : {};
+    }
+
+    /**
+     * Encrypt and save keys (provider id -> key); needs an unlocked vault
+     */
+    async setKeys(keys) {
+        if (!this.isUnlocked()) {
+            throw new Error('Key vault is locked');
+        }
+
+        const clean = {};
+        Object.entries(keys || {}).forEach(([id, value]) => {
+            if (typeof value === 'string' && value.trim()) clean[id] = value.trim();
+        });
+
+        // A fresh IV for every encryption; AES-GCM must never reuse one
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv },
+            this.cryptoKey,
+            new TextEncoder().encode(JSON.stringify(clean))
+        );
+
+        this.writeRecord({
+            version: KEY_VAULT_VERSION,
+            iterations: this.iterations,
+            salt: KeyVault.toBase64(this.salt),
+            iv: KeyVault.toBase64(iv),
+            data: KeyVault.toBase64(data)
+        });
+        this.keys = clean;
+    }
+
+    /**
+     * Re-encrypt the unlocked keys under a new passphrase
+     */
+    async changePassphrase(passphrase) {
+        if (!this.isUnlocked()) {
+            throw new Error('Key vault is locked');
+        }
+        await this.create(passphrase, this.keys);
+    }
+
+    /**
+     * Delete the saved vault, e.g. after a forgotten passphrase
+     */
+    destroy() {
+        this.lock();
+        if (this.storage) {
+            this.storage.removeItem(this.storageKey);
+        }
+    }
+
+    async deriveKey(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(passphrase),
+            'PBKDF2',
+            false,
+            ['deriveKey']
+        );
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    readRecord() {
+        if (!this.storage) return null;
+
+        try {
+            const record = JSON.parse(this.storage.getItem(this.storageKey) || 'null');
+            return record && record.version === KEY_VAULT_VERSION && record.salt && record.iv && record.data
+                ? record
+                : null;
+        } catch (error) {
+            console.error('Failed to read key vault:', error);
+            return null;
+        }
+    }
+
+    writeRecord(record) {
+        if (!this.storage) {
+            throw new Error('No storage available for the key vault');
+        }
+        this.storage.setItem(this.storageKey, JSON.stringify(record));
+    }
+
+    static checkPassphrase(passphrase) {
+        if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+            throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+        }
+    }
+
+    static toBase64(buffer) {
+        const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary);
+    }
+
+    static fromBase64(text) {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    }
+}
+
+// Export for use in app.js, or as a Node module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { KeyVault, KEY_VAULT_IDLE_MS };
+} else {
+    window.KeyVault = KeyVault;
+}
@@ -0,0 +1,220 @@
+/**
+ * Webhooks.js - Alert Delivery to Slack, Discord and JSON Endpoints
+ */
+
+const WEBHOOK_FORMATS = ['slack', 'discord', 'json'];
+
+// Default payload templates; {{placeholders}} are filled from the alert event
+const WEBHOOK_TEMPLATES = {
+    slack: '{"text": "{{emoji}} {{message}}"}',
+    discord: '{"content": "{{emoji}} {{message}}", "username": "API Latency Monitor"}',
+    json: '{"event": "{{type}}", "provider": "{{providerId}}", "rule": "{{ruleType}}", "value": "{{value}}", "threshold": "{{threshold}}", "message": "{{message}}", "timestamp": "{{time}}"}'
+};
+
+const WEBHOOK_DEFAULTS = {
+    maxRetries: 3,
+    backoffMs: 1000,
+    timeoutMs: 10000,
+    dedupeWindowMs: 5 * 60 * 1000
+};
+
+class WebhookNotifier {
+    /**
+     * options.fetch and options.sleep can be replaced, e.g. to point at a
+     * local stand-in server or to skip real backoff delays
+     */
+    constructor(targets = [], options = {}) {
+        this.options = { ...WEBHOOK_DEFAULTS, ...options };
+        this.fetch = options.fetch || ((...args) => fetch(...args));
+        this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+        this.targets = [];
+        this.recent = new Map();
+        this.setTargets(targets);
+    }
+
+    /**
+     * Check a target definition, returning a list of error messages
+     */
+    static validateTarget(target) {
+        const errors = [];
+        if (!target || typeof target !== 'object') {
+            return ['Webhook target must be an object'];
+        }
+
+        if (!target.id) errors.push('Webhook target is missing an id');
+        if (!target.url || !/^https?:\/\//.test(target.url)) {
+            errors.push(`Webhook "${target.name || target.id}" needs an http(s) URL`);
+        }
+        if (!WEBHOOK_FORMATS.includes(target.format)) {
+            errors.push(`Unknown webhook format: ${target.format}`);
+        }
+
+        if (target.template) {
+            try {
+                JSON.parse(WebhookNotifier.render(target.template, WebhookNotifier.sampleEvent()));
+            } catch (error) {
+                errors.push(`Template does not produce valid JSON: ${error.message}`);
+            }
+        }
+
+        return errors;
+    }
+
+    setTargets(targets) {
+        if (!Array.isArray(targets)) {
+            console.error('setTargets expects an array');
+            return;
+        }
+
+        this.targets = targets.filter(target => {
+            const errors = WebhookNotifier.validateTarget(target);
+            if (errors.length > 0) {
+                console.warn(`Skipping invalid webhook ${target && target.id}:`, errors);
+                return false;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Fill a template. Values are JSON-escaped so they are safe inside
+     * quoted strings of a JSON template.
+     */
+    static render(template, event) {
+        const values = {
+            ...event,
+            provider: event.providerName,
+            emoji: event.type === 'triggered' ? '🚨' : '✅',
+            time: new Date(event.timestamp || Date.now()).toISOString()
+        };
+
+        return template.replace(/\{\{(\w+)\}\}/g, (match, key) => {
+            const value = values[key];
+            if (value === undefined || value === null) return '';
+            return JSON.stringify(String(value)).slice(1, -1);
+        });
+    }
+
+    /**
+     * Build the request body for a target
+     */
+    static buildPayload(target, event) {
+        if (!target.template && target.format === 'json') {
+            return JSON.stringify({ source: 'api-latency-monitor', ...event });
+        }
+        return WebhookNotifier.render(target.template || WEBHOOK_TEMPLATES[target.format], event);
+    }
+
+    /**
+     * An example event, used to validate templates and for test deliveries
+     */
+    static sampleEvent() {
+        return {
+            type: 'triggered',
+            ruleId: 'test',
+            ruleType: 'latency',
+            providerId: 'example',
+            providerName: 'Example Provider',
+            value: 1234,
+            threshold: 1000,
+            message: 'Test alert from API Latency Monitor',
+            timestamp: Date.now()
+        };
+    }
+
+    /**
+     * Deliver an alert event to every enabled target. Identical events for
+     * the same target inside the dedupe window of a delivery, or while it is
+     * still being sent, are skipped; a failed delivery is tried again on the
+     * next identical event.
+     */
+    async deliver(event) {
+        if (!event) return [];
+
+        const now = Date.now();
+        const deliveries = this.targets
+            .filter(target => target.enabled !== false)
+            .map(target => {
+                const key = `${target.id}|${event.type}|${event.ruleId}|${event.providerId}|${event.targetId || ''}`;
+                const last = this.recent.get(key);
+                if (last && now - last < this.options.dedupeWindowMs) {
+                    return Promise.resolve({ target, ok: true, skipped: true, attempts: 0 });
+                }
+                // Marked before sending, so events arriving during retries are skipped too
+                this.recent.set(key, now);
+                return this.send(target, event).then(result => {
+                    if (!result.ok && this.recent.get(key) === now) this.recent.delete(key);
+                    return result;
+                });
+            });
+
+        this.pruneRecent(now);
+        return Promise.all(deliveries);
+    }
+
+    /**
+     * POST one event with retries and exponential backoff
+     */
+    async send(target, event) {
+        const body = WebhookNotifier.buildPayload(target, event);
+        // Slack webhooks do not answer CORS preflights, so browsers send a
+        // simple text/plain request whose response cannot be read
+        const opaque = target.format === 'slack' && typeof window !== 'undefined';
+        let lastError = null;
+        let attempts = 0;
+
+        for (let attempt = 0; attempt <= this.options.maxRetries; attempt++) {
+            attempts = attempt + 1;
+            if (attempt > 0) {
+                await this.sleep(this.options.backoffMs * 2 ** (attempt - 1));
+            }
+
+            const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+            const timeout = controller ? setTimeout(() => controller.abort(), this.options.timeoutMs) : null;
+
+            try {
+                const response = await this.fetch(target.url, {
+                    method: 'POST',
+                    headers: { 'Content-Type': opaque ? 'text/plain' : 'application/json' },
+                    body,
+                    mode: opaque ? 'no-cors' : 'cors',
+                    signal: controller ? controller.signal : undefined
+                });
+
+                if (response.type === 'opaque' || response.ok) {
+                    return { target, ok: true, status: response.status || null, attempts };
+                }
+
+                lastError = `HTTP ${response.status}`;
+                // Client errors other than rate limiting will not succeed on retry
+                if (response.status < 500 && response.status !== 429) {
+                    break;
+                }
+            } catch (error) {
+                lastError = error.name === 'AbortError' ? 'Request timed out' : error.message;
+            } finally {
+                if (timeout) {
+                    clearTimeout(timeout);
+                }
+            }
+        }
+
+        console.error(`Webhook "${target.name || target.id}" failed: ${lastError}`);
+        return { target, ok: false, error: lastError, attempts };
+    }
+
+    pruneRecent(now) {
+        this.recent.forEach((timestamp, key) => {
+            if (now - timestamp >= this.options.dedupeWindowMs) {
+                this.recent.delete(key);
+            }
+        });
+    }
+}
+
+// Export for use in app.js, or as a Node module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { WebhookNotifier, WEBHOOK_FORMATS, WEBHOOK_TEMPLATES };
+} else {
+    window.WebhookNotifier = WebhookNotifier;
+}
@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+/**
+ * Mock Server - local stand-in for external services
+ *
+ *   node tools/mock-server.js [port]
+ *
+ * POST /webhook        Logs the payload and answers 200
+ * POST /webhook?fail=N Answers 500 to the first N requests, to exercise retries
+ * GET  /webhook/log    Returns every payload received so far
+ *
+ * GET  /statuspage/api/v2/summary.json
+ *                      Statuspage-style summary. ?indicator=minor|major|critical
+ *                      and ?incident=<name> override the current state
+ * POST /statuspage     Sets the state: {"indicator": "major", "incidents": ["API errors"]}
+ */
+
+const http = require('http');
+
+const port = parseInt(process.argv[2] || process.env.PORT || '8787', 10);
+const received = [];
+const failures = new Map();
+const statusPage = { indicator: 'none', incidents: [] };
+
+const STATUS_DESCRIPTIONS = {
+    none: 'All Systems Operational',
+    minor: 'Partially Degraded Service',
+    major: 'Partial System Outage',
+    critical: 'Major System Outage'
+};
+
+function send(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        req.on('data', chunk => {
+            data += chunk;
+        });
+        req.on('end', () => resolve(data));
+        req.on('error', reject);
+    });
+}
+
+async function handleWebhook(req, res, url) {
+    const failCount = parseInt(url.searchParams.get('fail') || '0', 10);
+    const key = url.pathname + url.search;
+    const failed = failures.get(key) || 0;
+
+    const raw = await readBody(req);
+    if (failed < failCount) {
+        failures.set(key, failed + 1);
+        console.log(`[webhook] failing request ${failed + 1}/${failCount}`);
+        send(res, 500, { error: 'Injected failure' });
+        return;
+    }
+
+    let payload = raw;
+    try {
+        payload = JSON.parse(raw);
+    } catch (error) {
+        // Keep non-JSON payloads as text
+    }
+
+    received.push({ receivedAt: new Date().toISOString(), payload });
+    console.log('[webhook]', JSON.stringify(payload));
+    send(res, 200, { ok: true });
+}
+
+function statusSummary(url) {
+    const indicator = url.searchParams.get('indicator') || statusPage.indicator;
+    const names = url.searchParams.getAll('incident');
+    const incidents = names.length > 0 ? names : statusPage.incidents;
+    const now = new Date().toISOString();
+
+    return {
+        page: { id: 'mock', name: 'Mock Provider', url: `http://localhost:${port}/statuspage`, updated_at: now },
+        status: { indicator, description: STATUS_DESCRIPTIONS[indicator] || indicator },
+        components: [],
+        incidents: incidents.map((name, index) => ({
+            id: `mock-${index + 1}`,
+            name,
+            status: 'investigating',
+            impact: indicator === 'none' ? 'minor' : indicator,
+            shortlink: `http://localhost:${port}/statuspage/incidents/mock-${index + 1}`,
+            started_at: now,
+            updated_at: now
+        })),
+        scheduled_maintenances: []
+    };
+}
+
+async function handleStatusUpdate(req, res) {
+    const update = JSON.parse((await readBody(req)) || '{}');
+    if (update.indicator) statusPage.indicator = String(update.indicator);
+    if (Array.isArray(update.incidents)) statusPage.incidents = update.incidents.map(String);
+    console.log('[statuspage]', JSON.stringify(statusPage));
+    send(res, 200, statusPage);
+}
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://localhost:${port}`);
+
+    if (req.method === 'OPTIONS') {
+        send(res, 204, {});
+        return;
+    }
+
+    if (req.method === 'POST' && url.pathname === '/webhook') {
+        handleWebhook(req, res, url).catch(error => {
+            console.error('Webhook handler error:', error);
+            send(res, 500, { error: error.message });
+        });
+        return;
+    }
+
+    if (req.method === 'GET' && url.pathname === '/webhook/log') {
+        send(res, 200, received);
+        return;
+    }
+
+    if (req.method === 'GET' && url.pathname === '/statuspage/api/v2/summary.json') {
+        send(res, 200, statusSummary(url));
+        return;
+    }
+
+    if (req.method === 'POST' && url.pathname === '/statuspage') {
+        handleStatusUpdate(req, res).catch(error => {
+            send(res, 400, { error: error.message });
+        });
+        return;
+    }
+
+    send(res, 404, { error: 'Not found' });
+});
+
+server.listen(port, () => {
+    console.log(`Mock server listening on http://localhost:${port}`);
+});